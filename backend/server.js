@@ -0,0 +1,150 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { ethers } = require("ethers");
+const { FaucetStore } = require("./store");
+const { Indexer } = require("./indexer");
+
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const PORT = Number(process.env.INDEXER_PORT || 8788);
+const NETWORK = process.env.INDEXER_NETWORK || "localhost";
+const POLL_MS = Number(process.env.INDEXER_POLL_MS || 4000);
+const CONFIRMATIONS = Number(process.env.INDEXER_CONFIRMATIONS || 0);
+const LOG_PAGE_SIZE = Number(process.env.LOG_PAGE_SIZE || 2000);
+const MAX_LIMIT = 1000;
+
+function send(res, status, payload) {
+    res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+    });
+    res.end(JSON.stringify(payload));
+}
+
+// Positive integer query parameter, capped at `max`.
+function intParam(params, name, fallback, max = MAX_LIMIT) {
+    const raw = params.get(name);
+    if (raw === null) return fallback;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 0) throw new Error(`Invalid ${name}`);
+    return Math.min(value, max);
+}
+
+/**
+ * REST API over the index. Every route is a GET:
+ *
+ *   /health        indexer progress; 503 while the last sync failed
+ *   /stats         claim counts, unique claimers, supply and pause state
+ *   /claims        newest first; ?address= filters, ?limit= and ?offset= page
+ *   /claimers/top  addresses by total claimed; ?limit=
+ */
+function createServer(store, indexer, { chainId, faucet, token }) {
+    const routes = {
+        "/health": () => {
+            const indexedBlock = store.lastBlock();
+            const ok = indexer.lastError === null;
+            return [
+                ok ? 200 : 503,
+                {
+                    ok,
+                    chainId,
+                    faucet,
+                    token,
+                    indexedBlock,
+                    headBlock: indexer.headBlock,
+                    lag: indexer.headBlock === null || indexedBlock === null ? null : indexer.headBlock - indexedBlock,
+                    lastSyncAt: indexer.lastSyncAt,
+                    error: indexer.lastError,
+                },
+            ];
+        },
+        "/stats": () => [200, { chainId, ...store.getStats() }],
+        "/claims": (params) => {
+            const address = params.get("address");
+            if (address && !ethers.isAddress(address)) throw new Error("Invalid address");
+            const claims = store.getClaims({
+                address: address ? ethers.getAddress(address) : undefined,
+                limit: intParam(params, "limit", 100),
+                // Not capped, so paging can go past the first MAX_LIMIT claims
+                offset: intParam(params, "offset", 0, Infinity),
+            });
+            return [200, { claims }];
+        },
+        "/claimers/top": (params) => [200, { claimers: store.getTopClaimers(intParam(params, "limit", 10)) }],
+    };
+
+    return http.createServer((req, res) => {
+        if (req.method === "OPTIONS") return send(res, 204, {});
+        const url = new URL(req.url, "http://localhost");
+        const route = routes[url.pathname.replace(/\/$/, "") || "/"];
+        if (req.method !== "GET" || !route) return send(res, 404, { error: "Not found" });
+
+        try {
+            const [status, payload] = route(url.searchParams);
+            send(res, status, payload);
+        } catch (err) {
+            send(res, 400, { error: err.message });
+        }
+    });
+}
+
+// Addresses and start block from deployments/<INDEXER_NETWORK>.json, with
+// FAUCET_ADDRESS / TOKEN_ADDRESS / INDEXER_START_BLOCK overriding.
+function loadConfig() {
+    const file = path.join(__dirname, "..", "deployments", `${NETWORK}.json`);
+    const deployment = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+    const config = {
+        rpcUrl: process.env.INDEXER_RPC_URL || deployment.rpcUrl || "http://127.0.0.1:8545",
+        faucet: process.env.FAUCET_ADDRESS || deployment.faucet,
+        token: process.env.TOKEN_ADDRESS || deployment.token,
+        startBlock: Number(
+            process.env.INDEXER_START_BLOCK ?? deployment.steps?.token?.blockNumber ?? deployment.blockNumber ?? 0
+        ),
+        db: process.env.INDEXER_DB || path.join(__dirname, "data", `${NETWORK}.sqlite`),
+    };
+    if (!config.faucet || !config.token) {
+        throw new Error(`No deployment found at ${file}. Deploy first or set FAUCET_ADDRESS and TOKEN_ADDRESS.`);
+    }
+    return config;
+}
+
+async function main() {
+    const config = loadConfig();
+    const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+    const chainId = Number((await provider.getNetwork()).chainId);
+
+    fs.mkdirSync(path.dirname(config.db), { recursive: true });
+    const store = new FaucetStore(config.db);
+    store.bind({ chainId, faucet: config.faucet, token: config.token });
+
+    const indexer = new Indexer(store, {
+        provider,
+        faucet: config.faucet,
+        token: config.token,
+        startBlock: config.startBlock,
+        pageSize: LOG_PAGE_SIZE,
+        confirmations: CONFIRMATIONS,
+    });
+
+    console.log("RPC:", config.rpcUrl, `(chain ${chainId})`);
+    console.log("Faucet:", config.faucet);
+    console.log("Database:", config.db);
+    console.log("Indexed up to block:", store.lastBlock() ?? "none yet");
+    indexer.start(POLL_MS);
+
+    createServer(store, indexer, { chainId, faucet: config.faucet, token: config.token }).listen(PORT, () => {
+        console.log(`Indexer API listening on http://127.0.0.1:${PORT}`);
+    });
+}
+
+if (require.main === module) {
+    main().catch((e) => {
+        console.error(e);
+        process.exit(1);
+    });
+}
+
+module.exports = { createServer };
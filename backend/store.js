@@ -0,0 +1,270 @@
+const Database = require("better-sqlite3");
+
+// SQLite index of faucet activity. Token amounts are uint256, which SQLite
+// cannot hold, so they are stored as decimal strings and summed with BigInt
+// in JavaScript. Running totals live in `meta` so /stats never scans every row.
+
+const DAY = 24 * 60 * 60;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS claims (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    user TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS claims_by_user ON claims (user, block_number);
+CREATE INDEX IF NOT EXISTS claims_by_time ON claims (timestamp);
+CREATE TABLE IF NOT EXISTS claimers (
+    user TEXT PRIMARY KEY,
+    total TEXT NOT NULL,
+    claims INTEGER NOT NULL,
+    first_claim_at INTEGER NOT NULL,
+    last_claim_at INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS pauses (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    paused INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE TABLE IF NOT EXISTS transfers (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    sender TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    value TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE TABLE IF NOT EXISTS balances (
+    holder TEXT PRIMARY KEY,
+    balance TEXT NOT NULL
+);
+`;
+
+function toClaim(row) {
+    return {
+        user: row.user,
+        amount: row.amount,
+        timestamp: row.timestamp,
+        blockNumber: row.block_number,
+        txHash: row.tx_hash,
+    };
+}
+
+function toDay(timestamp) {
+    return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+class FaucetStore {
+    constructor(file = ":memory:") {
+        this.db = new Database(file);
+        this.db.pragma("journal_mode = WAL");
+        this.db.exec(SCHEMA);
+        this._apply = this.db.transaction((page) => this._applyPage(page));
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    getMeta(key, fallback = null) {
+        const row = this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+        return row ? row.value : fallback;
+    }
+
+    setMeta(key, value) {
+        this.db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value")
+            .run(key, String(value));
+    }
+
+    // Ties the database to one faucet on one chain. Throws when it already
+    // holds another deployment's data, which would mix the two.
+    bind({ chainId, faucet, token }) {
+        const bound = this.getMeta("faucet");
+        if (bound === null) {
+            this.setMeta("chainId", chainId);
+            this.setMeta("faucet", faucet);
+            this.setMeta("token", token);
+            return;
+        }
+        if (Number(this.getMeta("chainId")) !== Number(chainId) || bound.toLowerCase() !== faucet.toLowerCase()) {
+            throw new Error(
+                `Database indexes faucet ${bound} on chain ${this.getMeta("chainId")}, not ${faucet} on chain ${chainId}`
+            );
+        }
+    }
+
+    // Last block fully indexed, or null before the first sync.
+    lastBlock() {
+        const value = this.getMeta("lastBlock");
+        return value === null ? null : Number(value);
+    }
+
+    /**
+     * Stores one range of blocks atomically: the decoded events plus the
+     * block the range ends at, so an interrupted sync never half-applies.
+     */
+    applyPage(page) {
+        this._apply(page);
+    }
+
+    _applyPage({ claims = [], pauses = [], transfers = [], toBlock, toTimestamp }) {
+        const insertClaim = this.db.prepare(
+            "INSERT OR IGNORE INTO claims (block_number, log_index, tx_hash, user, amount, timestamp) VALUES (?, ?, ?, ?, ?, ?)"
+        );
+        const getClaimer = this.db.prepare("SELECT * FROM claimers WHERE user = ?");
+        const putClaimer = this.db.prepare(
+            "INSERT OR REPLACE INTO claimers (user, total, claims, first_claim_at, last_claim_at) VALUES (?, ?, ?, ?, ?)"
+        );
+        let claimed = BigInt(this.getMeta("totalClaimed", "0"));
+        for (const c of claims) {
+            const { changes } = insertClaim.run(c.blockNumber, c.logIndex, c.txHash, c.user, c.amount, c.timestamp);
+            if (!changes) continue;
+            const prev = getClaimer.get(c.user);
+            putClaimer.run(
+                c.user,
+                (BigInt(prev ? prev.total : "0") + BigInt(c.amount)).toString(),
+                (prev ? prev.claims : 0) + 1,
+                prev ? prev.first_claim_at : c.timestamp,
+                c.timestamp
+            );
+            claimed += BigInt(c.amount);
+        }
+        this.setMeta("totalClaimed", claimed);
+
+        const insertPause = this.db.prepare(
+            "INSERT OR IGNORE INTO pauses (block_number, log_index, tx_hash, paused, timestamp) VALUES (?, ?, ?, ?, ?)"
+        );
+        for (const p of pauses) insertPause.run(p.blockNumber, p.logIndex, p.txHash, p.paused ? 1 : 0, p.timestamp);
+
+        const insertTransfer = this.db.prepare(
+            "INSERT OR IGNORE INTO transfers (block_number, log_index, tx_hash, sender, recipient, value) VALUES (?, ?, ?, ?, ?, ?)"
+        );
+        const getBalance = this.db.prepare("SELECT balance FROM balances WHERE holder = ?");
+        const putBalance = this.db.prepare("INSERT OR REPLACE INTO balances (holder, balance) VALUES (?, ?)");
+        const addBalance = (holder, delta) => {
+            const row = getBalance.get(holder);
+            putBalance.run(holder, (BigInt(row ? row.balance : "0") + delta).toString());
+        };
+        let minted = BigInt(this.getMeta("totalMinted", "0"));
+        let burned = BigInt(this.getMeta("totalBurned", "0"));
+        for (const t of transfers) {
+            const { changes } = insertTransfer.run(t.blockNumber, t.logIndex, t.txHash, t.from, t.to, t.value);
+            if (!changes) continue;
+            const value = BigInt(t.value);
+            if (t.from === ZERO_ADDRESS) minted += value;
+            else addBalance(t.from, -value);
+            if (t.to === ZERO_ADDRESS) burned += value;
+            else addBalance(t.to, value);
+        }
+        this.setMeta("totalMinted", minted);
+        this.setMeta("totalBurned", burned);
+
+        this.setMeta("lastBlock", toBlock);
+        if (toTimestamp !== undefined) this.setMeta("lastTimestamp", toTimestamp);
+    }
+
+    // Claims newest first, optionally by one address.
+    getClaims({ address, limit = 100, offset = 0 } = {}) {
+        const rows = address
+            ? this.db
+                  .prepare("SELECT * FROM claims WHERE user = ? ORDER BY block_number DESC, log_index DESC LIMIT ? OFFSET ?")
+                  .all(address, limit, offset)
+            : this.db
+                  .prepare("SELECT * FROM claims ORDER BY block_number DESC, log_index DESC LIMIT ? OFFSET ?")
+                  .all(limit, offset);
+        return rows.map(toClaim);
+    }
+
+    // Addresses by total claimed, largest first. Totals are decimal strings
+    // without leading zeros, so longer strings are larger numbers.
+    getTopClaimers(limit = 10) {
+        return this.db
+            .prepare("SELECT * FROM claimers ORDER BY length(total) DESC, total DESC, claims DESC LIMIT ?")
+            .all(limit)
+            .map((row) => ({
+                user: row.user,
+                total: row.total,
+                claims: row.claims,
+                firstClaimAt: row.first_claim_at,
+                lastClaimAt: row.last_claim_at,
+            }));
+    }
+
+    /**
+     * Aggregates for /stats. Windows ("last 24h", "last 7 days", the daily
+     * series) are measured back from the timestamp of the last indexed
+     * block, so they follow chain time rather than the server clock.
+     */
+    getStats({ days = 30 } = {}) {
+        const now = Number(this.getMeta("lastTimestamp", "0"));
+        const since = (seconds) => now - seconds;
+        const count = (sql, ...args) => this.db.prepare(sql).get(...args).n;
+
+        const claimsSince = (t) => count("SELECT COUNT(*) AS n FROM claims WHERE timestamp > ?", t);
+        const claimersSince = (t) => count("SELECT COUNT(DISTINCT user) AS n FROM claims WHERE timestamp > ?", t);
+
+        const perDay = new Map();
+        const start = since(days * DAY);
+        for (const row of this.db.prepare("SELECT user, amount, timestamp FROM claims WHERE timestamp > ?").iterate(start)) {
+            const day = toDay(row.timestamp);
+            const entry = perDay.get(day) || { day, claims: 0, users: new Set(), amount: 0n };
+            entry.claims += 1;
+            entry.users.add(row.user);
+            entry.amount += BigInt(row.amount);
+            perDay.set(day, entry);
+        }
+
+        const lastPause = this.db.prepare("SELECT * FROM pauses ORDER BY block_number DESC, log_index DESC LIMIT 1").get();
+        const minted = BigInt(this.getMeta("totalMinted", "0"));
+        const burned = BigInt(this.getMeta("totalBurned", "0"));
+
+        return {
+            indexedBlock: this.lastBlock(),
+            indexedAt: now,
+            claims: {
+                total: count("SELECT COUNT(*) AS n FROM claims"),
+                last24h: claimsSince(since(DAY)),
+                last7d: claimsSince(since(7 * DAY)),
+            },
+            uniqueClaimers: {
+                total: count("SELECT COUNT(*) AS n FROM claimers"),
+                last24h: claimersSince(since(DAY)),
+                last7d: claimersSince(since(7 * DAY)),
+            },
+            distributed: this.getMeta("totalClaimed", "0"),
+            token: {
+                minted: minted.toString(),
+                burned: burned.toString(),
+                supply: (minted - burned).toString(),
+                holders: count("SELECT COUNT(*) AS n FROM balances WHERE balance != '0'"),
+            },
+            paused: lastPause ? lastPause.paused === 1 : false,
+            lastPauseChange: lastPause
+                ? {
+                      paused: lastPause.paused === 1,
+                      timestamp: lastPause.timestamp,
+                      blockNumber: lastPause.block_number,
+                      txHash: lastPause.tx_hash,
+                  }
+                : null,
+            claimsPerDay: [...perDay.values()]
+                .sort((a, b) => a.day.localeCompare(b.day))
+                .map(({ day, claims, users, amount }) => ({ day, claims, claimers: users.size, amount: amount.toString() })),
+        };
+    }
+}
+
+module.exports = { FaucetStore };
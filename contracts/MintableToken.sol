@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+
+/**
+ * @title MintableToken
+ * @dev ERC-20 test token whose supply is minted by the accounts holding
+ * MINTER_ROLE, usually one or more faucet contracts. Name, symbol, decimals
+ * and the maximum supply are fixed at deployment, so the same contract covers
+ * an 18-decimal governance token and a 6-decimal stablecoin alike.
+ *
+ * The deployer holds DEFAULT_ADMIN_ROLE and grants or revokes MINTER_ROLE
+ * with the standard AccessControl functions, which emit RoleGranted and
+ * RoleRevoked.
+ */
+contract MintableToken is ERC20, AccessControl {
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+
+    uint8 private immutable _decimals;
+    uint256 public immutable maxSupply;
+
+    error TokenZeroAddress();
+    error TokenUnauthorizedMinter(address caller);
+    error TokenMaxSupplyExceeded(uint256 requested, uint256 available);
+
+    constructor(
+        string memory name_,
+        string memory symbol_,
+        uint8 decimals_,
+        uint256 maxSupply_
+    ) ERC20(name_, symbol_) {
+        _decimals = decimals_;
+        maxSupply = maxSupply_;
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    /**
+     * @dev Mints tokens. Only callable by accounts holding MINTER_ROLE.
+     */
+    function mint(address to, uint256 amount) external {
+        if (!hasRole(MINTER_ROLE, msg.sender)) revert TokenUnauthorizedMinter(msg.sender);
+        uint256 available = maxSupply - totalSupply();
+        if (amount > available) revert TokenMaxSupplyExceeded(amount, available);
+        if (to == address(0)) revert TokenZeroAddress();
+        _mint(to, amount);
+    }
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../TokenFaucet.sol";
+
+/**
+ * @dev Upgrade target for the tests: appends a state variable and a
+ * function, leaving the existing layout untouched. Parents were initialized
+ * with the proxy, so only the new state has an initializer.
+ */
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract TokenFaucetV2 is TokenFaucet {
+    string public motd;
+
+    function initializeV2(string calldata _motd) external reinitializer(2) {
+        motd = _motd;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    function setMotd(string calldata _motd) external onlyRole(CONFIG_ADMIN_ROLE) {
+        motd = _motd;
+    }
+}
+
+contract ShiftedStorage {
+    uint256 private _unused;
+}
+
+/**
+ * @dev Inserts a slot in front of TokenFaucet's state, so every existing
+ * variable would move. Storage validation must reject it.
+ */
+/// @custom:oz-upgrades-unsafe-allow missing-initializer
+contract TokenFaucetBadLayout is ShiftedStorage, TokenFaucet {}
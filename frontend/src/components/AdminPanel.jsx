@@ -0,0 +1,321 @@
+import { useState, useEffect } from "react";
+import { ethers } from "ethers";
+import ExplorerLink from "./ExplorerLink";
+import { useFaucet } from "../context/FaucetContext";
+import { FAUCET_ROLES, ROLE_LABELS } from "../utils/contracts";
+import { explorerTxUrl } from "../utils/networks";
+import { sameAddr, shortAddr, fmtAmountInt, fmtDate } from "../utils/format";
+
+// Pausing, claim rules, tiers, the allowlist and roles — each section only
+// for the roles that may use it
+export default function AdminPanel() {
+    const { service, account, params, paused, roles, network, refreshAfterAdmin: onChanged, setMsg } = useFaucet();
+    const [busy, setBusy] = useState("");
+    const [tiers, setTiers] = useState([]);
+    const [tierAddresses, setTierAddresses] = useState("");
+    const [tierId, setTierId] = useState("0");
+    const [allowlistRoot, setAllowlistRoot] = useState("");
+    const [amount, setAmount] = useState("");
+    const [cooldownHours, setCooldownHours] = useState("");
+    const [maxAmount, setMaxAmount] = useState("");
+    const [roleAccount, setRoleAccount] = useState("");
+    const [roleName, setRoleName] = useState("PAUSER");
+    const [history, setHistory] = useState([]);
+
+    useEffect(() => {
+        setAmount(fmtAmountInt(params.faucetAmount));
+        setCooldownHours(String(params.cooldownTime / 3600));
+        setMaxAmount(fmtAmountInt(params.maxClaimAmount));
+    }, [params.faucetAmount, params.cooldownTime, params.maxClaimAmount]);
+
+    useEffect(() => {
+        service.getTiers().then(setTiers);
+        service.getAllowlistRoot().then((root) => setAllowlistRoot(root === ethers.ZeroHash ? "" : root));
+    }, [network.chainId]);
+
+    useEffect(() => {
+        loadHistory();
+        const unsubscribe = service.onFaucetPaused(() => {
+            loadHistory();
+            onChanged();
+        });
+        return unsubscribe;
+    }, []);
+
+    async function loadHistory() {
+        setHistory(await service.getPauseHistory());
+    }
+
+    async function run(label, action, successText) {
+        if (busy) return;
+        setBusy(label);
+        setMsg(null);
+        try {
+            const txHash = await action();
+            setMsg({ type: "success", text: successText + " Tx: " + txHash.slice(0, 12) + "..." });
+            await onChanged();
+        } catch (err) {
+            setMsg({ type: "error", text: err.message || "Admin action failed." });
+        } finally {
+            setBusy("");
+        }
+    }
+
+    function togglePause() {
+        run(
+            "pause",
+            () => service.setPaused(!paused),
+            paused ? "Faucet unpaused." : "Faucet paused."
+        );
+    }
+
+    function saveAmount() {
+        run(
+            "amount",
+            () => service.setFaucetAmount(ethers.parseEther(amount || "0")),
+            "Claim amount updated."
+        );
+    }
+
+    function saveCooldown() {
+        run(
+            "cooldown",
+            () => service.setCooldownTime(Math.round(parseFloat(cooldownHours || "0") * 3600)),
+            "Cooldown updated."
+        );
+    }
+
+    function saveMaxAmount() {
+        run(
+            "max",
+            () => service.setMaxClaimAmount(ethers.parseEther(maxAmount || "0")),
+            "Lifetime maximum updated."
+        );
+    }
+
+    // One address per line, or separated by commas or spaces
+    const tierTargets = tierAddresses.split(/[\s,]+/).filter(Boolean);
+
+    function assignTier() {
+        const name = tiers.find((t) => String(t.id) === tierId)?.name || "tier " + tierId;
+        run(
+            "tier",
+            () => service.assignTier(tierTargets, tierId),
+            tierTargets.length + " address" + (tierTargets.length === 1 ? "" : "es") + " moved to " + name + "."
+        );
+    }
+
+    async function useHostedAllowlist() {
+        const list = await service.getAllowlist();
+        if (list.length === 0) {
+            setMsg({ type: "error", text: "No hosted allowlist found. Set VITE_ALLOWLIST_URL." });
+            return;
+        }
+        setAllowlistRoot(service.getMerkleRoot(list));
+    }
+
+    function saveAllowlistRoot() {
+        const root = allowlistRoot.trim() || ethers.ZeroHash;
+        run(
+            "allowlist",
+            () => service.setAllowlistRoot(root),
+            root === ethers.ZeroHash ? "Allowlist removed." : "Allowlist root updated."
+        );
+    }
+
+    function changeRole(grant) {
+        const account = roleAccount.trim();
+        const label = ROLE_LABELS[roleName];
+        if (!grant && roleName === "ADMIN" && sameAddr(account, account)) {
+            if (!window.confirm("Revoke your own admin role? You will no longer be able to manage roles.")) return;
+        }
+        run(
+            grant ? "grant" : "revoke",
+            () => (grant ? service.grantRole(roleName, account) : service.revokeRole(roleName, account)),
+            label + (grant ? " granted to " : " revoked from ") + shortAddr(account) + "."
+        );
+    }
+
+    const spinner = (label, text) =>
+        busy === label ? (
+            <>
+                <span className="spinner spinner-dark" />
+                Sending...
+            </>
+        ) : (
+            text
+        );
+
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <span className="panel-label">Admin</span>
+                <span className={"claim-status-tag " + (paused ? "exhausted" : "ready")}>
+                    <span className="dot" /> {paused ? "Paused" : "Active"}
+                </span>
+            </div>
+            <div className="panel-body admin-body">
+                {roles.includes("PAUSER") && (
+                    <div className="admin-row">
+                        <span className="admin-row-label">Faucet state</span>
+                        <button className="btn btn-outline" onClick={togglePause} disabled={!!busy}>
+                            {spinner("pause", paused ? "Unpause faucet" : "Pause faucet")}
+                        </button>
+                    </div>
+                )}
+
+                {roles.includes("CONFIG_ADMIN") && (
+                    <>
+                        <div className="admin-row">
+                            <label className="admin-row-label" htmlFor="admin-amount">Claim amount (FCT)</label>
+                            <input
+                                id="admin-amount"
+                                className="admin-input"
+                                type="number"
+                                min="0"
+                                value={amount}
+                                onChange={(e) => setAmount(e.target.value)}
+                            />
+                            <button className="btn btn-outline" onClick={saveAmount} disabled={!!busy}>
+                                {spinner("amount", "Update")}
+                            </button>
+                        </div>
+
+                        <div className="admin-row">
+                            <label className="admin-row-label" htmlFor="admin-cooldown">Cooldown (hours)</label>
+                            <input
+                                id="admin-cooldown"
+                                className="admin-input"
+                                type="number"
+                                min="0"
+                                step="0.25"
+                                value={cooldownHours}
+                                onChange={(e) => setCooldownHours(e.target.value)}
+                            />
+                            <button className="btn btn-outline" onClick={saveCooldown} disabled={!!busy}>
+                                {spinner("cooldown", "Update")}
+                            </button>
+                        </div>
+
+                        <div className="admin-row">
+                            <label className="admin-row-label" htmlFor="admin-max">Lifetime max (FCT)</label>
+                            <input
+                                id="admin-max"
+                                className="admin-input"
+                                type="number"
+                                min="0"
+                                value={maxAmount}
+                                onChange={(e) => setMaxAmount(e.target.value)}
+                            />
+                            <button className="btn btn-outline" onClick={saveMaxAmount} disabled={!!busy}>
+                                {spinner("max", "Update")}
+                            </button>
+                        </div>
+
+                        <div className="admin-row admin-row-top">
+                            <label className="admin-row-label" htmlFor="admin-tier-addresses">Assign tier</label>
+                            <textarea
+                                id="admin-tier-addresses"
+                                className="admin-input admin-input-wide admin-textarea"
+                                rows={3}
+                                placeholder="0x... one per line"
+                                value={tierAddresses}
+                                onChange={(e) => setTierAddresses(e.target.value)}
+                            />
+                            <select className="admin-input" value={tierId} onChange={(e) => setTierId(e.target.value)}>
+                                {tiers.map((t) => (
+                                    <option key={t.id} value={t.id}>
+                                        {t.name}{t.blocked ? " (blocked)" : ""}
+                                    </option>
+                                ))}
+                            </select>
+                            <button
+                                className="btn btn-outline"
+                                onClick={assignTier}
+                                disabled={!!busy || tierTargets.length === 0 || !tierTargets.every((a) => ethers.isAddress(a))}
+                            >
+                                {spinner("tier", "Assign")}
+                            </button>
+                        </div>
+
+                        <div className="admin-row">
+                            <label className="admin-row-label" htmlFor="admin-allowlist">Allowlist root</label>
+                            <input
+                                id="admin-allowlist"
+                                className="admin-input admin-input-wide"
+                                type="text"
+                                placeholder="None — anyone can claim"
+                                value={allowlistRoot}
+                                onChange={(e) => setAllowlistRoot(e.target.value)}
+                            />
+                            <button className="btn btn-outline" onClick={useHostedAllowlist} disabled={!!busy}>
+                                From hosted list
+                            </button>
+                            <button
+                                className="btn btn-outline"
+                                onClick={saveAllowlistRoot}
+                                disabled={!!busy || (allowlistRoot.trim() !== "" && !ethers.isHexString(allowlistRoot.trim(), 32))}
+                            >
+                                {spinner("allowlist", "Update")}
+                            </button>
+                        </div>
+                    </>
+                )}
+
+                {roles.includes("ADMIN") && (
+                    <div className="admin-row">
+                        <label className="admin-row-label" htmlFor="admin-role-account">Roles</label>
+                        <input
+                            id="admin-role-account"
+                            className="admin-input admin-input-wide"
+                            type="text"
+                            placeholder="0x..."
+                            value={roleAccount}
+                            onChange={(e) => setRoleAccount(e.target.value)}
+                        />
+                        <select className="admin-input" value={roleName} onChange={(e) => setRoleName(e.target.value)}>
+                            {FAUCET_ROLES.map((role) => (
+                                <option key={role} value={role}>
+                                    {ROLE_LABELS[role]}
+                                </option>
+                            ))}
+                        </select>
+                        <button
+                            className="btn btn-outline"
+                            onClick={() => changeRole(true)}
+                            disabled={!!busy || !ethers.isAddress(roleAccount.trim())}
+                        >
+                            {spinner("grant", "Grant")}
+                        </button>
+                        <button
+                            className="btn btn-outline"
+                            onClick={() => changeRole(false)}
+                            disabled={!!busy || !ethers.isAddress(roleAccount.trim())}
+                        >
+                            {spinner("revoke", "Revoke")}
+                        </button>
+                    </div>
+                )}
+
+                <div className="admin-history">
+                    <span className="admin-row-label">Pause history</span>
+                    {history.length === 0 ? (
+                        <p className="admin-empty">No pause events yet.</p>
+                    ) : (
+                        <div className="contract-list">
+                            {history.map((h) => (
+                                <div className="contract-row" key={h.txHash}>
+                                    <span className="contract-row-label">{h.paused ? "Paused" : "Unpaused"}</span>
+                                    <span className="contract-row-addr">{fmtDate(h.timestamp)}</span>
+                                    <ExplorerLink href={explorerTxUrl(network, h.txHash)}>
+                                        {h.txHash.slice(0, 10)}
+                                    </ExplorerLink>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,33 @@
+import ExplorerLink from "./ExplorerLink";
+import { explorerTxUrl } from "../utils/networks";
+import { shortAddr, fmtAmountInt, fmtDate } from "../utils/format";
+
+// User history and the global feed
+export default function ClaimList({ title, claims, loading, showUser, emptyText, network }) {
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <span className="panel-label">{title}</span>
+                {loading && <span className="spinner spinner-dark" />}
+            </div>
+            <div className="panel-body">
+                {claims.length === 0 ? (
+                    <p className="claims-empty">{loading ? "Loading..." : emptyText}</p>
+                ) : (
+                    <div className="contract-list">
+                        {claims.map((c) => (
+                            <div className="contract-row" key={c.txHash + c.user}>
+                                <span className="contract-row-label">{fmtAmountInt(c.amount)} FCT</span>
+                                {showUser && <span className="claims-user">{shortAddr(c.user)}</span>}
+                                <span className="contract-row-addr">{fmtDate(c.timestamp)}</span>
+                                <ExplorerLink href={explorerTxUrl(network, c.txHash)}>
+                                    {c.txHash.slice(0, 10)}
+                                </ExplorerLink>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,9 @@
+// Nothing to link to on chains without an explorer (e.g. a local node)
+export default function ExplorerLink({ href, children }) {
+    if (!href) return null;
+    return (
+        <a href={href} target="_blank" rel="noopener noreferrer" className="contract-row-link">
+            {children}
+        </a>
+    );
+}
@@ -0,0 +1,61 @@
+import { fmtAmountInt } from "../utils/format";
+
+// Faucet-wide daily cap and total budget of one token
+function CapacityBar({ label, issued, cap, note, token }) {
+    const limited = BigInt(cap) > 0n;
+    const usedPct = limited ? Math.min(100, Number((BigInt(issued) * 10000n) / BigInt(cap)) / 100) : 0;
+    return (
+        <div className="capacity-row">
+            <div className="capacity-row-head">
+                <span className="contract-row-label">{label}</span>
+                <span className="lookup-stat">
+                    {fmtAmountInt(issued, token.decimals)}
+                    {limited ? " / " + fmtAmountInt(cap, token.decimals) : ""} {token.symbol}
+                    {limited ? "" : " · no limit"}
+                </span>
+            </div>
+            {limited && (
+                <div className="allowance-bar-wrap">
+                    <div className="allowance-bar-track">
+                        <div
+                            className={"allowance-bar-fill" + (usedPct >= 100 ? " capacity-full" : "")}
+                            style={{ width: usedPct + "%" }}
+                        />
+                    </div>
+                    <div className="allowance-bar-labels">
+                        <span>{note}</span>
+                        <span>{(100 - usedPct).toFixed(0)}% left</span>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
+
+export default function FaucetCapacity({ budget, token }) {
+    if (!budget) return null;
+    const resets = new Date(budget.resetsAt * 1000).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <span className="panel-label">Faucet capacity</span>
+            </div>
+            <div className="panel-body capacity-list">
+                <CapacityBar
+                    label="Today"
+                    issued={budget.issuedToday}
+                    cap={budget.dailyCap}
+                    note={"resets at " + resets}
+                    token={token}
+                />
+                <CapacityBar
+                    label="Total budget"
+                    issued={budget.issuedTotal}
+                    cap={budget.totalBudget}
+                    note="issued so far"
+                    token={token}
+                />
+            </div>
+        </div>
+    );
+}
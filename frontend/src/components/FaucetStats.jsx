@@ -0,0 +1,150 @@
+import { useState, useEffect } from "react";
+import { useFaucet } from "../context/FaucetContext";
+import { fmtAmountInt } from "../utils/format";
+
+// Faucet-wide statistics, built from TokensClaimed logs
+function ClaimsChart({ days }) {
+    const width = 600;
+    const height = 120;
+    const slot = width / days.length;
+    const peak = Math.max(1, ...days.map((d) => d.claims));
+    return (
+        <div className="stats-chart">
+            <svg viewBox={"0 0 " + width + " " + height} preserveAspectRatio="none" role="img" aria-label="Claims per day">
+                <line className="stats-chart-axis" x1="0" y1={height} x2={width} y2={height} />
+                {days.map((d, i) => {
+                    const h = (d.claims / peak) * (height - 4);
+                    return (
+                        <rect
+                            key={d.day}
+                            className="stats-chart-bar"
+                            x={i * slot + 1}
+                            y={height - h}
+                            width={Math.max(1, slot - 2)}
+                            height={h}
+                        >
+                            <title>{d.day + ": " + d.claims + " claims by " + d.claimers + " addresses"}</title>
+                        </rect>
+                    );
+                })}
+            </svg>
+            <div className="allowance-bar-labels">
+                <span>{days[0].day}</span>
+                <span>peak {peak} / day</span>
+                <span>{days[days.length - 1].day}</span>
+            </div>
+        </div>
+    );
+}
+
+// Refreshes on a chain switch, a new claim and a pause change; pages of
+// logs already scanned come from the browser's cache.
+export default function FaucetStats() {
+    const { service, network, tokens, paused, recentClaims } = useFaucet();
+    const token = tokens.find((t) => t.primary) || { symbol: "FCT", decimals: 18 };
+    const latestClaim = recentClaims.length > 0 ? recentClaims[0].txHash : "";
+    const [stats, setStats] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [progress, setProgress] = useState(null);
+
+    useEffect(() => {
+        setStats(null);
+    }, [network.chainId]);
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        service
+            .getFaucetStats({ onProgress: (p) => !cancelled && setProgress(p) })
+            .then((result) => {
+                // Keep the last numbers if a refresh fails
+                if (!cancelled && result) setStats(result);
+            })
+            .finally(() => {
+                if (cancelled) return;
+                setLoading(false);
+                setProgress(null);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [network.chainId, latestClaim, paused]);
+
+    const supplyPct =
+        stats && BigInt(stats.maxSupply) > 0n
+            ? Number((BigInt(stats.totalSupply) * 10000n) / BigInt(stats.maxSupply)) / 100
+            : 0;
+    const capPct = stats && stats.uniqueClaimers > 0 ? (stats.claimersAtCap / stats.uniqueClaimers) * 100 : 0;
+    const scanned = progress && progress.total > 1 ? " — block range " + progress.done + " of " + progress.total : "";
+
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <span className="panel-label">Faucet statistics</span>
+                {loading && <span className="spinner spinner-dark" />}
+            </div>
+            <div className="panel-body">
+                {!stats ? (
+                    <p className="claim-hint">
+                        {loading ? "Reading claims" + scanned + "..." : "Statistics are unavailable right now."}
+                    </p>
+                ) : (
+                    <>
+                        <div className="stats-grid">
+                            <div className="stats-cell">
+                                <div className="stat-box-label">Distributed</div>
+                                <div className="stat-box-value">
+                                    {fmtAmountInt(stats.distributed, token.decimals)}
+                                    <span className="stat-box-unit">{token.symbol}</span>
+                                </div>
+                            </div>
+                            <div className="stats-cell">
+                                <div className="stat-box-label">Unique claimers</div>
+                                <div className="stat-box-value">
+                                    {stats.uniqueClaimers}
+                                    <span className="stat-box-unit">{stats.claims} claims</span>
+                                </div>
+                            </div>
+                            <div className="stats-cell">
+                                <div className="stat-box-label">Status</div>
+                                <div className="stat-box-value">
+                                    <span className={"claim-status-tag " + (stats.paused ? "exhausted" : "ready")}>
+                                        <span className="dot" /> {stats.paused ? "Paused" : "Active"}
+                                    </span>
+                                </div>
+                            </div>
+                            <div className="stats-cell stats-cell-wide">
+                                <div className="stat-box-label">Token supply</div>
+                                <div className="lookup-stat">
+                                    {fmtAmountInt(stats.totalSupply, token.decimals)} / {fmtAmountInt(stats.maxSupply, token.decimals)} {token.symbol}
+                                </div>
+                                <div className="allowance-bar-wrap">
+                                    <div className="allowance-bar-track">
+                                        <div className="allowance-bar-fill" style={{ width: supplyPct + "%" }} />
+                                    </div>
+                                    <div className="allowance-bar-labels">
+                                        <span>minted</span>
+                                        <span>{supplyPct.toFixed(supplyPct < 1 ? 4 : 1)}% of max supply</span>
+                                    </div>
+                                </div>
+                            </div>
+                            <div className="stats-cell">
+                                <div className="stat-box-label">At lifetime cap</div>
+                                <div className="stat-box-value">
+                                    {capPct.toFixed(0)}%
+                                    <span className="stat-box-unit">
+                                        {stats.claimersAtCap} of {stats.uniqueClaimers}
+                                    </span>
+                                </div>
+                            </div>
+                        </div>
+
+                        <div className="stat-box-label stats-chart-title">Claims per day</div>
+                        <ClaimsChart days={stats.claimsPerDay} />
+                        <p className="claim-hint">As of block {stats.blockNumber}.</p>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,36 @@
+// Inline SVG icons — no dependencies needed
+
+export function IconWallet() {
+    return (
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinecap="round" strokeLinejoin="round">
+            <path d="M20 12V8a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2h13a2 2 0 002-2v-4" />
+            <path d="M16 12h4v4h-4z" />
+            <circle cx="18" cy="14" r=".5" fill="currentColor" />
+        </svg>
+    );
+}
+
+export function IconCheck() {
+    return (
+        <svg className="alert-icon" viewBox="0 0 16 16" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+            <path d="M3 8l3 3 7-7" />
+        </svg>
+    );
+}
+
+export function IconX() {
+    return (
+        <svg className="alert-icon" viewBox="0 0 16 16" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+            <path d="M4 4l8 8M12 4l-8 8" />
+        </svg>
+    );
+}
+
+export function IconWarn() {
+    return (
+        <svg className="alert-icon" viewBox="0 0 16 16" fill="none" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" strokeLinejoin="round">
+            <path d="M8 2l6 12H2L8 2z" />
+            <path d="M8 7v3M8 11.5v.5" />
+        </svg>
+    );
+}
@@ -0,0 +1,93 @@
+import { useEffect } from "react";
+import { NavLink, Outlet, useLocation } from "react-router-dom";
+import { IconCheck, IconX, IconWarn } from "./Icons";
+import { useFaucet } from "../context/FaucetContext";
+import { fmtAmountInt, fmtDuration } from "../utils/format";
+
+function NavItem({ to, end, children }) {
+    return (
+        <NavLink to={to} end={end} className={({ isActive }) => "topbar-link" + (isActive ? " active" : "")}>
+            {children}
+        </NavLink>
+    );
+}
+
+// Topbar, alerts and footer around every page
+export default function Layout() {
+    const { network, msg, setMsg, switchNetwork, isAdmin, rules, currentToken } = useFaucet();
+    const { pathname } = useLocation();
+
+    // Alerts describe the page they were raised on
+    useEffect(() => {
+        setMsg(null);
+    }, [pathname]);
+
+    const symbol = currentToken.symbol;
+
+    return (
+        <div className="layout">
+
+            {/* Topbar */}
+            <header className="topbar">
+                <div className="topbar-brand">
+                    <div className="brand-mark">
+                        <svg viewBox="0 0 20 20" fill="white">
+                            <path d="M10 2C5.58 2 2 5.58 2 10s3.58 8 8 8 8-3.58 8-8-3.58-8-8-8zm0 3c.83 0 1.5.67 1.5 1.5S10.83 8 10 8s-1.5-.67-1.5-1.5S9.17 5 10 5zm0 10c-2.08 0-3.91-1.06-5-2.66.02-1.66 3.33-2.57 5-2.57s4.98.91 5 2.57C13.91 13.94 12.08 15 10 15z" />
+                        </svg>
+                    </div>
+                    <span className="brand-name">FCT / Faucet</span>
+                </div>
+                <nav className="topbar-nav">
+                    <NavItem to="/" end>Faucet</NavItem>
+                    <NavItem to="/history">History</NavItem>
+                    <NavItem to="/stats">Stats</NavItem>
+                    <NavItem to="/address">Lookup</NavItem>
+                    {isAdmin && <NavItem to="/admin">Admin</NavItem>}
+                </nav>
+                <div className="topbar-network">
+                    <span className="network-dot" />
+                    {network.name}
+                </div>
+            </header>
+
+            {/* Main */}
+            <main className="main">
+
+                {/* Alert */}
+                {msg && (
+                    <div className={"alert alert-" + msg.type}>
+                        {msg.type === "success" && <IconCheck />}
+                        {msg.type === "error" && <IconX />}
+                        {msg.type === "warning" && <IconWarn />}
+                        <span>{msg.text}</span>
+                    </div>
+                )}
+
+                {/* Wallet on a chain without a deployment */}
+                {network.wrongNetwork && (
+                    <div className="alert alert-warning">
+                        <IconWarn />
+                        <span>Your wallet is on a network where the faucet is not deployed.</span>
+                        <button className="btn btn-outline alert-action" onClick={switchNetwork}>
+                            Switch to {network.name}
+                        </button>
+                    </div>
+                )}
+
+                <Outlet />
+            </main>
+
+            {/* Footer */}
+            <footer className="footer">
+                <span className="footer-text">{network.name}</span>
+                <span className="footer-sep">·</span>
+                <span className="footer-text">{fmtDuration(rules.cooldownTime)} cooldown</span>
+                <span className="footer-sep">·</span>
+                <span className="footer-text">
+                    {fmtAmountInt(rules.maxClaimAmount, currentToken.decimals)} {symbol} lifetime max
+                </span>
+            </footer>
+
+        </div>
+    );
+}
@@ -0,0 +1,47 @@
+import { sameAddr, fmtAmount, fmtAmountInt, isClaimable } from "../utils/format";
+
+// One row per listed token; hidden while the faucet lists only one. A row's
+// Claim button follows the same eligibility as the claim panel's.
+export default function TokenList({ tokens, statuses, tier, selected, claiming, onSelect, onClaim }) {
+    if (tokens.length < 2) return null;
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <span className="panel-label">Tokens</span>
+            </div>
+            <div className="panel-body token-list">
+                {tokens.map((t) => {
+                    const status = statuses.find((st) => sameAddr(st.token, t.address));
+                    const active = sameAddr(t.address, selected);
+                    return (
+                        <div
+                            className={"token-row" + (active ? " active" : "")}
+                            key={t.address}
+                            onClick={() => onSelect(t.address)}
+                        >
+                            <div className="token-row-meta">
+                                <span className="token-row-symbol">{t.symbol}</span>
+                                <span className="token-row-name">{t.name}</span>
+                            </div>
+                            <span className="token-row-balance">
+                                {status ? fmtAmount(status.balance, t.decimals) : "—"}
+                            </span>
+                            <button
+                                className="btn btn-outline"
+                                onClick={(e) => {
+                                    e.stopPropagation();
+                                    onClaim(t);
+                                }}
+                                disabled={claiming || !status || !isClaimable(status, tier)}
+                            >
+                                {!t.enabled
+                                    ? "Disabled"
+                                    : "Claim " + fmtAmountInt(status ? status.faucetAmount : t.faucetAmount, t.decimals)}
+                            </button>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
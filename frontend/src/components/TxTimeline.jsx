@@ -0,0 +1,77 @@
+import ExplorerLink from "./ExplorerLink";
+import { useFaucet } from "../context/FaucetContext";
+import { TxState } from "../utils/txTracker";
+import { getNetwork, explorerTxUrl } from "../utils/networks";
+
+const TX_STEP_LABELS = {
+    [TxState.SUBMITTED]: "Submitted",
+    [TxState.PENDING]: "Pending",
+    [TxState.CONFIRMED]: "Confirmed",
+    [TxState.REVERTED]: "Reverted",
+    [TxState.REPLACED]: "Replaced",
+    [TxState.CANCELLED]: "Cancelled",
+};
+
+const TX_FAILED = [TxState.REVERTED, TxState.REPLACED, TxState.CANCELLED];
+
+// Lifecycle of each tracked transaction, one step per state it went through
+export default function TxTimeline() {
+    const { service, transactions, network } = useFaucet();
+    const target = service.txTracker.confirmations;
+    if (transactions.length === 0) return null;
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <span className="panel-label">Transactions</span>
+            </div>
+            <div className="panel-body tx-list">
+                {transactions.map((tx) => {
+                    const failed = TX_FAILED.includes(tx.state);
+                    const done = failed || tx.confirmations >= target;
+                    return (
+                        <div className="tx-item" key={tx.hash}>
+                            <div className="tx-item-header">
+                                <span className="tx-item-label">{tx.label}</span>
+                                <ExplorerLink href={explorerTxUrl(getNetwork(tx.chainId) || network, tx.hash)}>
+                                    {tx.hash.slice(0, 10)}
+                                </ExplorerLink>
+                                {done && (
+                                    <button className="btn btn-outline tx-dismiss" onClick={() => service.dismissTransaction(tx.hash)}>
+                                        Dismiss
+                                    </button>
+                                )}
+                            </div>
+                            <ol className="tx-steps">
+                                {tx.history.map((step, i) => {
+                                    const last = i === tx.history.length - 1;
+                                    const cls = TX_FAILED.includes(step.state)
+                                        ? "failed"
+                                        : last && !done
+                                        ? "active"
+                                        : "done";
+                                    return (
+                                        <li className={"tx-step " + cls} key={step.state}>
+                                            <span className="tx-step-dot" />
+                                            <span className="tx-step-name">
+                                                {TX_STEP_LABELS[step.state]}
+                                                {step.state === TxState.CONFIRMED &&
+                                                    " (" + Math.min(tx.confirmations, target) + "/" + target + ")"}
+                                            </span>
+                                            <span className="tx-step-time">
+                                                {new Date(step.at).toLocaleTimeString()}
+                                            </span>
+                                        </li>
+                                    );
+                                })}
+                            </ol>
+                            {failed && tx.reason && <p className="tx-reason">{tx.reason}</p>}
+                            {failed && tx.replacement && (
+                                <p className="tx-reason">Replaced by {tx.replacement.slice(0, 12)}...</p>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,58 @@
+import WalletPicker from "./WalletPicker";
+import { IconWallet } from "./Icons";
+import { useFaucet } from "../context/FaucetContext";
+import { ROLE_LABELS } from "../utils/contracts";
+import { shortAddr } from "../utils/format";
+
+// Connect prompt, or the connected address with its tier and roles
+export default function WalletPanel() {
+    const { connected, account, connectorName, connectors, connecting, connect, disconnect, tier, roles } = useFaucet();
+    return (
+        <div className="panel">
+            <div className="panel-header">
+                <span className="panel-label">Wallet</span>
+                {connected && (
+                    <button className="btn btn-outline" onClick={disconnect}>
+                        Disconnect
+                    </button>
+                )}
+            </div>
+            <div className="panel-body">
+                {!connected ? (
+                    <div className="connect-prompt">
+                        <div className="connect-icon">
+                            <IconWallet />
+                        </div>
+                        <h2>Connect your wallet</h2>
+                        <p>You need a browser wallet such as MetaMask to claim tokens from this faucet.</p>
+                        <WalletPicker connectors={connectors} connecting={connecting} onConnect={connect} />
+                    </div>
+                ) : (
+                    <div className="wallet-connected">
+                        <div className="wallet-info-left">
+                            <div className="wallet-avatar" />
+                            <div className="wallet-meta">
+                                <span className="wallet-status-label">
+                                    {connectorName ? "Connected with " + connectorName : "Connected address"}
+                                </span>
+                                <span className="wallet-addr">
+                                    {shortAddr(account)}
+                                    {tier && tier.id !== 0 && (
+                                        <span className={"tier-badge" + (tier.blocked ? " tier-badge-blocked" : "")}>
+                                            {tier.name}
+                                        </span>
+                                    )}
+                                    {roles.map((role) => (
+                                        <span className="tier-badge role-badge" key={role}>
+                                            {ROLE_LABELS[role]}
+                                        </span>
+                                    ))}
+                                </span>
+                            </div>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
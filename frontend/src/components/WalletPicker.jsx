@@ -0,0 +1,45 @@
+// One button per discovered wallet
+export default function WalletPicker({ connectors, connecting, onConnect }) {
+    const label = (c) =>
+        connecting === c.id ? (
+            <>
+                <span className="spinner" />
+                Connecting...
+            </>
+        ) : (
+            <>
+                {c.icon && <img className="wallet-option-icon" src={c.icon} alt="" />}
+                {"Connect " + c.name}
+            </>
+        );
+
+    if (connectors.length === 0) {
+        return (
+            <button className="btn btn-primary" onClick={() => onConnect()} disabled={!!connecting}>
+                Connect wallet
+            </button>
+        );
+    }
+    if (connectors.length === 1) {
+        const [only] = connectors;
+        return (
+            <button className="btn btn-primary" onClick={() => onConnect(only.id)} disabled={!!connecting}>
+                {label(only)}
+            </button>
+        );
+    }
+    return (
+        <div className="wallet-options">
+            {connectors.map((c) => (
+                <button
+                    className="btn btn-outline wallet-option"
+                    key={c.id}
+                    onClick={() => onConnect(c.id)}
+                    disabled={!!connecting}
+                >
+                    {label(c)}
+                </button>
+            ))}
+        </div>
+    );
+}
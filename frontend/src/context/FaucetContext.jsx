@@ -0,0 +1,314 @@
+import { createContext, useContext, useEffect, useReducer } from "react";
+import { ErrorCode } from "../utils/errors";
+import { FAUCET_ROLES } from "../utils/contracts";
+import { sameAddr, shortAddr, fmtAmountInt } from "../utils/format";
+import { useQuery } from "../hooks/useQuery";
+import { useWallet } from "../hooks/useWallet";
+import { useFaucetStatus } from "../hooks/useFaucetStatus";
+import { useClaim } from "../hooks/useClaim";
+
+// Wallet, chain and faucet state shared by every page. The provider owns the
+// Web3Service instance; components reach it through useFaucet() rather than
+// importing the module singleton, so a test can hand in its own.
+
+const FaucetContext = createContext(null);
+
+// FCT until the registry has loaded
+const FALLBACK_TOKEN = { symbol: "FCT", decimals: 18, primary: true };
+
+function initialState() {
+    return {
+        contracts: { token: "", faucet: "" },
+        params: { faucetAmount: "0", cooldownTime: 0, maxClaimAmount: "0" },
+        paused: false,
+        selectedToken: "",
+        transactions: [],
+        msg: null, // { type: 'success'|'error'|'warning', text: '' }
+    };
+}
+
+function reducer(state, action) {
+    switch (action.type) {
+        case "set":
+            return { ...state, ...action.values };
+        case "statusesLoaded": {
+            const primary = action.statuses[0];
+            return {
+                ...state,
+                paused: primary.paused,
+                // Statuses carry the address's tier limits; params are the
+                // faucet's own, which the admin panel edits
+                params:
+                    primary.tier === 0
+                        ? {
+                              faucetAmount: primary.faucetAmount,
+                              cooldownTime: primary.cooldownTime,
+                              maxClaimAmount: primary.maxClaimAmount,
+                          }
+                        : state.params,
+            };
+        }
+        default:
+            throw new Error("Unknown action: " + action.type);
+    }
+}
+
+// The selected token, the account's status for it and the rules that
+// apply: the status's own (tier limits included) once it has loaded.
+function selection(state) {
+    const token = state.tokens.find((t) => sameAddr(t.address, state.selectedToken)) || FALLBACK_TOKEN;
+    const status = state.statuses.find((st) => sameAddr(st.token, state.selectedToken)) || state.statuses[0] || null;
+    const rules = status || (token.primary ? state.params : token);
+    return { token, status, rules };
+}
+
+export function FaucetProvider({ service, children }) {
+    const [state, dispatch] = useReducer(reducer, null, initialState);
+    const set = (values) => dispatch({ type: "set", values });
+
+    const wallet = useWallet(service);
+    const { account, network } = wallet;
+    const chainId = network.chainId;
+    const status = useFaucetStatus(service, account, chainId);
+    const claims = useClaim(service);
+
+    const tokensQuery = useQuery(service, "tokens:" + chainId, () => service.getTokens());
+    const tokens = tokensQuery.data || [];
+    // The picked token while it is listed on this chain, otherwise the first
+    const selectedToken = tokens.some((t) => sameAddr(t.address, state.selectedToken))
+        ? state.selectedToken
+        : tokens.length > 0
+          ? tokens[0].address
+          : "";
+
+    // Capacity gauge follows the selected token
+    const budget = useQuery(service, "budget:" + chainId + ":" + selectedToken, () =>
+        service.getBudgetStatus(selectedToken || undefined)
+    );
+    const recent = useQuery(service, "recent:" + chainId, () => service.getRecentClaims({ limit: 10 }));
+    const accountKey = (name) => (account ? name + ":" + chainId + ":" + account.toLowerCase() : null);
+    const history = useQuery(service, accountKey("history"), () => service.getClaimHistory(account));
+    const roles = useQuery(service, accountKey("roles"), () => service.getRoles(account));
+
+    // ── Init ────────────────────────────────────────────────────────────────────
+
+    useEffect(() => {
+        set({ transactions: service.resumeTransactions() });
+        return service.onTransactionsChanged((transactions) => set({ transactions }));
+    }, [service]);
+
+    // Chain-wide data, re-read whenever the active chain changes
+    useEffect(() => {
+        set({ contracts: service.getContractAddresses() });
+        fetchParams();
+    }, [chainId]);
+
+    // Pause state and the faucet's own limits also come with every status read
+    useEffect(() => {
+        if (status.statuses.length > 0) dispatch({ type: "statusesLoaded", statuses: status.statuses });
+    }, [status.fetchedAt]);
+
+    // Live refresh — re-read state as soon as a relevant event lands.
+    // Re-runs on a chain switch so the subscription uses the new contracts.
+    useEffect(() => {
+        return service.subscribe(account || null, {
+            onClaim: (entry) => {
+                recent.refresh();
+                budget.refresh();
+                if (account && sameAddr(entry.user, account)) {
+                    status.refresh();
+                    history.refresh();
+                }
+            },
+            onPause: (isPaused) => {
+                set({ paused: isPaused });
+                status.refresh();
+            },
+            onTransfer: () => {
+                status.refresh();
+            },
+        });
+    }, [account, chainId]);
+
+    // ── Data fetch ──────────────────────────────────────────────────────────────
+
+    async function fetchParams() {
+        try {
+            const [params, paused] = await Promise.all([service.getFaucetParameters(), service.isPaused()]);
+            set({ params, paused });
+        } catch (err) {
+            console.error("fetchParams error:", err);
+        }
+    }
+
+    // ── Actions ─────────────────────────────────────────────────────────────────
+
+    async function connect(connectorId) {
+        set({ msg: null });
+        try {
+            await wallet.connect(connectorId);
+        } catch (err) {
+            set({ msg: { type: "error", text: err.message || "Wallet connection failed." } });
+        }
+    }
+
+    async function switchNetwork() {
+        set({ msg: null });
+        try {
+            await wallet.switchNetwork();
+        } catch (err) {
+            set({ msg: { type: "error", text: err.message || "Network switch failed." } });
+        }
+    }
+
+    function disconnect() {
+        wallet.disconnect();
+        set({ msg: null });
+    }
+
+    function selectToken(address) {
+        set({ selectedToken: address, msg: null });
+    }
+
+    const { token: currentToken, status: currentStatus, rules } = selection({
+        tokens,
+        selectedToken,
+        statuses: status.statuses,
+        params: state.params,
+    });
+
+    // `gasless` signs a claim request for the relayer instead of sending a
+    // transaction (primary token only). `token` defaults to the selected one.
+    async function claim({ gasless = false, token = currentToken } = {}) {
+        if (claims.claiming) return;
+        set({ msg: null });
+        const claimed = token.address || tokens[0]?.address;
+        const patch = (values) => status.patch(claimed, values);
+        const warn = (err) => set({ msg: { type: "warning", text: err.message } });
+        try {
+            // Progress is shown by the transaction timeline, not an alert
+            await claims.claim({ gasless, token: token.primary ? undefined : token.address });
+            // A read started before the claim landed would miss it
+            await status.refresh({ fresh: true });
+            history.refresh({ fresh: true });
+            recent.refresh({ fresh: true });
+            budget.refresh({ fresh: true });
+        } catch (err) {
+            switch (err.code) {
+                case ErrorCode.COOLDOWN:
+                    patch({ canClaim: false, timeUntilNextClaim: err.params.secondsRemaining });
+                    warn(err);
+                    break;
+                case ErrorCode.PAUSED:
+                    set({ paused: true });
+                    patch({ canClaim: false, paused: true });
+                    warn(err);
+                    break;
+                case ErrorCode.LIFETIME_LIMIT:
+                    patch({ canClaim: false, remainingAllowance: "0" });
+                    warn(err);
+                    break;
+                case ErrorCode.ADDRESS_BLOCKED:
+                case ErrorCode.NOT_ALLOWLISTED:
+                    patch({ canClaim: false });
+                    warn(err);
+                    status.refresh({ fresh: true });
+                    break;
+                case ErrorCode.DAILY_BUDGET_EXHAUSTED:
+                case ErrorCode.BUDGET_EXHAUSTED:
+                    patch({ canClaim: false });
+                    warn(err);
+                    budget.refresh({ fresh: true });
+                    break;
+                case ErrorCode.REJECTED:
+                case ErrorCode.REPLACED:
+                case ErrorCode.CANCELLED:
+                    warn(err);
+                    break;
+                default:
+                    set({ msg: { type: "error", text: err.message || "Claim failed." } });
+            }
+        }
+    }
+
+    // Funds another address with the primary token; its limits apply, not
+    // ours. Resolves true once the tokens are sent.
+    async function claimFor(recipient) {
+        if (claims.claiming) return false;
+        const to = recipient.trim();
+        const symbol = tokens.find((t) => t.primary)?.symbol || FALLBACK_TOKEN.symbol;
+        set({ msg: null });
+        try {
+            const hash = await claims.claimFor(to);
+            budget.refresh({ fresh: true });
+            recent.refresh({ fresh: true });
+            const amount = await service.getClaimedForAmount(hash);
+            const sent = (amount ? fmtAmountInt(amount) + " " : "") + symbol;
+            set({ msg: { type: "success", text: sent + " sent to " + shortAddr(to) + "." } });
+            return true;
+        } catch (err) {
+            const expected = [
+                ErrorCode.COOLDOWN,
+                ErrorCode.PAUSED,
+                ErrorCode.LIFETIME_LIMIT,
+                ErrorCode.INSUFFICIENT_ALLOWANCE,
+                ErrorCode.DAILY_BUDGET_EXHAUSTED,
+                ErrorCode.BUDGET_EXHAUSTED,
+                ErrorCode.ADDRESS_BLOCKED,
+                ErrorCode.NOT_ALLOWLISTED,
+                ErrorCode.REJECTED,
+            ].includes(err.code);
+            set({
+                msg: {
+                    type: expected ? "warning" : "error",
+                    text: "Recipient " + shortAddr(to) + ": " + (err.message || "Claim failed."),
+                },
+            });
+            return false;
+        }
+    }
+
+    const value = {
+        ...state,
+        service,
+        account,
+        network,
+        connectors: wallet.connectors,
+        connecting: wallet.connecting,
+        connected: !!account,
+        connectorName: service.connector ? service.connector.name : "",
+        tokens,
+        selectedToken,
+        statuses: status.statuses,
+        tier: status.tier,
+        budget: budget.data,
+        history: history.data || [],
+        loadingHistory: history.loading,
+        recentClaims: recent.data || [],
+        loadingRecent: recent.loading,
+        roles: roles.data || [],
+        isAdmin: (roles.data || []).some((role) => FAUCET_ROLES.includes(role)),
+        claiming: claims.claiming,
+        currentToken,
+        currentStatus,
+        rules,
+        connect,
+        disconnect,
+        switchNetwork,
+        selectToken,
+        claim,
+        claimFor,
+        setMsg: (msg) => set({ msg }),
+        // After an admin transaction: rules, pause state and roles may have changed
+        refreshAfterAdmin: () =>
+            Promise.all([fetchParams(), status.refresh({ fresh: true }), roles.refresh({ fresh: true })]),
+    };
+
+    return <FaucetContext.Provider value={value}>{children}</FaucetContext.Provider>;
+}
+
+export function useFaucet() {
+    const context = useContext(FaucetContext);
+    if (!context) throw new Error("useFaucet must be used inside a FaucetProvider");
+    return context;
+}
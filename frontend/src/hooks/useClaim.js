@@ -0,0 +1,59 @@
+import { useCallback, useRef, useState } from "react";
+import { useMountedRef } from "./useQuery";
+
+/**
+ * Sends claims through the service, one at a time: calling `claim()` or
+ * `claimFor()` while a claim is pending returns the pending promise instead
+ * of opening the wallet again.
+ *
+ * Both resolve with the transaction hash, the relayer's for a gasless claim.
+ * A failure — a FaucetError with a `code` — is stored in `error` and also
+ * rejects the call.
+ */
+export function useClaim(service) {
+    const [state, setState] = useState({ claiming: false, error: null, result: null });
+    const mounted = useMountedRef();
+    const pending = useRef(null);
+
+    const run = useCallback(
+        (send) => {
+            if (pending.current) return pending.current;
+            setState({ claiming: true, error: null, result: null });
+            const promise = Promise.resolve()
+                .then(send)
+                .then(
+                    (result) => {
+                        if (mounted.current) setState({ claiming: false, error: null, result });
+                        return result;
+                    },
+                    (error) => {
+                        if (mounted.current) setState({ claiming: false, error, result: null });
+                        throw error;
+                    }
+                )
+                .finally(() => {
+                    pending.current = null;
+                });
+            pending.current = promise;
+            return promise;
+        },
+        [service]
+    );
+
+    // `gasless` signs a claim request for the relayer instead of sending a
+    // transaction (primary token only). Without `token` the primary is claimed.
+    const claim = useCallback(
+        ({ token, gasless = false } = {}) =>
+            run(() => (gasless ? service.claimGasless() : service.requestTokens(token))),
+        [run]
+    );
+
+    // Funds `recipient` with the primary token; its limits apply, not ours
+    const claimFor = useCallback((recipient) => run(() => service.requestTokensFor(recipient.trim())), [run]);
+
+    const reset = useCallback(() => {
+        if (!pending.current) setState({ claiming: false, error: null, result: null });
+    }, []);
+
+    return { ...state, claim, claimFor, reset };
+}
@@ -0,0 +1,73 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { sameAddr } from "../utils/format";
+import { useQuery } from "./useQuery";
+
+// Whole seconds of cooldown left at `now`, counted from when it was read
+function cooldownLeft(status, now) {
+    return Math.max(0, status.timeUntilNextClaim - Math.floor(Math.max(0, now - status.fetchedAt) / 1000));
+}
+
+/**
+ * `account`'s status for every listed token plus its tier, read in one go
+ * and re-read when the account or chain changes. Each status carries the
+ * `fetchedAt` of its read and a `cooldown` that counts down locally once a
+ * second; the statuses are read again when the last cooldown runs out.
+ *
+ * Returns { statuses, tier, fetchedAt, loading, error, refresh, patch }.
+ * `patch(token, values)` overrides fields of one status until the next read,
+ * for what a failed claim revealed.
+ */
+export function useFaucetStatus(service, account, chainId) {
+    const key = account ? "status:" + chainId + ":" + account.toLowerCase() : null;
+    const query = useQuery(service, key, async () => {
+        const [statuses, tier] = await Promise.all([service.getUserStatuses(account), service.getTier(account)]);
+        const fetchedAt = Date.now();
+        return { statuses: statuses.map((st) => ({ ...st, fetchedAt })), tier, fetchedAt };
+    });
+    const { data, setData, refresh } = query;
+
+    const [now, setNow] = useState(() => Date.now());
+    const statuses = useMemo(
+        () => (data ? data.statuses.map((st) => ({ ...st, cooldown: cooldownLeft(st, now) })) : []),
+        [data, now]
+    );
+
+    // Tick only while something is cooling down
+    const cooling = statuses.some((st) => st.cooldown > 0);
+    const wasCooling = useRef(false);
+    useEffect(() => {
+        if (wasCooling.current && !cooling) refresh();
+        wasCooling.current = cooling;
+        if (!cooling) return;
+        const id = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(id);
+    }, [cooling]);
+
+    const patch = useCallback(
+        (token, values) => {
+            const fetchedAt = Date.now();
+            setNow(fetchedAt);
+            setData((current) =>
+                current
+                    ? {
+                          ...current,
+                          statuses: current.statuses.map((st) =>
+                              sameAddr(st.token, token) ? { ...st, ...values, fetchedAt } : st
+                          ),
+                      }
+                    : current
+            );
+        },
+        [setData]
+    );
+
+    return {
+        statuses,
+        tier: data ? data.tier : null,
+        fetchedAt: data ? data.fetchedAt : null,
+        loading: query.loading,
+        error: query.error,
+        refresh,
+        patch,
+    };
+}
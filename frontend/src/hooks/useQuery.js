@@ -0,0 +1,91 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+// Reads in flight, per service and key. Everyone asking for a key while a
+// read of it is pending shares that read instead of sending another.
+const inflight = new WeakMap();
+
+// `fresh` starts a new read even when one is pending — for callers that know
+// the pending one may predate a change, such as a claim that just landed.
+export function dedupe(service, key, fetcher, { fresh = false } = {}) {
+    let pending = inflight.get(service);
+    if (!pending) {
+        pending = new Map();
+        inflight.set(service, pending);
+    }
+    if (!fresh && pending.has(key)) return pending.get(key);
+
+    const promise = Promise.resolve()
+        .then(fetcher)
+        .finally(() => {
+            if (pending.get(key) === promise) pending.delete(key);
+        });
+    pending.set(key, promise);
+    return promise;
+}
+
+// False once the component has unmounted, so late answers are dropped.
+export function useMountedRef() {
+    const mounted = useRef(true);
+    useEffect(() => {
+        mounted.current = true;
+        return () => {
+            mounted.current = false;
+        };
+    }, []);
+    return mounted;
+}
+
+/**
+ * `fetcher()` read through `service` and kept in state under `key`. The read
+ * runs on mount and again whenever the key changes; a null key disables the
+ * query and clears its data. Answers that arrive after a newer read started,
+ * or after unmount, are dropped.
+ *
+ * Returns { data, loading, error, refresh, setData }. `refresh()` never
+ * rejects: it resolves with the data, or null with `error` set.
+ */
+export function useQuery(service, key, fetcher) {
+    const [state, setState] = useState({ data: null, loading: key !== null, error: null });
+    const mounted = useMountedRef();
+    const latest = useRef({ key, fetcher });
+    latest.current = { key, fetcher };
+    const seq = useRef(0);
+
+    const refresh = useCallback(
+        ({ fresh = false } = {}) => {
+            const { key, fetcher } = latest.current;
+            if (key === null) return Promise.resolve(null);
+            const id = ++seq.current;
+            const current = () => mounted.current && id === seq.current;
+            setState((s) => (s.loading ? s : { ...s, loading: true }));
+            return dedupe(service, key, fetcher, { fresh }).then(
+                (data) => {
+                    if (current()) setState({ data, loading: false, error: null });
+                    return data;
+                },
+                (error) => {
+                    if (current()) setState((s) => ({ ...s, loading: false, error }));
+                    return null;
+                }
+            );
+        },
+        [service]
+    );
+
+    useEffect(() => {
+        if (key === null) {
+            seq.current++;
+            setState({ data: null, loading: false, error: null });
+            return;
+        }
+        // The previous key's data describes something else
+        setState({ data: null, loading: true, error: null });
+        refresh();
+    }, [service, key]);
+
+    const setData = useCallback((update) => {
+        setState((s) => ({ ...s, data: typeof update === "function" ? update(s.data) : update }));
+    }, []);
+
+    return { ...state, refresh, setData };
+}
@@ -0,0 +1,105 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { FaucetError, ErrorCode } from "../utils/errors";
+import { dedupe, useMountedRef } from "./useQuery";
+
+/**
+ * The connected account, the active network and the wallets on offer,
+ * following the service's account, chain and connector events. Listeners
+ * are removed on unmount, and the silent reconnect on mount runs once per
+ * service even when StrictMode mounts twice.
+ *
+ * `connect()` and `switchNetwork()` store a failure in `error` and also
+ * reject with it. A second `connect()` while one is pending gets the same
+ * promise.
+ */
+export function useWallet(service) {
+    const [account, setAccount] = useState("");
+    const [network, setNetwork] = useState(() => service.getNetwork());
+    const [connectors, setConnectors] = useState(() => service.getConnectors());
+    const [connecting, setConnecting] = useState(""); // connector id while connecting
+    const [error, setError] = useState(null);
+    const mounted = useMountedRef();
+    const pending = useRef(null);
+    const networkRef = useRef(network);
+    networkRef.current = network;
+
+    const disconnect = useCallback(() => {
+        service.disconnectWallet();
+        setAccount("");
+        setError(null);
+    }, [service]);
+
+    useEffect(() => {
+        let active = true;
+        const stopConnectors = service.onConnectorsChanged(setConnectors);
+        const stopAccounts = service.onAccountsChanged((accounts) => {
+            if (!accounts || accounts.length === 0) disconnect();
+            else setAccount(accounts[0]);
+        });
+        // The service switches providers and addresses itself — no reload
+        const stopNetwork = service.onChainChanged(setNetwork);
+
+        // Restore the last session without a wallet prompt
+        dedupe(service, "reconnect", () => service.reconnect()).then((addr) => {
+            if (active && addr) setAccount(addr);
+        });
+
+        return () => {
+            active = false;
+            stopConnectors();
+            stopAccounts();
+            stopNetwork();
+        };
+    }, [service]);
+
+    // `connectorId` picks the wallet; without it the service picks one
+    const connect = useCallback(
+        (connectorId) => {
+            if (pending.current) return pending.current;
+            setConnecting(connectorId || "default");
+            setError(null);
+            const promise = (async () => {
+                if (!service.isWalletAvailable()) {
+                    throw new FaucetError(
+                        ErrorCode.NO_WALLET,
+                        "No wallet detected. Install a browser wallet such as MetaMask and refresh."
+                    );
+                }
+                return service.connectWallet(connectorId);
+            })()
+                .then(
+                    (addr) => {
+                        if (mounted.current) setAccount(addr);
+                        return addr;
+                    },
+                    (err) => {
+                        if (mounted.current) setError(err);
+                        throw err;
+                    }
+                )
+                .finally(() => {
+                    pending.current = null;
+                    if (mounted.current) setConnecting("");
+                });
+            pending.current = promise;
+            return promise;
+        },
+        [service]
+    );
+
+    // Defaults to the chain the app is reading from
+    const switchNetwork = useCallback(
+        async (chainId = networkRef.current.chainId) => {
+            setError(null);
+            try {
+                await service.switchNetwork(chainId);
+            } catch (err) {
+                if (mounted.current) setError(err);
+                throw err;
+            }
+        },
+        [service]
+    );
+
+    return { account, network, connectors, connecting, error, connect, disconnect, switchNetwork };
+}
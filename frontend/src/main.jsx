@@ -1,10 +1,17 @@
 import "./utils/eval";
 import React from "react";
 import ReactDOM from "react-dom/client";
+import { BrowserRouter } from "react-router-dom";
 import App from "./App";
+import { FaucetProvider } from "./context/FaucetContext";
+import web3Service from "./utils/web3";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
     <React.StrictMode>
-        <App />
+        <BrowserRouter>
+            <FaucetProvider service={web3Service}>
+                <App />
+            </FaucetProvider>
+        </BrowserRouter>
     </React.StrictMode>
 );
@@ -0,0 +1,174 @@
+import { useState, useEffect } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import ClaimList from "../components/ClaimList";
+import { useFaucet } from "../context/FaucetContext";
+import { sameAddr, shortAddr, fmtAmount, fmtAmountInt, fmtTime, isClaimable } from "../utils/format";
+
+// /address/:address — any address or ENS name; the URL is the share link
+export default function AddressPage() {
+    const { service, tokens, network } = useFaucet();
+    const navigate = useNavigate();
+    const query = useParams().address || ""; // what is being shown
+    const [input, setInput] = useState(query);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState("");
+    const [loading, setLoading] = useState(false);
+    const [copied, setCopied] = useState(false);
+    const [now, setNow] = useState(() => Date.now());
+
+    // Back/forward moves between lookups; keep the field in step
+    useEffect(() => {
+        setInput(query);
+    }, [query]);
+
+    useEffect(() => {
+        setResult(null);
+        setError("");
+        if (!query) return;
+        let cancelled = false;
+        setLoading(true);
+        service
+            .lookupAddress(query)
+            .then((r) => {
+                if (!cancelled) setResult({ ...r, fetchedAt: Date.now() });
+            })
+            .catch((err) => {
+                if (!cancelled) setError(err.message);
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [query, network.chainId]);
+
+    // Countdown tick while any token is cooling down
+    const cooling = !!result && result.statuses.some((st) => st.timeUntilNextClaim > 0);
+    useEffect(() => {
+        if (!cooling) return;
+        const id = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(id);
+    }, [cooling]);
+
+    function submit(e) {
+        e.preventDefault();
+        setCopied(false);
+        navigate("/address/" + encodeURIComponent(input.trim()));
+    }
+
+    function clear() {
+        navigate("/address");
+    }
+
+    async function copyLink() {
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            setCopied(true);
+        } catch {
+            // Clipboard blocked — the address bar still has the link
+        }
+    }
+
+    // `now` can predate the lookup until the first tick
+    const elapsed = result ? Math.max(0, Math.floor((now - result.fetchedAt) / 1000)) : 0;
+
+    // The faucet's own verdict, with the reason when it says no. A cooldown
+    // counts down locally, so once it ends the other checks decide.
+    function statusText(st, token) {
+        const { tier, budgets } = result;
+        if (st.paused) return "Paused";
+        if (token && !token.enabled) return "Disabled";
+        if (tier && tier.blocked) return "Not allowed to claim";
+        if (tier && !tier.onAllowlist) return "Not on the allowlist";
+        if (BigInt(st.remainingAllowance) < BigInt(st.faucetAmount)) return "Limit reached";
+        const wait = st.timeUntilNextClaim - elapsed;
+        if (wait > 0) return "Next claim in " + fmtTime(wait);
+        const budget = budgets.find((b) => sameAddr(b.token, st.token));
+        const budgetLeft = (remaining) => remaining === null || BigInt(remaining) >= BigInt(st.faucetAmount);
+        if (budget && !budgetLeft(budget.remainingTotal)) return "Faucet budget used up";
+        if (budget && !budgetLeft(budget.remainingToday)) return "Daily budget reached";
+        if (st.timeUntilNextClaim > 0 || isClaimable(st, tier)) return "Can claim now";
+        return "Cannot claim now";
+    }
+
+    return (
+        <>
+            <div className="page-title">
+                <h1>Address lookup</h1>
+                <p>Balances, limits and claims of any address or ENS name — no wallet needed</p>
+            </div>
+
+            <div className="panel">
+                <div className="panel-header">
+                    <span className="panel-label">Check an address</span>
+                    {loading && <span className="spinner spinner-dark" />}
+                </div>
+                <div className="panel-body">
+                    <form className="lookup-form" onSubmit={submit}>
+                        <input
+                            className="admin-input lookup-input"
+                            type="text"
+                            placeholder="0x... or name.eth"
+                            value={input}
+                            onChange={(e) => setInput(e.target.value)}
+                        />
+                        <button className="btn btn-outline" type="submit" disabled={loading || !input.trim()}>
+                            Check
+                        </button>
+                        {query && (
+                            <button className="btn btn-outline" type="button" onClick={clear}>
+                                Clear
+                            </button>
+                        )}
+                    </form>
+
+                    {error && <p className="lookup-error">{error}</p>}
+
+                    {result && (
+                        <div className="lookup-result">
+                            <div className="lookup-header">
+                                <span className="wallet-addr">
+                                    {result.ensName ? result.ensName + " · " : ""}
+                                    {shortAddr(result.address)}
+                                </span>
+                                <button className="btn btn-outline" type="button" onClick={copyLink}>
+                                    {copied ? "Link copied" : "Copy link"}
+                                </button>
+                            </div>
+                            <div className="contract-list">
+                                {result.statuses.map((st) => {
+                                    const token = tokens.find((t) => sameAddr(t.address, st.token));
+                                    const decimals = token ? token.decimals : 18;
+                                    const tokenSymbol = token ? token.symbol : shortAddr(st.token);
+                                    return (
+                                        <div className="contract-row lookup-row" key={st.token}>
+                                            <span className="contract-row-label">{tokenSymbol}</span>
+                                            <span className="lookup-stat">
+                                                {fmtAmount(st.balance, decimals)} held
+                                            </span>
+                                            <span className="lookup-stat">
+                                                {fmtAmountInt(st.remainingAllowance, decimals)} left
+                                            </span>
+                                            <span className="contract-row-addr">{statusText(st, token)}</span>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            {result && (
+                <ClaimList
+                    title={"Claims by " + (result.ensName || shortAddr(result.address))}
+                    claims={result.history}
+                    loading={loading}
+                    network={network}
+                    emptyText="This address has not claimed yet."
+                />
+            )}
+        </>
+    );
+}
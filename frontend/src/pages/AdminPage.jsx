@@ -0,0 +1,33 @@
+import AdminPanel from "../components/AdminPanel";
+import TxTimeline from "../components/TxTimeline";
+import WalletPanel from "../components/WalletPanel";
+import { useFaucet } from "../context/FaucetContext";
+
+// /admin — only useful to a wallet holding one of the faucet roles; the
+// contract enforces them, this page just hides controls nobody else can use
+export default function AdminPage() {
+    const { connected, isAdmin } = useFaucet();
+    return (
+        <>
+            <div className="page-title">
+                <h1>Admin</h1>
+                <p>Faucet parameters, pausing and role management</p>
+            </div>
+
+            {!connected ? (
+                <WalletPanel />
+            ) : isAdmin ? (
+                <>
+                    <AdminPanel />
+                    <TxTimeline />
+                </>
+            ) : (
+                <div className="panel">
+                    <div className="panel-body">
+                        <p className="admin-empty">This wallet holds no faucet role.</p>
+                    </div>
+                </div>
+            )}
+        </>
+    );
+}
@@ -0,0 +1,320 @@
+import { useState, useEffect } from "react";
+import { ethers } from "ethers";
+import WalletPanel from "../components/WalletPanel";
+import TokenList from "../components/TokenList";
+import FaucetCapacity from "../components/FaucetCapacity";
+import TxTimeline from "../components/TxTimeline";
+import ExplorerLink from "../components/ExplorerLink";
+import { useFaucet } from "../context/FaucetContext";
+import { useQuery } from "../hooks/useQuery";
+import { explorerAddressUrl } from "../utils/networks";
+import {
+    shortAddr,
+    fmtAmount,
+    fmtAmountInt,
+    fmtETH,
+    fmtTime,
+    fmtDuration,
+    allowancePct,
+    isClaimable,
+} from "../utils/format";
+
+// The claim page: wallet, balances, the claim card and contract addresses
+export default function FaucetPage() {
+    const {
+        service,
+        connected,
+        account,
+        network,
+        contracts,
+        paused,
+        tokens,
+        statuses,
+        selectedToken,
+        selectToken,
+        tier,
+        budget,
+        claiming,
+        claim,
+        claimFor,
+        currentToken,
+        currentStatus,
+        rules,
+    } = useFaucet();
+    const [recipient, setRecipient] = useState("");
+    const [gasCost, setGasCost] = useState(null);
+
+    // ── Derived state ───────────────────────────────────────────────────────────
+
+    const symbol = currentToken.symbol;
+    const balance = currentStatus ? currentStatus.balance : "0";
+    const remainingAllowance = currentStatus ? currentStatus.remainingAllowance : "0";
+    const eligibleToClaim = !!currentStatus && isClaimable(currentStatus, tier);
+    // Counts down from the last read instead of re-reading every second
+    const cooldown = currentStatus ? currentStatus.cooldown : 0;
+
+    // What is left may be too little for one more claim
+    const lifetimeExhausted = BigInt(remainingAllowance) < BigInt(rules.faucetAmount);
+    const isReady = eligibleToClaim && cooldown === 0 && !lifetimeExhausted;
+    const isWaiting = cooldown > 0;
+    const notEligible = !!tier && (tier.blocked || !tier.onAllowlist);
+    // Faucet-wide limits, independent of this address
+    const budgetLeft = (remaining) => remaining === null || BigInt(remaining) >= BigInt(rules.faucetAmount);
+    const dailyBudgetExhausted = !!budget && !budgetLeft(budget.remainingToday);
+    const totalBudgetExhausted = !!budget && !budgetLeft(budget.remainingTotal);
+    const pct = allowancePct(remainingAllowance, rules.maxClaimAmount);
+    const timerStr = fmtTime(cooldown);
+    const claimAmount = fmtAmountInt(rules.faucetAmount, currentToken.decimals);
+    const maxAmount = fmtAmountInt(rules.maxClaimAmount, currentToken.decimals);
+    const cooldownStr = fmtDuration(rules.cooldownTime);
+    const gaslessAvailable = service.isRelayerConfigured() && currentToken.primary;
+
+    // The recipient's tier sets what a claim for them sends, not ours
+    const recipientAddress = ethers.isAddress(recipient.trim()) ? recipient.trim().toLowerCase() : null;
+    const recipientStatus = useQuery(
+        service,
+        recipientAddress && "recipient:" + network.chainId + ":" + recipientAddress,
+        () => service.getUserStatus(recipientAddress)
+    );
+    const recipientAmount = recipientStatus.data ? recipientStatus.data.faucetAmount : null;
+
+    // Pre-flight estimate for the claim hint, refreshed whenever eligibility flips
+    useEffect(() => {
+        if (!account || !eligibleToClaim) {
+            setGasCost(null);
+            return;
+        }
+        let cancelled = false;
+        service.simulateClaim(account, selectedToken || undefined).then((result) => {
+            if (!cancelled) setGasCost(result.ok ? result.gasCost : null);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [account, eligibleToClaim, selectedToken]);
+
+    async function sendToRecipient() {
+        if (await claimFor(recipient)) setRecipient("");
+    }
+
+    return (
+        <>
+            <div className="page-title">
+                <h1>Token Faucet</h1>
+                <p>Claim {claimAmount} {symbol} every {cooldownStr} — up to {maxAmount} {symbol} per address</p>
+            </div>
+
+            <WalletPanel />
+
+            <FaucetCapacity budget={budget} token={currentToken} />
+
+            {/* Balances — only when connected */}
+            {connected && (
+                <>
+                    <TokenList
+                        tokens={tokens}
+                        statuses={statuses}
+                        tier={tier}
+                        selected={selectedToken}
+                        claiming={claiming}
+                        onSelect={selectToken}
+                        onClaim={(token) => {
+                            selectToken(token.address);
+                            claim({ token });
+                        }}
+                    />
+
+                    <div className="stats-row">
+                        <div className="stat-box">
+                            <div className="stat-box-label">Token Balance</div>
+                            <div className="stat-box-value">
+                                {fmtAmount(balance, currentToken.decimals)}
+                                <span className="stat-box-unit">{symbol}</span>
+                            </div>
+                        </div>
+                        <div className="stat-box">
+                            <div className="stat-box-label">Lifetime Remaining</div>
+                            <div className="stat-box-value">
+                                {fmtAmountInt(remainingAllowance, currentToken.decimals)}
+                                <span className="stat-box-unit">/ {maxAmount} {symbol}</span>
+                            </div>
+                            <div className="allowance-bar-wrap">
+                                <div className="allowance-bar-track">
+                                    <div className="allowance-bar-fill" style={{ width: pct + "%" }} />
+                                </div>
+                                <div className="allowance-bar-labels">
+                                    <span>claimed</span>
+                                    <span>{(100 - pct).toFixed(0)}%</span>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Claim panel */}
+                    <div className="panel">
+                        <div className="claim-status-row">
+                            <div className="claim-status-left">
+                                {paused && (
+                                    <>
+                                        <span className="claim-status-tag exhausted">
+                                            <span className="dot" /> Paused
+                                        </span>
+                                        <span className="claim-desc">The faucet owner has paused claims.</span>
+                                    </>
+                                )}
+                                {!paused && notEligible && (
+                                    <>
+                                        <span className="claim-status-tag exhausted">
+                                            <span className="dot" /> Not eligible
+                                        </span>
+                                        <span className="claim-desc">
+                                            {tier.blocked
+                                                ? "This address is not allowed to claim from the faucet."
+                                                : "This address is not on the faucet's allowlist."}
+                                        </span>
+                                    </>
+                                )}
+                                {!paused && isReady && (
+                                    <>
+                                        <span className="claim-status-tag ready">
+                                            <span className="dot" /> Ready
+                                        </span>
+                                        <span className="claim-desc">Your {cooldownStr} cooldown has elapsed.</span>
+                                    </>
+                                )}
+                                {isWaiting && (
+                                    <>
+                                        <span className="claim-status-tag waiting">
+                                            <span className="dot" /> Cooldown
+                                        </span>
+                                        <span className="claim-desc">Next claim available after timer ends.</span>
+                                    </>
+                                )}
+                                {lifetimeExhausted && (
+                                    <>
+                                        <span className="claim-status-tag exhausted">
+                                            <span className="dot" /> Limit Reached
+                                        </span>
+                                        <span className="claim-desc">
+                                            {remainingAllowance === "0"
+                                                ? "Maximum " + maxAmount + " " + symbol + " per address has been claimed."
+                                                : "Only " + fmtAmountInt(remainingAllowance, currentToken.decimals) + " " + symbol +
+                                                  " of the " + maxAmount + " " + symbol + " per address is left, less than one claim."}
+                                        </span>
+                                    </>
+                                )}
+                            </div>
+                            {isWaiting && timerStr && (
+                                <div className="timer-display">{timerStr}</div>
+                            )}
+                        </div>
+
+                        <div className="claim-action">
+                            <button
+                                className="btn btn-primary"
+                                onClick={() => claim()}
+                                disabled={!isReady || claiming}
+                            >
+                                {claiming ? (
+                                    <>
+                                        <span className="spinner" />
+                                        Sending transaction...
+                                    </>
+                                ) : paused ? (
+                                    "Faucet paused"
+                                ) : notEligible ? (
+                                    "Not eligible"
+                                ) : isWaiting ? (
+                                    "Waiting for cooldown"
+                                ) : lifetimeExhausted ? (
+                                    "Limit reached"
+                                ) : totalBudgetExhausted ? (
+                                    "Faucet budget used up"
+                                ) : dailyBudgetExhausted ? (
+                                    "Daily budget reached"
+                                ) : (
+                                    "Claim " + claimAmount + " " + symbol
+                                )}
+                            </button>
+                            {isReady && gaslessAvailable && (
+                                <button
+                                    className="btn btn-outline"
+                                    onClick={() => claim({ gasless: true })}
+                                    disabled={claiming}
+                                >
+                                    Claim without gas
+                                </button>
+                            )}
+                            {isReady && (
+                                <p className="claim-hint">
+                                    One transaction. {claimAmount} {symbol} will be minted to your address.
+                                    {gasCost && " Estimated gas: ~" + fmtETH(gasCost) + " ETH."}
+                                    {gaslessAvailable &&
+                                        " No ETH? Sign a request and a relayer pays the gas."}
+                                </p>
+                            )}
+                        </div>
+
+                        {currentToken.primary && !paused && (
+                            <div className="claim-for">
+                                <label className="admin-row-label" htmlFor="claim-recipient">
+                                    Claim for another address
+                                </label>
+                                <div className="claim-for-row">
+                                    <input
+                                        id="claim-recipient"
+                                        className="admin-input claim-for-input"
+                                        type="text"
+                                        placeholder="0x..."
+                                        value={recipient}
+                                        onChange={(e) => setRecipient(e.target.value)}
+                                    />
+                                    <button
+                                        className="btn btn-outline"
+                                        onClick={sendToRecipient}
+                                        disabled={claiming || !recipientAddress}
+                                    >
+                                        {recipientAmount
+                                            ? "Send " + fmtAmountInt(recipientAmount, currentToken.decimals) + " " + symbol
+                                            : "Send " + symbol}
+                                    </button>
+                                </div>
+                                <p className="claim-hint">
+                                    You pay the gas. The recipient's cooldown and lifetime limit apply, not yours.
+                                </p>
+                            </div>
+                        )}
+                    </div>
+
+                    <TxTimeline />
+
+                    {/* Contract addresses */}
+                    <div className="panel">
+                        <div className="panel-header">
+                            <span className="panel-label">Contracts</span>
+                        </div>
+                        <div className="panel-body">
+                            <div className="contract-list">
+                                <div className="contract-row">
+                                    <span className="contract-row-label">Token</span>
+                                    <span className="contract-row-addr">{shortAddr(contracts.token)}</span>
+                                    <ExplorerLink href={explorerAddressUrl(network, contracts.token)}>
+                                        Explorer
+                                    </ExplorerLink>
+                                </div>
+                                <div className="contract-row">
+                                    <span className="contract-row-label">Faucet</span>
+                                    <span className="contract-row-addr">{shortAddr(contracts.faucet)}</span>
+                                    <ExplorerLink href={explorerAddressUrl(network, contracts.faucet)}>
+                                        Explorer
+                                    </ExplorerLink>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </>
+            )}
+
+        </>
+    );
+}
@@ -0,0 +1,37 @@
+import ClaimList from "../components/ClaimList";
+import WalletPanel from "../components/WalletPanel";
+import { useFaucet } from "../context/FaucetContext";
+
+// /history — the connected wallet's claims and the latest claims by anyone
+export default function HistoryPage() {
+    const { connected, network, history, loadingHistory, recentClaims, loadingRecent } = useFaucet();
+    return (
+        <>
+            <div className="page-title">
+                <h1>Claim history</h1>
+                <p>Your own claims and the most recent ones across the faucet</p>
+            </div>
+
+            {connected ? (
+                <ClaimList
+                    title="Your claims"
+                    claims={history}
+                    loading={loadingHistory}
+                    network={network}
+                    emptyText="You have not claimed yet."
+                />
+            ) : (
+                <WalletPanel />
+            )}
+
+            <ClaimList
+                title="Recent claims"
+                claims={recentClaims}
+                loading={loadingRecent}
+                network={network}
+                showUser
+                emptyText="No claims yet."
+            />
+        </>
+    );
+}
@@ -0,0 +1,15 @@
+import FaucetStats from "../components/FaucetStats";
+
+// /stats — usage figures, readable without a wallet
+export default function StatsPage() {
+    return (
+        <>
+            <div className="page-title">
+                <h1>Statistics</h1>
+                <p>Distribution, claimers and daily activity of this faucet</p>
+            </div>
+
+            <FaucetStats />
+        </>
+    );
+}
@@ -0,0 +1,115 @@
+// Wallet connectors. Each connector wraps one EIP-1193 provider:
+//
+//   { id, name, icon, getProvider() }
+//
+// getProvider() may return a promise, so connectors that open a session
+// first (WalletConnect and the like) fit the same shape via registerConnector.
+// Injected wallets are discovered through EIP-6963 announcements; a plain
+// window.ethereum is kept as a fallback for wallets that predate it.
+
+const LAST_CONNECTOR_KEY = "faucet.connector";
+export const INJECTED_ID = "injected";
+
+const connectors = new Map();
+const listeners = new Set();
+let discovering = false;
+
+function notify() {
+    const list = getConnectors();
+    listeners.forEach((listener) => listener(list));
+}
+
+// The announced uuid changes on every page load, so the rdns (e.g.
+// "io.metamask") is what identifies a wallet across sessions.
+function onAnnounce(event) {
+    const { info, provider } = event.detail || {};
+    if (!info || !provider) return;
+    const id = info.rdns || info.uuid;
+    connectors.set(id, { id, name: info.name, icon: info.icon || "", getProvider: () => provider });
+    notify();
+}
+
+function injectedConnector() {
+    if (typeof window === "undefined" || !window.ethereum) return null;
+    return {
+        id: INJECTED_ID,
+        name: window.ethereum.isMetaMask ? "MetaMask" : "Browser wallet",
+        icon: "",
+        getProvider: () => window.ethereum,
+    };
+}
+
+// Starts listening for announcements and asks wallets already on the page
+// to announce themselves. Safe to call more than once.
+export function startDiscovery() {
+    if (discovering || typeof window === "undefined") return;
+    discovering = true;
+    window.addEventListener("eip6963:announceProvider", onAnnounce);
+    window.dispatchEvent(new Event("eip6963:requestProvider"));
+}
+
+// Adds a non-injected connector. Replaces any connector with the same id.
+export function registerConnector(connector) {
+    connectors.set(connector.id, connector);
+    notify();
+}
+
+// Every usable connector. window.ethereum is listed only when no announced
+// wallet already provides it.
+export function getConnectors() {
+    startDiscovery();
+    const list = [...connectors.values()];
+    const injected = injectedConnector();
+    if (injected && !list.some((c) => c.getProvider() === window.ethereum)) list.push(injected);
+    return list;
+}
+
+export function getConnector(id) {
+    if (!id) return null;
+    return getConnectors().find((c) => c.id === id) || null;
+}
+
+// Wallet extensions may announce after the page has loaded, so silent
+// reconnect waits briefly for the remembered one.
+export function findConnector(id, timeoutMs = 500) {
+    const found = getConnector(id);
+    if (found || !id) return Promise.resolve(found);
+    return new Promise((resolve) => {
+        const unsubscribe = onConnectorsChanged(() => {
+            const connector = getConnector(id);
+            if (!connector) return;
+            clearTimeout(timer);
+            unsubscribe();
+            resolve(connector);
+        });
+        const timer = setTimeout(() => {
+            unsubscribe();
+            resolve(null);
+        }, timeoutMs);
+    });
+}
+
+export function onConnectorsChanged(listener) {
+    listeners.add(listener);
+    return () => {
+        listeners.delete(listener);
+    };
+}
+
+// The connector of the last successful connection, for silent reconnect.
+export function getLastConnectorId() {
+    try {
+        return localStorage.getItem(LAST_CONNECTOR_KEY);
+    } catch {
+        return null;
+    }
+}
+
+export function setLastConnectorId(id) {
+    try {
+        if (id) localStorage.setItem(LAST_CONNECTOR_KEY, id);
+        else localStorage.removeItem(LAST_CONNECTOR_KEY);
+    } catch {
+        // Storage unavailable (private mode) — reconnect just won't happen
+    }
+}
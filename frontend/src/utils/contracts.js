@@ -1,8 +1,31 @@
+import { ethers } from "ethers";
+
+// AccessControl role ids by the names the app and the roles task use.
+// ADMIN is DEFAULT_ADMIN_ROLE, which grants and revokes the others.
+export const ROLE_IDS = {
+    ADMIN: ethers.ZeroHash,
+    PAUSER: ethers.id("PAUSER_ROLE"),
+    CONFIG_ADMIN: ethers.id("CONFIG_ADMIN_ROLE"),
+    MINTER: ethers.id("MINTER_ROLE"),
+};
+
+// Faucet roles the admin panel grants and revokes; MINTER lives on the
+// tokens and is managed with the roles task.
+export const FAUCET_ROLES = ["ADMIN", "PAUSER", "CONFIG_ADMIN"];
+
+export const ROLE_LABELS = {
+    ADMIN: "Admin",
+    PAUSER: "Pauser",
+    CONFIG_ADMIN: "Config admin",
+    MINTER: "Minter",
+};
+
 export const TOKEN_ABI = [
     "function name() view returns (string)",
     "function symbol() view returns (string)",
     "function decimals() view returns (uint8)",
     "function totalSupply() view returns (uint256)",
+    "function maxSupply() view returns (uint256)",
     "function balanceOf(address) view returns (uint256)",
     "function transfer(address to, uint256 amount) returns (bool)",
     "function allowance(address owner, address spender) view returns (uint256)",
@@ -10,19 +33,124 @@ export const TOKEN_ABI = [
     "function transferFrom(address from, address to, uint256 amount) returns (bool)",
     "event Transfer(address indexed from, address indexed to, uint256 value)",
     "event Approval(address indexed owner, address indexed spender, uint256 value)",
+    "function MINTER_ROLE() view returns (bytes32)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "error TokenZeroAddress()",
+    "error TokenUnauthorizedMinter(address caller)",
+    "error TokenMaxSupplyExceeded(uint256 requested, uint256 available)",
 ];
 
 export const FAUCET_ABI = [
     "function requestTokens() external",
+    "function requestTokensFor(address recipient) external",
+    "function requestTokensWithProof(bytes32[] proof) external",
+    "function verifyAllowlist(address user, bytes32[] proof) external",
+    "function claimToken(address token) external",
+    "function requestTokensWithSignature(address user, uint256 deadline, bytes signature, bytes32[] proof) external",
+    "function nonces(address owner) view returns (uint256)",
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+    "function PAUSER_ROLE() view returns (bytes32)",
+    "function CONFIG_ADMIN_ROLE() view returns (bytes32)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+    "function grantRole(bytes32 role, address account) external",
+    "function revokeRole(bytes32 role, address account) external",
+    "function renounceRole(bytes32 role, address callerConfirmation) external",
+    "function setPaused(bool _paused) external",
+    "function setFaucetAmount(uint256 _amount) external",
+    "function setCooldownTime(uint256 _cooldown) external",
+    "function setMaxClaimAmount(uint256 _max) external",
+    "function addToken(address _token, uint256 _amount, uint256 _cooldown, uint256 _max, uint256 _dailyCap, uint256 _totalBudget) external",
+    "function configureToken(address _token, uint256 _amount, uint256 _cooldown, uint256 _max) external",
+    "function setTokenEnabled(address _token, bool _enabled) external",
+    "function setTokenBudget(address _token, uint256 _dailyCap, uint256 _totalBudget) external",
+    "function addTier(string name, bool blocked) external returns (uint256)",
+    "function updateTier(uint256 tierId, string name, bool blocked) external",
+    "function setTierLimits(uint256 tierId, address _token, uint256 _amount, uint256 _cooldown, uint256 _max) external",
+    "function clearTierLimits(uint256 tierId, address _token) external",
+    "function assignTier(address[] users, uint256 tierId) external",
+    "function setAllowlistRoot(bytes32 root) external",
     "function canClaim(address user) view returns (bool)",
     "function remainingAllowance(address user) view returns (uint256)",
     "function isPaused() view returns (bool)",
     "function lastClaimAt(address user) view returns (uint256)",
     "function totalClaimed(address user) view returns (uint256)",
     "function timeUntilNextClaim(address user) view returns (uint256)",
-    "function FAUCET_AMOUNT() view returns (uint256)",
-    "function COOLDOWN_TIME() view returns (uint256)",
-    "function MAX_CLAIM_AMOUNT() view returns (uint256)",
+    "function getUserStatus(address user) view returns (tuple(address token, uint256 balance, uint256 lastClaimAt, uint256 totalClaimed, uint256 remainingAllowance, uint256 timeUntilNextClaim, bool canClaim, bool paused, uint256 faucetAmount, uint256 cooldownTime, uint256 maxClaimAmount, uint256 blockNumber, uint256 timestamp, uint256 tier, bool allowlisted))",
+    "function getUserTokenStatus(address _token, address user) view returns (tuple(address token, uint256 balance, uint256 lastClaimAt, uint256 totalClaimed, uint256 remainingAllowance, uint256 timeUntilNextClaim, bool canClaim, bool paused, uint256 faucetAmount, uint256 cooldownTime, uint256 maxClaimAmount, uint256 blockNumber, uint256 timestamp, uint256 tier, bool allowlisted))",
+    "function countAtLifetimeLimit(address _token, address[] users) view returns (uint256)",
+    "function getUserStatuses(address user) view returns (tuple(address token, uint256 balance, uint256 lastClaimAt, uint256 totalClaimed, uint256 remainingAllowance, uint256 timeUntilNextClaim, bool canClaim, bool paused, uint256 faucetAmount, uint256 cooldownTime, uint256 maxClaimAmount, uint256 blockNumber, uint256 timestamp, uint256 tier, bool allowlisted)[])",
+    "function getTokens() view returns (address[])",
+    "function isFaucetToken(address token) view returns (bool)",
+    "function tokenConfigs(address token) view returns (uint256 faucetAmount, uint256 cooldownTime, uint256 maxClaimAmount, bool enabled)",
+    "function canClaimToken(address _token, address user) view returns (bool)",
+    "function tokenRemainingAllowance(address _token, address user) view returns (uint256)",
+    "function tokenTimeUntilNextClaim(address _token, address user) view returns (uint256)",
+    "function tokenLastClaimAt(address token, address user) view returns (uint256)",
+    "function tokenTotalClaimed(address token, address user) view returns (uint256)",
+    "function faucetAmount() view returns (uint256)",
+    "function cooldownTime() view returns (uint256)",
+    "function maxClaimAmount() view returns (uint256)",
+    "function DEFAULT_FAUCET_AMOUNT() view returns (uint256)",
+    "function DEFAULT_COOLDOWN_TIME() view returns (uint256)",
+    "function DEFAULT_MAX_CLAIM_AMOUNT() view returns (uint256)",
+    "function DEFAULT_DAILY_CAP() view returns (uint256)",
+    "function DEFAULT_TOTAL_BUDGET() view returns (uint256)",
+    "function tokenBudgets(address token) view returns (uint256 dailyCap, uint256 totalBudget)",
+    "function tokenIssuedOnDay(address token, uint256 day) view returns (uint256)",
+    "function tokenIssuedTotal(address token) view returns (uint256)",
+    "function remainingDailyBudget() view returns (uint256)",
+    "function remainingTotalBudget() view returns (uint256)",
+    "function tokenRemainingDailyBudget(address _token) view returns (uint256)",
+    "function tokenRemainingTotalBudget(address _token) view returns (uint256)",
+    "function getBudgetStatus(address _token) view returns (tuple(address token, uint256 dailyCap, uint256 issuedToday, uint256 remainingToday, uint256 totalBudget, uint256 issuedTotal, uint256 remainingTotal, uint256 resetsAt))",
+    "function tierCount() view returns (uint256)",
+    "function getTier(uint256 tierId) view returns (tuple(string name, bool blocked))",
+    "function tierLimits(uint256 tierId, address token) view returns (uint256 faucetAmount, uint256 cooldownTime, uint256 maxClaimAmount, bool set)",
+    "function userTier(address user) view returns (uint256)",
+    "function getUserLimits(address _token, address user) view returns (uint256 faucetAmount, uint256 cooldownTime, uint256 maxClaimAmount)",
+    "function allowlistRoot() view returns (bytes32)",
+    "function allowlistProvenRoot(address user) view returns (bytes32)",
+    "function isAllowlisted(address user) view returns (bool)",
     "event TokensClaimed(address indexed user, uint256 amount, uint256 timestamp)",
+    "event TokensClaimedFor(address indexed payer, address indexed recipient, uint256 amount, uint256 timestamp)",
+    "event TokenClaimed(address indexed token, address indexed user, uint256 amount, uint256 timestamp)",
     "event FaucetPaused(bool paused)",
+    "event FaucetAmountUpdated(uint256 oldAmount, uint256 newAmount)",
+    "event CooldownTimeUpdated(uint256 oldCooldown, uint256 newCooldown)",
+    "event MaxClaimAmountUpdated(uint256 oldMax, uint256 newMax)",
+    "event TokenAdded(address indexed token, uint256 faucetAmount, uint256 cooldownTime, uint256 maxClaimAmount)",
+    "event TokenConfigured(address indexed token, uint256 faucetAmount, uint256 cooldownTime, uint256 maxClaimAmount)",
+    "event TokenEnabledUpdated(address indexed token, bool enabled)",
+    "event ClaimRelayed(address indexed user, address indexed relayer, uint256 nonce)",
+    "event TokenBudgetUpdated(address indexed token, uint256 dailyCap, uint256 totalBudget)",
+    "event TierUpdated(uint256 indexed tierId, string name, bool blocked)",
+    "event TierLimitsUpdated(uint256 indexed tierId, address indexed token, uint256 faucetAmount, uint256 cooldownTime, uint256 maxClaimAmount)",
+    "event TierLimitsCleared(uint256 indexed tierId, address indexed token)",
+    "event TierAssigned(address indexed user, uint256 indexed tierId)",
+    "event AllowlistRootUpdated(bytes32 root)",
+    "event AllowlistVerified(address indexed user, bytes32 root)",
+    "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+    "error FaucetZeroAddress()",
+    "error FaucetIsPaused()",
+    "error FaucetCooldownActive(uint256 secondsRemaining)",
+    "error FaucetLifetimeLimitReached(uint256 claimed, uint256 maxClaimAmount)",
+    "error FaucetInsufficientAllowance(uint256 remaining, uint256 requested)",
+    "error FaucetInvalidAmount(uint256 amount, uint256 maxClaimAmount)",
+    "error FaucetInvalidMaxClaimAmount(uint256 maxClaimAmount, uint256 faucetAmount)",
+    "error FaucetSignatureExpired(uint256 deadline)",
+    "error FaucetInvalidSignature(address user)",
+    "error FaucetTokenNotListed(address token)",
+    "error FaucetTokenAlreadyListed(address token)",
+    "error FaucetTokenDisabled(address token)",
+    "error FaucetDailyBudgetExhausted(uint256 remaining, uint256 requested, uint256 resetsAt)",
+    "error FaucetBudgetExhausted(uint256 remaining, uint256 requested)",
+    "error FaucetUnknownTier(uint256 tierId)",
+    "error FaucetAddressBlocked(address user)",
+    "error FaucetNotAllowlisted(address user)",
+    "error FaucetInvalidProof(address user)",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "error AccessControlBadConfirmation()",
 ];
@@ -0,0 +1,33 @@
+// Deployment records from deployments/<network>.json, inlined by vite.config.js.
+// Each record holds the network name, chainId, contract addresses, the block
+// the contracts were deployed at, and the chain's public RPC, explorer and
+// native currency (see networks.js).
+
+/* global __DEPLOYMENTS__ */
+const DEPLOYMENTS = typeof __DEPLOYMENTS__ !== "undefined" ? __DEPLOYMENTS__ : {};
+
+export function getDeployments() {
+    return Object.values(DEPLOYMENTS);
+}
+
+export function getDeployment(chainId) {
+    return (
+        Object.values(DEPLOYMENTS).find((d) => Number(d.chainId) === Number(chainId)) || null
+    );
+}
+
+// First block worth scanning for faucet logs. VITE_DEPLOYMENT_BLOCK overrides
+// the recorded value on the default chain (VITE_CHAIN_ID). The record is only
+// trusted when it describes the faucet the app is pointed at; otherwise 0
+// means "scan from genesis" (fine locally).
+export function getDeploymentBlock(chainId, faucetAddress) {
+    const override = import.meta.env.VITE_DEPLOYMENT_BLOCK;
+    const defaultChainId = parseInt(import.meta.env.VITE_CHAIN_ID || "11155111");
+    if (override && Number(chainId) === defaultChainId) return parseInt(override);
+    const deployment = getDeployment(chainId);
+    if (!deployment || !deployment.blockNumber) return 0;
+    if (faucetAddress && String(deployment.faucet).toLowerCase() !== faucetAddress.toLowerCase()) {
+        return 0;
+    }
+    return Number(deployment.blockNumber);
+}
@@ -0,0 +1,243 @@
+import { ethers } from "ethers";
+import { TOKEN_ABI, FAUCET_ABI, ROLE_IDS } from "./contracts";
+
+// Stable codes for every failure the UI and window.__EVAL__ may branch on.
+export const ErrorCode = {
+    PAUSED: "PAUSED",
+    COOLDOWN: "COOLDOWN",
+    LIFETIME_LIMIT: "LIFETIME_LIMIT",
+    INSUFFICIENT_ALLOWANCE: "INSUFFICIENT_ALLOWANCE",
+    INVALID_AMOUNT: "INVALID_AMOUNT",
+    INVALID_MAX_CLAIM_AMOUNT: "INVALID_MAX_CLAIM_AMOUNT",
+    SIGNATURE_EXPIRED: "SIGNATURE_EXPIRED",
+    INVALID_SIGNATURE: "INVALID_SIGNATURE",
+    TOKEN_NOT_LISTED: "TOKEN_NOT_LISTED",
+    TOKEN_ALREADY_LISTED: "TOKEN_ALREADY_LISTED",
+    TOKEN_DISABLED: "TOKEN_DISABLED",
+    DAILY_BUDGET_EXHAUSTED: "DAILY_BUDGET_EXHAUSTED",
+    BUDGET_EXHAUSTED: "BUDGET_EXHAUSTED",
+    UNKNOWN_TIER: "UNKNOWN_TIER",
+    ADDRESS_BLOCKED: "ADDRESS_BLOCKED",
+    NOT_ALLOWLISTED: "NOT_ALLOWLISTED",
+    INVALID_PROOF: "INVALID_PROOF",
+    RELAYER_UNAVAILABLE: "RELAYER_UNAVAILABLE",
+    MAX_SUPPLY_EXCEEDED: "MAX_SUPPLY_EXCEEDED",
+    UNAUTHORIZED_MINTER: "UNAUTHORIZED_MINTER",
+    ZERO_ADDRESS: "ZERO_ADDRESS",
+    MISSING_ROLE: "MISSING_ROLE",
+    UNKNOWN_ROLE: "UNKNOWN_ROLE",
+    INVALID_ADDRESS: "INVALID_ADDRESS",
+    ENS_NOT_FOUND: "ENS_NOT_FOUND",
+    REJECTED: "REJECTED",
+    REVERTED: "REVERTED",
+    REPLACED: "REPLACED",
+    CANCELLED: "CANCELLED",
+    NO_WALLET: "NO_WALLET",
+    WRONG_NETWORK: "WRONG_NETWORK",
+    UNSUPPORTED_NETWORK: "UNSUPPORTED_NETWORK",
+    UNKNOWN: "UNKNOWN",
+};
+
+/**
+ * Error thrown by Web3Service for any failed contract interaction.
+ * `code` is one of ErrorCode; `params` holds the decoded custom error
+ * arguments as plain strings/numbers (e.g. { secondsRemaining: 3600 }).
+ */
+export class FaucetError extends Error {
+    constructor(code, message, params = {}, cause = undefined) {
+        super(message);
+        this.name = "FaucetError";
+        this.code = code;
+        this.params = params;
+        if (cause) this.cause = cause;
+    }
+}
+
+// Token errors bubble up through faucet calls, so decode against both ABIs.
+const errorInterface = new ethers.Interface([
+    ...FAUCET_ABI.filter((f) => f.startsWith("error ")),
+    ...TOKEN_ABI.filter((f) => f.startsWith("error ")),
+]);
+
+function fmtWait(sec) {
+    const h = Math.floor(sec / 3600);
+    const m = Math.floor((sec % 3600) / 60);
+    if (h > 0) return h + "h " + m + "m";
+    if (m > 0) return m + "m " + (sec % 60) + "s";
+    return sec + "s";
+}
+
+// Amounts in faucet errors are in the claimed token's units. Callers that
+// claim another listed token pass its decimals and symbol.
+const PRIMARY_UNIT = { decimals: 18, symbol: "FCT" };
+
+function fmtTokens(raw, unit) {
+    return ethers.formatUnits(raw, unit.decimals) + " " + unit.symbol;
+}
+
+// Maps a decoded custom error to a code, params and a user-facing message.
+const DECODERS = {
+    FaucetIsPaused: () => [ErrorCode.PAUSED, {}, "The faucet is currently paused."],
+    FaucetCooldownActive: ([secondsRemaining]) => {
+        const sec = Number(secondsRemaining);
+        return [
+            ErrorCode.COOLDOWN,
+            { secondsRemaining: sec },
+            "Cooldown period not elapsed. Try again in " + fmtWait(sec) + ".",
+        ];
+    },
+    FaucetLifetimeLimitReached: ([claimed, maxClaimAmount], unit) => [
+        ErrorCode.LIFETIME_LIMIT,
+        { claimed: claimed.toString(), maxClaimAmount: maxClaimAmount.toString() },
+        "You have reached the maximum lifetime claim limit of " + fmtTokens(maxClaimAmount, unit) + ".",
+    ],
+    FaucetInsufficientAllowance: ([remaining, requested], unit) => [
+        ErrorCode.INSUFFICIENT_ALLOWANCE,
+        { remaining: remaining.toString(), requested: requested.toString() },
+        "Only " + fmtTokens(remaining, unit) + " of lifetime allowance left, less than one claim.",
+    ],
+    FaucetInvalidAmount: ([amount, maxClaimAmount], unit) => [
+        ErrorCode.INVALID_AMOUNT,
+        { amount: amount.toString(), maxClaimAmount: maxClaimAmount.toString() },
+        "Claim amount must be above zero and at most " + fmtTokens(maxClaimAmount, unit) + ".",
+    ],
+    FaucetInvalidMaxClaimAmount: ([maxClaimAmount, faucetAmount], unit) => [
+        ErrorCode.INVALID_MAX_CLAIM_AMOUNT,
+        { maxClaimAmount: maxClaimAmount.toString(), faucetAmount: faucetAmount.toString() },
+        "Lifetime maximum cannot be below the claim amount of " + fmtTokens(faucetAmount, unit) + ".",
+    ],
+    FaucetSignatureExpired: ([deadline]) => [
+        ErrorCode.SIGNATURE_EXPIRED,
+        { deadline: Number(deadline) },
+        "The signed claim request has expired. Sign a new one.",
+    ],
+    FaucetInvalidSignature: ([user]) => [
+        ErrorCode.INVALID_SIGNATURE,
+        { user },
+        "The claim signature is invalid or has already been used.",
+    ],
+    FaucetTokenNotListed: ([token]) => [
+        ErrorCode.TOKEN_NOT_LISTED,
+        { token },
+        "This token is not offered by the faucet.",
+    ],
+    FaucetTokenAlreadyListed: ([token]) => [
+        ErrorCode.TOKEN_ALREADY_LISTED,
+        { token },
+        "This token is already listed.",
+    ],
+    FaucetTokenDisabled: ([token]) => [
+        ErrorCode.TOKEN_DISABLED,
+        { token },
+        "Claims of this token are currently disabled.",
+    ],
+    FaucetDailyBudgetExhausted: ([remaining, requested, resetsAt]) => {
+        const reset = Number(resetsAt);
+        const wait = Math.max(0, reset - Math.floor(Date.now() / 1000));
+        return [
+            ErrorCode.DAILY_BUDGET_EXHAUSTED,
+            { remaining: remaining.toString(), requested: requested.toString(), resetsAt: reset },
+            "The faucet has given out today's budget. Claims reopen in " + fmtWait(wait) + ".",
+        ];
+    },
+    FaucetBudgetExhausted: ([remaining, requested]) => [
+        ErrorCode.BUDGET_EXHAUSTED,
+        { remaining: remaining.toString(), requested: requested.toString() },
+        "The faucet's total budget for this token is used up.",
+    ],
+    FaucetUnknownTier: ([tierId]) => [
+        ErrorCode.UNKNOWN_TIER,
+        { tierId: Number(tierId) },
+        "Tier " + tierId + " does not exist.",
+    ],
+    FaucetAddressBlocked: ([user]) => [
+        ErrorCode.ADDRESS_BLOCKED,
+        { user },
+        "This address is not allowed to claim from the faucet.",
+    ],
+    FaucetNotAllowlisted: ([user]) => [
+        ErrorCode.NOT_ALLOWLISTED,
+        { user },
+        "This address is not on the faucet's allowlist.",
+    ],
+    FaucetInvalidProof: ([user]) => [
+        ErrorCode.INVALID_PROOF,
+        { user },
+        "The allowlist proof does not match the faucet's current allowlist.",
+    ],
+    TokenMaxSupplyExceeded: ([requested, available]) => [
+        ErrorCode.MAX_SUPPLY_EXCEEDED,
+        { requested: requested.toString(), available: available.toString() },
+        "The token's maximum supply has been reached.",
+    ],
+    TokenUnauthorizedMinter: ([caller]) => [
+        ErrorCode.UNAUTHORIZED_MINTER,
+        { caller },
+        "The faucet is not the token's minter.",
+    ],
+    FaucetZeroAddress: () => [ErrorCode.ZERO_ADDRESS, {}, "Address cannot be zero."],
+    TokenZeroAddress: () => [ErrorCode.ZERO_ADDRESS, {}, "Address cannot be zero."],
+    AccessControlUnauthorizedAccount: ([account, neededRole]) => {
+        const role = Object.keys(ROLE_IDS).find((name) => ROLE_IDS[name] === neededRole) || neededRole;
+        return [
+            ErrorCode.MISSING_ROLE,
+            { account, role },
+            "This needs the " + role + " role, which the connected account does not hold.",
+        ];
+    },
+    AccessControlBadConfirmation: () => [
+        ErrorCode.MISSING_ROLE,
+        {},
+        "An account can only renounce its own roles.",
+    ],
+};
+
+// Revert data hides in different places depending on which provider
+// (MetaMask, Hardhat, a JSON-RPC node) produced the error.
+function findRevertData(error) {
+    const candidates = [
+        error?.data,
+        error?.info?.error?.data,
+        error?.error?.data,
+        error?.info?.error?.data?.data,
+        error?.error?.data?.data,
+    ];
+    return candidates.find((d) => typeof d === "string" && d.startsWith("0x") && d.length >= 10);
+}
+
+/**
+ * Turns anything thrown by ethers or the wallet into a FaucetError.
+ * Custom errors are decoded from revert data; user rejections and
+ * unknown failures get their own codes. `unit` ({ decimals, symbol }) formats
+ * amounts in messages and defaults to the primary token.
+ */
+export function decodeFaucetError(error, fallbackPrefix = "Transaction failed", unit = PRIMARY_UNIT) {
+    if (error instanceof FaucetError) return error;
+
+    let name = error?.revert?.name;
+    let args = error?.revert?.args;
+    if (!name || !DECODERS[name]) {
+        const data = findRevertData(error);
+        if (data) {
+            try {
+                const parsed = errorInterface.parseError(data);
+                if (parsed) {
+                    name = parsed.name;
+                    args = parsed.args;
+                }
+            } catch {
+                // Not one of ours — fall through
+            }
+        }
+    }
+    if (name && DECODERS[name]) {
+        const [code, params, message] = DECODERS[name](args || [], unit);
+        return new FaucetError(code, message, params, error);
+    }
+
+    const msg = error?.message || String(error);
+    if (error?.code === "ACTION_REJECTED" || msg.includes("user rejected") || msg.includes("ACTION_REJECTED")) {
+        return new FaucetError(ErrorCode.REJECTED, "Transaction was rejected.", {}, error);
+    }
+    return new FaucetError(ErrorCode.UNKNOWN, fallbackPrefix + ": " + (error?.shortMessage || msg), {}, error);
+}
@@ -1,4 +1,14 @@
 import web3Service from "./web3.js";
+import { FaucetError, ErrorCode } from "./errors.js";
+
+// Prefixes the message for readability but keeps the FaucetError code and
+// params, so automated callers can branch on err.code instead of the text.
+function evalError(label, err) {
+    const wrapped = new Error(label + " failed: " + err.message);
+    wrapped.code = err instanceof FaucetError ? err.code : ErrorCode.UNKNOWN;
+    wrapped.params = err instanceof FaucetError ? err.params : {};
+    return wrapped;
+}
 
 window.__EVAL__ = {
     connectWallet: async () => {
@@ -7,7 +17,7 @@ window.__EVAL__ = {
             if (!address) throw new Error("No address returned from connectWallet");
             return String(address);
         } catch (err) {
-            throw new Error("connectWallet failed: " + err.message);
+            throw evalError("connectWallet", err);
         }
     },
 
@@ -17,7 +27,18 @@ window.__EVAL__ = {
             if (!txHash) throw new Error("No transaction hash returned");
             return String(txHash);
         } catch (err) {
-            throw new Error("requestTokens failed: " + err.message);
+            throw evalError("requestTokens", err);
+        }
+    },
+
+    requestTokensFor: async (recipient) => {
+        try {
+            if (!recipient) throw new Error("recipient parameter is required");
+            const txHash = await web3Service.requestTokensFor(String(recipient));
+            if (!txHash) throw new Error("No transaction hash returned");
+            return String(txHash);
+        } catch (err) {
+            throw evalError("requestTokensFor", err);
         }
     },
 
@@ -27,7 +48,7 @@ window.__EVAL__ = {
             const balance = await web3Service.getBalance(String(address));
             return String(balance);
         } catch (err) {
-            throw new Error("getBalance failed: " + err.message);
+            throw evalError("getBalance", err);
         }
     },
 
@@ -37,7 +58,7 @@ window.__EVAL__ = {
             const result = await web3Service.canClaim(String(address));
             return Boolean(result);
         } catch (err) {
-            throw new Error("canClaim failed: " + err.message);
+            throw evalError("canClaim", err);
         }
     },
 
@@ -47,14 +68,13 @@ window.__EVAL__ = {
             const allowance = await web3Service.getRemainingAllowance(String(address));
             return String(allowance);
         } catch (err) {
-            throw new Error("getRemainingAllowance failed: " + err.message);
+            throw evalError("getRemainingAllowance", err);
         }
     },
 
+    // The active network's contracts, which change when the wallet switches chain
     getContractAddresses: async () => {
-        return {
-            token: import.meta.env.VITE_TOKEN_ADDRESS || "",
-            faucet: import.meta.env.VITE_FAUCET_ADDRESS || "",
-        };
+        const { token, faucet } = web3Service.getContractAddresses();
+        return { token: token || "", faucet: faucet || "" };
     },
 };
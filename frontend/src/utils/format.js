@@ -0,0 +1,86 @@
+import { ethers } from "ethers";
+
+// Formatting and address helpers shared by the pages and components.
+
+export function shortAddr(addr) {
+    if (!addr) return "";
+    return addr.slice(0, 6) + "..." + addr.slice(-4);
+}
+
+export function sameAddr(a, b) {
+    return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+}
+
+// Token amounts in the token's own decimals (FCT and most tokens use 18)
+export function fmtAmount(raw, decimals = 18) {
+    try {
+        return parseFloat(ethers.formatUnits(raw, decimals)).toFixed(2);
+    } catch {
+        return "0.00";
+    }
+}
+
+export function fmtAmountInt(raw, decimals = 18) {
+    try {
+        return parseFloat(ethers.formatUnits(raw, decimals)).toFixed(0);
+    } catch {
+        return "0";
+    }
+}
+
+export function fmtETH(raw) {
+    try {
+        return parseFloat(ethers.formatEther(raw)).toPrecision(2);
+    } catch {
+        return "0";
+    }
+}
+
+export function fmtTime(sec) {
+    if (!sec || sec <= 0) return null;
+    const h = Math.floor(sec / 3600);
+    const m = Math.floor((sec % 3600) / 60);
+    const s = sec % 60;
+    const pad = (n) => String(n).padStart(2, "0");
+    if (h > 0) return pad(h) + ":" + pad(m) + ":" + pad(s);
+    return pad(m) + ":" + pad(s);
+}
+
+// Human-readable cooldown, e.g. "24 hours" or "1 hour 30 minutes"
+export function fmtDuration(sec) {
+    if (!sec || sec <= 0) return "0 seconds";
+    const h = Math.floor(sec / 3600);
+    const m = Math.floor((sec % 3600) / 60);
+    const unit = (n, word) => n + " " + word + (n === 1 ? "" : "s");
+    const parts = [];
+    if (h > 0) parts.push(unit(h, "hour"));
+    if (m > 0) parts.push(unit(m, "minute"));
+    if (parts.length === 0) parts.push(unit(sec, "second"));
+    return parts.join(" ");
+}
+
+// Percentage of lifetime allowance remaining (0–100)
+export function allowancePct(raw, maxRaw) {
+    try {
+        const remaining = parseFloat(ethers.formatEther(raw));
+        const max = parseFloat(ethers.formatEther(maxRaw));
+        if (max <= 0) return 0;
+        return Math.min(100, Math.max(0, (remaining / max) * 100));
+    } catch {
+        return 100;
+    }
+}
+
+// An address on the allowlist that hasn't proven its entry yet reads as
+// ineligible on-chain, but its claim carries the proof, so judge it by the
+// other limits.
+export function isClaimable(status, tier) {
+    if (status.canClaim) return true;
+    if (status.allowlisted || !tier || !tier.onAllowlist || tier.blocked || status.paused) return false;
+    return status.timeUntilNextClaim === 0 && BigInt(status.remainingAllowance) >= BigInt(status.faucetAmount);
+}
+
+export function fmtDate(ts) {
+    if (!ts) return "";
+    return new Date(ts * 1000).toLocaleString();
+}
@@ -0,0 +1,79 @@
+// Decoded logs per block range, kept in IndexedDB so a reload does not
+// re-scan ranges it has already read. Entries are keyed by a scope (chain,
+// contract and event) plus the range, and are never updated: a range is
+// only stored once it is deep enough below the head not to change.
+// Without IndexedDB (private windows, tests) every lookup misses.
+
+const DB_NAME = "faucet-log-cache";
+const DB_VERSION = 1;
+const STORE = "ranges";
+
+function defaultFactory() {
+    try {
+        return typeof indexedDB !== "undefined" ? indexedDB : null;
+    } catch {
+        return null;
+    }
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export class LogCache {
+    constructor({ factory = defaultFactory() } = {}) {
+        this._factory = factory;
+        this._db = null;
+    }
+
+    static key(scope, fromBlock, toBlock) {
+        return scope + ":" + fromBlock + "-" + toBlock;
+    }
+
+    // The entries stored for exactly this range, or null.
+    async get(scope, fromBlock, toBlock) {
+        const db = await this._open();
+        if (!db) return null;
+        try {
+            const store = db.transaction(STORE, "readonly").objectStore(STORE);
+            const record = await promisify(store.get(LogCache.key(scope, fromBlock, toBlock)));
+            return record ? record.entries : null;
+        } catch (err) {
+            console.warn("log cache read error:", err.message);
+            return null;
+        }
+    }
+
+    async put(scope, fromBlock, toBlock, entries) {
+        const db = await this._open();
+        if (!db) return;
+        try {
+            const store = db.transaction(STORE, "readwrite").objectStore(STORE);
+            await promisify(
+                store.put({ key: LogCache.key(scope, fromBlock, toBlock), scope, fromBlock, toBlock, entries })
+            );
+        } catch (err) {
+            // Quota or a closed database — the next visit scans the range again
+            console.warn("log cache write error:", err.message);
+        }
+    }
+
+    _open() {
+        if (!this._factory) return Promise.resolve(null);
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const request = this._factory.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: "key" });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch((err) => {
+                console.warn("IndexedDB unavailable, log ranges will not be cached:", err.message);
+                return null;
+            });
+        }
+        return this._db;
+    }
+}
@@ -0,0 +1,52 @@
+import { ethers } from "ethers";
+
+// Merkle allowlist helpers, the same algorithm as scripts/merkle.js (which
+// the deploy tooling uses to compute the root): double-hashed ABI-encoded
+// addresses as leaves, sorted leaves, sorted pairs, odd node carried up.
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+function leafHash(address) {
+    return ethers.keccak256(ethers.keccak256(coder.encode(["address"], [address])));
+}
+
+function hashPair(a, b) {
+    return ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+}
+
+function buildTree(addresses) {
+    const leaves = [...new Set(addresses.map((a) => leafHash(ethers.getAddress(a))))].sort();
+    const levels = [leaves];
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+        levels.push(next);
+    }
+    return levels;
+}
+
+// Root of the allowlist `addresses`; the zero hash for an empty list, which
+// turns the allowlist off.
+export function getMerkleRoot(addresses) {
+    if (!addresses.length) return ethers.ZeroHash;
+    const levels = buildTree(addresses);
+    return levels[levels.length - 1][0];
+}
+
+// Proof that `address` is on the list, or null if it isn't.
+export function getMerkleProof(addresses, address) {
+    if (!addresses.length) return null;
+    const levels = buildTree(addresses);
+    let index = levels[0].indexOf(leafHash(ethers.getAddress(address)));
+    if (index === -1) return null;
+    const proof = [];
+    for (const level of levels.slice(0, -1)) {
+        const sibling = index ^ 1;
+        if (sibling < level.length) proof.push(level[sibling]);
+        index = Math.floor(index / 2);
+    }
+    return proof;
+}
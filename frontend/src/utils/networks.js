@@ -0,0 +1,85 @@
+import { getDeployments, getDeploymentBlock } from "./deployments";
+
+// Registry of every chain the app can talk to, keyed by chain ID. Entries
+// come from deployments/<network>.json (addresses, RPC, explorer, native
+// currency). The VITE_* variables describe the default chain and override
+// its record, so an .env-only setup keeps working without a deployment file.
+
+export const DEFAULT_CHAIN_ID = parseInt(import.meta.env.VITE_CHAIN_ID || "11155111");
+
+const DEFAULT_CURRENCY = { name: "Ether", symbol: "ETH", decimals: 18 };
+
+function fromDeployment(d) {
+    const chainId = Number(d.chainId);
+    return {
+        chainId,
+        name: d.name || d.network || "Chain " + chainId,
+        rpcUrl: d.rpcUrl || "",
+        // Public endpoint handed to wallet_addEthereumChain — never the keyed VITE_RPC_URL
+        walletRpcUrl: d.rpcUrl || "",
+        wsRpcUrl: "",
+        explorerUrl: (d.explorerUrl || "").replace(/\/$/, ""),
+        nativeCurrency: d.nativeCurrency || DEFAULT_CURRENCY,
+        token: d.token || "",
+        faucet: d.faucet || "",
+        deploymentBlock: getDeploymentBlock(chainId, d.faucet),
+    };
+}
+
+function buildRegistry() {
+    const registry = new Map();
+    for (const deployment of getDeployments()) {
+        if (deployment.chainId === undefined) continue;
+        const network = fromDeployment(deployment);
+        registry.set(network.chainId, network);
+    }
+
+    const env = import.meta.env;
+    const base = registry.get(DEFAULT_CHAIN_ID) || fromDeployment({ chainId: DEFAULT_CHAIN_ID });
+    const faucet = env.VITE_FAUCET_ADDRESS || base.faucet;
+    registry.set(DEFAULT_CHAIN_ID, {
+        ...base,
+        rpcUrl: env.VITE_RPC_URL || base.rpcUrl,
+        wsRpcUrl: env.VITE_WS_RPC_URL || "",
+        token: env.VITE_TOKEN_ADDRESS || base.token,
+        faucet,
+        deploymentBlock: getDeploymentBlock(DEFAULT_CHAIN_ID, faucet),
+    });
+    return registry;
+}
+
+const NETWORKS = buildRegistry();
+
+// Returns the network record for `chainId`, or null if the app has no
+// deployment there.
+export function getNetwork(chainId) {
+    return NETWORKS.get(Number(chainId)) || null;
+}
+
+export function getNetworks() {
+    return [...NETWORKS.values()];
+}
+
+export function toHexChainId(chainId) {
+    return "0x" + Number(chainId).toString(16);
+}
+
+// Explorer links; null when the chain has no explorer (e.g. a local node).
+export function explorerTxUrl(network, hash) {
+    return network?.explorerUrl ? network.explorerUrl + "/tx/" + hash : null;
+}
+
+export function explorerAddressUrl(network, address) {
+    return network?.explorerUrl ? network.explorerUrl + "/address/" + address : null;
+}
+
+// wallet_addEthereumChain parameters for a registry entry.
+export function toAddChainParams(network) {
+    return {
+        chainId: toHexChainId(network.chainId),
+        chainName: network.name,
+        rpcUrls: [network.walletRpcUrl || network.rpcUrl],
+        nativeCurrency: network.nativeCurrency,
+        blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined,
+    };
+}
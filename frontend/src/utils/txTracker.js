@@ -0,0 +1,381 @@
+import { FaucetError, ErrorCode, decodeFaucetError } from "./errors";
+
+// Lifecycle of a tracked transaction. CONFIRMED repeats as confirmations
+// accumulate; REVERTED, REPLACED and CANCELLED are terminal failures.
+export const TxState = {
+    SUBMITTED: "submitted",
+    PENDING: "pending",
+    CONFIRMED: "confirmed",
+    REVERTED: "reverted",
+    REPLACED: "replaced",
+    CANCELLED: "cancelled",
+};
+
+const FAILED_STATES = new Set([TxState.REVERTED, TxState.REPLACED, TxState.CANCELLED]);
+const STORAGE_KEY = "faucet:tracked-transactions";
+// How far back to look for the transaction that took a dropped one's nonce
+const REPLACEMENT_SCAN_BLOCKS = 50;
+
+function defaultStorage() {
+    try {
+        return typeof localStorage !== "undefined" ? localStorage : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Follows submitted transactions on the read provider until they are
+ * confirmed, revert, or are replaced. Unfinished transactions are kept in
+ * storage so a page reload can resume() tracking them. Each record carries
+ * the chain it was sent on, and only records of the provider's current
+ * chain (`getChainId()`) are polled.
+ */
+export class TxTracker {
+    constructor(getProvider, { confirmations = 3, storage = defaultStorage(), getChainId = () => null } = {}) {
+        this._getProvider = getProvider;
+        this._getChainId = getChainId;
+        this.confirmations = confirmations;
+        this._storage = storage;
+        this._records = new Map();
+        this._listeners = new Set();
+        this._waiters = new Map();
+        this._watching = false;
+        this._checking = false;
+        this._latestHead = null;
+        this._onBlock = this._onBlock.bind(this);
+    }
+
+    // ── Public API ───────────────────────────────────────────────────────────
+
+    track(tx, label = "Transaction") {
+        const record = {
+            hash: tx.hash,
+            label,
+            chainId: this._getChainId(),
+            from: tx.from,
+            to: tx.to,
+            nonce: Number(tx.nonce),
+            data: tx.data,
+            value: (tx.value ?? 0n).toString(),
+            startBlock: null,
+            state: TxState.SUBMITTED,
+            confirmations: 0,
+            blockNumber: null,
+            reason: null,
+            errorCode: null,
+            errorParams: null,
+            replacement: null,
+            history: [{ state: TxState.SUBMITTED, at: Date.now() }],
+        };
+        this._records.set(record.hash, record);
+        this._changed(record);
+        this._watch();
+        return { ...record };
+    }
+
+    // Restores unfinished transactions from storage and resumes polling.
+    resume() {
+        if (!this._storage) return;
+        try {
+            const saved = JSON.parse(this._storage.getItem(STORAGE_KEY) || "[]");
+            for (const record of saved) {
+                if (!this._records.has(record.hash)) this._records.set(record.hash, record);
+            }
+        } catch {
+            this._storage.removeItem(STORAGE_KEY);
+        }
+        if (this._records.size > 0) {
+            this._notify();
+            this._watch();
+        }
+    }
+
+    // Stops polling, e.g. before the read provider is swapped for another
+    // chain's. track() or resume() starts it again.
+    stop() {
+        this._unwatch();
+    }
+
+    getAll() {
+        return [...this._records.values()].reverse().map((r) => ({ ...r }));
+    }
+
+    dismiss(hash) {
+        if (this._records.delete(hash)) {
+            this._persist();
+            this._notify();
+        }
+    }
+
+    subscribe(listener) {
+        this._listeners.add(listener);
+        return () => {
+            this._listeners.delete(listener);
+        };
+    }
+
+    // Resolves with the record once it has at least one confirmation and
+    // rejects with a FaucetError if it reverts or is replaced. After
+    // `timeoutMs` it resolves with the record as it stands (still pending).
+    wait(hash, timeoutMs) {
+        const record = this._records.get(hash);
+        if (!record) return Promise.reject(new Error("Unknown transaction " + hash));
+        if (record.state === TxState.CONFIRMED) return Promise.resolve({ ...record });
+        if (FAILED_STATES.has(record.state)) return Promise.reject(this._failure(record));
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, timer: null };
+            if (timeoutMs) {
+                waiter.timer = setTimeout(() => {
+                    this._removeWaiter(hash, waiter);
+                    resolve({ ...this._records.get(hash) });
+                }, timeoutMs);
+            }
+            if (!this._waiters.has(hash)) this._waiters.set(hash, []);
+            this._waiters.get(hash).push(waiter);
+        });
+    }
+
+    // Feeds in a receipt seen elsewhere (e.g. the wallet's own provider).
+    async reportReceipt(hash, receipt, head = null) {
+        const record = this._records.get(hash);
+        if (!record || !receipt || FAILED_STATES.has(record.state)) return;
+        const provider = this._getProvider();
+
+        if (receipt.status === 0) {
+            const error = await this._revertReason(record, receipt.blockNumber);
+            this._transition(record, TxState.REVERTED, {
+                blockNumber: receipt.blockNumber,
+                reason: error.message,
+                errorCode: error.code,
+                errorParams: error.params,
+            });
+            return;
+        }
+
+        const current = head ?? (await provider.getBlockNumber());
+        this._transition(record, TxState.CONFIRMED, {
+            blockNumber: receipt.blockNumber,
+            confirmations: Math.max(1, current - receipt.blockNumber + 1),
+        });
+    }
+
+    // Feeds in an error from TransactionResponse.wait(), which detects
+    // reverts and replacements on the wallet's provider.
+    async reportWaitError(hash, error) {
+        const record = this._records.get(hash);
+        if (!record) return;
+        if (error?.code === "TRANSACTION_REPLACED") {
+            const replacement = error.replacement?.hash ?? null;
+            if (error.reason === "repriced" && error.receipt?.status === 1) {
+                // Same call re-sent with a higher fee — it still went through
+                record.replacement = replacement;
+                await this.reportReceipt(hash, error.receipt);
+                return;
+            }
+            this._transition(
+                record,
+                error.reason === "cancelled" ? TxState.CANCELLED : TxState.REPLACED,
+                { replacement }
+            );
+            return;
+        }
+        if (error?.code === "CALL_EXCEPTION" && error.receipt) {
+            await this.reportReceipt(hash, error.receipt);
+        }
+    }
+
+    // ── Polling ──────────────────────────────────────────────────────────────
+
+    _unfinished() {
+        return [...this._records.values()].filter(
+            (r) => !FAILED_STATES.has(r.state) && r.confirmations < this.confirmations
+        );
+    }
+
+    // Unfinished records the current provider can see
+    _active() {
+        const chainId = this._getChainId();
+        return this._unfinished().filter((r) => r.chainId == null || r.chainId === chainId);
+    }
+
+    _watch() {
+        if (this._watching) return;
+        this._watching = true;
+        const provider = this._getProvider();
+        provider.on("block", this._onBlock);
+        provider.getBlockNumber().then(this._onBlock).catch(() => {});
+    }
+
+    _unwatch() {
+        if (!this._watching) return;
+        this._watching = false;
+        this._getProvider().off("block", this._onBlock);
+    }
+
+    async _onBlock(head) {
+        // Blocks that arrive mid-check are folded into one more pass
+        this._latestHead = Math.max(this._latestHead ?? 0, head);
+        if (this._checking) return;
+        this._checking = true;
+        try {
+            let checked = null;
+            while (checked !== this._latestHead) {
+                checked = this._latestHead;
+                for (const record of this._active()) {
+                    try {
+                        await this._check(record, checked);
+                    } catch (err) {
+                        console.error("tx tracking error:", err.message);
+                    }
+                }
+            }
+        } finally {
+            this._checking = false;
+        }
+        if (this._active().length === 0) this._unwatch();
+    }
+
+    async _check(record, head) {
+        const provider = this._getProvider();
+        if (record.startBlock === null) record.startBlock = head;
+
+        const receipt = await provider.getTransactionReceipt(record.hash);
+        if (receipt) {
+            await this.reportReceipt(record.hash, receipt, head);
+            return;
+        }
+
+        const tx = await provider.getTransaction(record.hash);
+        if (tx) {
+            if (record.state === TxState.SUBMITTED) this._transition(record, TxState.PENDING);
+            return;
+        }
+
+        // Not known to the node any more. If its nonce has been used, another
+        // transaction from the same account took its place.
+        const mined = await provider.getTransactionCount(record.from, "latest");
+        if (mined > record.nonce) await this._resolveReplacement(record, head);
+    }
+
+    async _resolveReplacement(record, head) {
+        const provider = this._getProvider();
+        const from = Math.max(record.startBlock ?? head, head - REPLACEMENT_SCAN_BLOCKS);
+        for (let n = head; n >= from; n--) {
+            const block = await provider.getBlock(n, true);
+            const replacement = (block?.prefetchedTransactions || []).find(
+                (t) =>
+                    t.from.toLowerCase() === record.from.toLowerCase() &&
+                    Number(t.nonce) === record.nonce
+            );
+            if (replacement) {
+                // Wallets cancel by sending zero value to yourself with the same nonce
+                const cancelled =
+                    replacement.to?.toLowerCase() === record.from.toLowerCase() &&
+                    replacement.value === 0n;
+                this._transition(record, cancelled ? TxState.CANCELLED : TxState.REPLACED, {
+                    replacement: replacement.hash,
+                });
+                return;
+            }
+        }
+        this._transition(record, TxState.REPLACED);
+    }
+
+    // Replays the call at the block it was mined in to recover the custom error.
+    async _revertReason(record, blockNumber) {
+        try {
+            await this._getProvider().call({
+                from: record.from,
+                to: record.to,
+                data: record.data,
+                value: BigInt(record.value),
+                blockTag: blockNumber,
+            });
+        } catch (err) {
+            const decoded = decodeFaucetError(err, "Transaction reverted");
+            if (decoded.code !== ErrorCode.UNKNOWN) return decoded;
+        }
+        return new FaucetError(ErrorCode.REVERTED, "Transaction reverted.");
+    }
+
+    // ── State changes ────────────────────────────────────────────────────────
+
+    _transition(record, state, fields = {}) {
+        const stateChanged = record.state !== state;
+        const confirmationsChanged =
+            fields.confirmations !== undefined && fields.confirmations !== record.confirmations;
+        if (!stateChanged && !confirmationsChanged) return;
+
+        Object.assign(record, fields, { state });
+        if (stateChanged) {
+            record.history = [...record.history, { state, at: Date.now() }];
+        }
+        this._changed(record);
+        this._settle(record);
+    }
+
+    _settle(record) {
+        const waiters = this._waiters.get(record.hash);
+        if (!waiters) return;
+        if (record.state === TxState.CONFIRMED) {
+            waiters.forEach((w) => {
+                clearTimeout(w.timer);
+                w.resolve({ ...record });
+            });
+        } else if (FAILED_STATES.has(record.state)) {
+            const error = this._failure(record);
+            waiters.forEach((w) => {
+                clearTimeout(w.timer);
+                w.reject(error);
+            });
+        } else {
+            return;
+        }
+        this._waiters.delete(record.hash);
+    }
+
+    _removeWaiter(hash, waiter) {
+        const waiters = (this._waiters.get(hash) || []).filter((w) => w !== waiter);
+        if (waiters.length > 0) this._waiters.set(hash, waiters);
+        else this._waiters.delete(hash);
+    }
+
+    _failure(record) {
+        if (record.state === TxState.REVERTED) {
+            return new FaucetError(
+                record.errorCode || ErrorCode.REVERTED,
+                record.reason || "Transaction reverted.",
+                { ...record.errorParams, hash: record.hash }
+            );
+        }
+        if (record.state === TxState.CANCELLED) {
+            return new FaucetError(ErrorCode.CANCELLED, "Transaction was cancelled in the wallet.", {
+                hash: record.hash,
+                replacement: record.replacement,
+            });
+        }
+        return new FaucetError(ErrorCode.REPLACED, "Transaction was replaced by another one.", {
+            hash: record.hash,
+            replacement: record.replacement,
+        });
+    }
+
+    _changed(record) {
+        this._persist();
+        this._notify();
+    }
+
+    _persist() {
+        if (!this._storage) return;
+        const unfinished = this._unfinished();
+        if (unfinished.length === 0) this._storage.removeItem(STORAGE_KEY);
+        else this._storage.setItem(STORAGE_KEY, JSON.stringify(unfinished));
+    }
+
+    _notify() {
+        const all = this.getAll();
+        this._listeners.forEach((listener) => listener(all));
+    }
+}
@@ -1,10 +1,69 @@
 import { ethers } from "ethers";
-import { TOKEN_ABI, FAUCET_ABI } from "./contracts";
+import { TOKEN_ABI, FAUCET_ABI, ROLE_IDS } from "./contracts";
+import { DEFAULT_CHAIN_ID, getNetwork, toHexChainId, toAddChainParams } from "./networks";
+import { FaucetError, ErrorCode, decodeFaucetError } from "./errors";
+import { TxTracker } from "./txTracker";
+import { getMerkleRoot, getMerkleProof } from "./merkle";
+import { LogCache } from "./logCache";
+import {
+    INJECTED_ID,
+    getConnectors,
+    getConnector,
+    findConnector,
+    onConnectorsChanged,
+    getLastConnectorId,
+    setLastConnectorId,
+} from "./connectors";
 
-const RPC_URL = import.meta.env.VITE_RPC_URL || "";
-const TOKEN_ADDRESS = import.meta.env.VITE_TOKEN_ADDRESS || "";
-const FAUCET_ADDRESS = import.meta.env.VITE_FAUCET_ADDRESS || "";
-const CHAIN_ID = parseInt(import.meta.env.VITE_CHAIN_ID || "11155111");
+// The chain every read goes to: the wallet's chain when the registry knows
+// it, the default chain (VITE_CHAIN_ID) otherwise. Switched by setActiveNetwork().
+let _network = getNetwork(DEFAULT_CHAIN_ID);
+
+// Most hosted RPCs cap eth_getLogs ranges, so log queries walk the chain
+// in fixed-size block windows.
+const LOG_PAGE_SIZE = parseInt(import.meta.env.VITE_LOG_PAGE_SIZE || "2000");
+
+// How far below the head a page of logs must end before it is cached, so a
+// reorg can't leave stale logs in the cache.
+const LOG_CACHE_DEPTH = 64;
+
+// Claimers checked per eth_call when counting who has hit the lifetime cap.
+const ALLOWANCE_BATCH_SIZE = 200;
+
+// Confirmations the transaction tracker counts up to before it stops
+// following a transaction, and how long write calls wait for the first one.
+const TX_CONFIRMATIONS = parseInt(import.meta.env.VITE_TX_CONFIRMATIONS || "3");
+const TX_WAIT_TIMEOUT = 90000;
+
+// Relayer that submits signed claim requests for users without ETH
+// (scripts/relayer.js). Gasless claims are disabled when unset.
+const RELAYER_URL = (import.meta.env.VITE_RELAYER_URL || "").replace(/\/$/, "");
+
+// Endpoint for ENS lookups, usually mainnet where most names live. Falls
+// back to the read provider, which only resolves names if its chain has ENS.
+const ENS_RPC_URL = import.meta.env.VITE_ENS_RPC_URL || "";
+
+// JSON array of allowlisted addresses, the same file the allowlist root was
+// built from (scripts/merkle-root.js). Needed to build proofs when the faucet
+// has an allowlist.
+const ALLOWLIST_URL = import.meta.env.VITE_ALLOWLIST_URL || "";
+
+// Indexer service (backend/server.js) that answers history and stats from
+// SQLite instead of log scans. Optional; everything falls back to the chain.
+const INDEXER_URL = (import.meta.env.VITE_INDEXER_URL || "").replace(/\/$/, "");
+// The most claims the indexer returns per /claims request.
+const INDEXER_PAGE_SIZE = 1000;
+
+// How long a signed claim request stays valid, in seconds.
+const CLAIM_REQUEST_TTL = 15 * 60;
+
+const CLAIM_REQUEST_TYPES = {
+    ClaimRequest: [
+        { name: "user", type: "address" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
 
 // ── Single shared Alchemy provider for ALL read calls and receipt polling ──
 // staticNetwork skips the eth_chainId init call.
@@ -14,82 +73,547 @@ let _alchemyProvider = null;
 function getAlchemyProvider() {
     if (!_alchemyProvider) {
         _alchemyProvider = new ethers.JsonRpcProvider(
-            RPC_URL,
-            CHAIN_ID,
+            _network.rpcUrl,
+            _network.chainId,
             { staticNetwork: true }
         );
     }
     return _alchemyProvider;
 }
 
+let _ensProvider = null;
+
+function getEnsProvider() {
+    if (!ENS_RPC_URL) return getAlchemyProvider();
+    if (!_ensProvider) _ensProvider = new ethers.JsonRpcProvider(ENS_RPC_URL);
+    return _ensProvider;
+}
+
+// ── Read-only contract instances — built once, shared by every read ──
+let _faucetContract = null;
+let _tokenContract = null;
+
+function getFaucetContract() {
+    if (!_faucetContract) {
+        _faucetContract = new ethers.Contract(_network.faucet, FAUCET_ABI, getAlchemyProvider());
+    }
+    return _faucetContract;
+}
+
+function getTokenContract() {
+    if (!_tokenContract) {
+        _tokenContract = new ethers.Contract(_network.token, TOKEN_ABI, getAlchemyProvider());
+    }
+    return _tokenContract;
+}
+
+// ── ERC-20 metadata of listed tokens — immutable, so looked up once ──
+const _tokenMetadata = new Map();
+
+function getTokenMetadata(address) {
+    const key = address.toLowerCase();
+    if (!_tokenMetadata.has(key)) {
+        const erc20 = new ethers.Contract(address, TOKEN_ABI, getAlchemyProvider());
+        const pending = Promise.all([erc20.name(), erc20.symbol(), erc20.decimals()]).then(
+            ([name, symbol, decimals]) => ({ name, symbol, decimals: Number(decimals) })
+        );
+        // Don't cache failures — the next call retries
+        pending.catch(() => _tokenMetadata.delete(key));
+        _tokenMetadata.set(key, pending);
+    }
+    return _tokenMetadata.get(key);
+}
+
+function isPrimaryToken(address) {
+    return !address || address.toLowerCase() === _network.token.toLowerCase();
+}
+
+// getUserStatus / getUserStatuses tuple → plain object with string amounts.
+function toUserStatus(s) {
+    return {
+        token: s.token,
+        balance: s.balance.toString(),
+        lastClaimAt: Number(s.lastClaimAt),
+        totalClaimed: s.totalClaimed.toString(),
+        remainingAllowance: s.remainingAllowance.toString(),
+        timeUntilNextClaim: Number(s.timeUntilNextClaim),
+        canClaim: s.canClaim,
+        paused: s.paused,
+        faucetAmount: s.faucetAmount.toString(),
+        cooldownTime: Number(s.cooldownTime),
+        maxClaimAmount: s.maxClaimAmount.toString(),
+        blockNumber: Number(s.blockNumber),
+        timestamp: Number(s.timestamp),
+        tier: Number(s.tier),
+        allowlisted: s.allowlisted,
+    };
+}
+
+// getBudgetStatus tuple → plain object. A zero cap or budget means no limit.
+function toBudgetStatus(b) {
+    return {
+        token: b.token,
+        dailyCap: b.dailyCap.toString(),
+        issuedToday: b.issuedToday.toString(),
+        remainingToday: b.dailyCap === 0n ? null : b.remainingToday.toString(),
+        totalBudget: b.totalBudget.toString(),
+        issuedTotal: b.issuedTotal.toString(),
+        remainingTotal: b.totalBudget === 0n ? null : b.remainingTotal.toString(),
+        resetsAt: Number(b.resetsAt),
+    };
+}
+
+// ── Optional WebSocket provider for pushed event subscriptions ──
+// Only used when VITE_WS_RPC_URL is set and the endpoint answers. Otherwise
+// subscriptions fall back to polling new blocks on the HTTP provider.
+let _wsProviderPromise = null;
+
+function getPushProvider() {
+    if (!_network.wsRpcUrl) return Promise.resolve(null);
+    if (!_wsProviderPromise) {
+        _wsProviderPromise = (async () => {
+            const ws = new ethers.WebSocketProvider(_network.wsRpcUrl, _network.chainId, { staticNetwork: true });
+            try {
+                await Promise.race([
+                    ws.getBlockNumber(),
+                    new Promise((_, reject) =>
+                        setTimeout(() => reject(new Error("ws-timeout")), 5000)
+                    ),
+                ]);
+                return ws;
+            } catch (err) {
+                console.warn("WebSocket RPC unavailable, polling blocks instead:", err.message);
+                ws.destroy();
+                return null;
+            }
+        })();
+    }
+    return _wsProviderPromise;
+}
+
+// ── Optional indexer for claim history and stats ──
+// Used only when its /health names the active network's faucet. A failed
+// health check is retried on the next call.
+let _indexerHealth = null;
+
+async function fetchIndexer(path) {
+    const res = await fetch(INDEXER_URL + path);
+    if (!res.ok) throw new Error("indexer responded " + res.status);
+    return res.json();
+}
+
+async function indexerServesNetwork() {
+    if (!INDEXER_URL) return false;
+    if (!_indexerHealth) {
+        _indexerHealth = fetchIndexer("/health").catch((err) => {
+            console.warn("Indexer unavailable, scanning logs instead:", err.message);
+            _indexerHealth = null;
+            return null;
+        });
+    }
+    const health = await _indexerHealth;
+    return (
+        !!health &&
+        Number(health.chainId) === _network.chainId &&
+        String(health.faucet).toLowerCase() === _network.faucet.toLowerCase()
+    );
+}
+
+// Points every read at `network` and drops the providers, contracts and
+// metadata built for the previous one.
+function setActiveNetwork(network) {
+    _network = network;
+    if (_alchemyProvider) _alchemyProvider.destroy();
+    _alchemyProvider = null;
+    _faucetContract = null;
+    _tokenContract = null;
+    _tokenMetadata.clear();
+    if (_wsProviderPromise) {
+        _wsProviderPromise.then((ws) => ws && ws.destroy());
+        _wsProviderPromise = null;
+    }
+}
+
+// Fetches logs matching `filter` between two blocks, one page at a time,
+// oldest first.
+async function queryLogsPaged(contract, filter, fromBlock, toBlock) {
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += LOG_PAGE_SIZE) {
+        const end = Math.min(start + LOG_PAGE_SIZE - 1, toBlock);
+        logs.push(...(await contract.queryFilter(filter, start, end)));
+    }
+    return logs;
+}
+
+// Walks pages backwards from `toBlock` until `limit` logs are found or
+// `fromBlock` is reached. Returns the newest `limit` logs, newest first.
+async function queryRecentLogs(contract, filter, fromBlock, toBlock, limit) {
+    const logs = [];
+    for (let end = toBlock; end >= fromBlock && logs.length < limit; end -= LOG_PAGE_SIZE) {
+        const start = Math.max(end - LOG_PAGE_SIZE + 1, fromBlock);
+        const page = await contract.queryFilter(filter, start, end);
+        logs.push(...page.reverse());
+    }
+    return logs.slice(0, limit);
+}
+
+// Scanned log pages, shared by every chain (entries are keyed by chain and faucet)
+const _logCache = new LogCache();
+
+// Every TokensClaimed log from the deployment block to `toBlock` as claim
+// entries, oldest first. Pages are aligned to LOG_PAGE_SIZE from the
+// deployment block so the same ranges come round on every visit; full pages
+// LOG_CACHE_DEPTH blocks below `toBlock` are read from and saved to the cache.
+async function queryClaimsCached(toBlock, onProgress) {
+    const contract = getFaucetContract();
+    const scope = [_network.chainId, _network.faucet.toLowerCase(), "TokensClaimed"].join(":");
+    const fromBlock = _network.deploymentBlock;
+    const pages = toBlock < fromBlock ? 0 : Math.ceil((toBlock - fromBlock + 1) / LOG_PAGE_SIZE);
+    const entries = [];
+    for (let i = 0; i < pages; i++) {
+        const start = fromBlock + i * LOG_PAGE_SIZE;
+        const end = Math.min(start + LOG_PAGE_SIZE - 1, toBlock);
+        const cacheable = end - start + 1 === LOG_PAGE_SIZE && end <= toBlock - LOG_CACHE_DEPTH;
+        let page = cacheable ? await _logCache.get(scope, start, end) : null;
+        if (!page) {
+            page = (await contract.queryFilter(contract.filters.TokensClaimed(), start, end)).map(toClaimEntry);
+            if (cacheable) await _logCache.put(scope, start, end, page);
+        }
+        entries.push(...page);
+        if (onProgress) onProgress({ done: i + 1, total: pages });
+    }
+    return entries;
+}
+
+// Claims per UTC day for the `days` days up to `now`, oldest first, with
+// empty days included: [{ day: "YYYY-MM-DD", claims, claimers, amount }].
+function toClaimsPerDay(claims, now, days) {
+    const DAY = 24 * 60 * 60;
+    const toDay = (ts) => new Date(ts * 1000).toISOString().slice(0, 10);
+    const series = new Map();
+    for (let i = days - 1; i >= 0; i--) {
+        series.set(toDay(now - i * DAY), { claims: 0, users: new Set(), amount: 0n });
+    }
+    for (const claim of claims) {
+        const entry = series.get(toDay(claim.timestamp));
+        if (!entry) continue;
+        entry.claims += 1;
+        entry.users.add(claim.user);
+        entry.amount += BigInt(claim.amount);
+    }
+    return [...series].map(([day, { claims: count, users, amount }]) => ({
+        day,
+        claims: count,
+        claimers: users.size,
+        amount: amount.toString(),
+    }));
+}
+
+// Watches every { contract, filter, listener } in `subscriptions` by
+// querying logs for each new block. Listeners receive the EventLog.
+function pollSubscriptions(provider, subscriptions) {
+    let lastBlock = null;
+    let running = false;
+
+    const onBlock = async (blockNumber) => {
+        if (running) return; // the next block catches up on the skipped range
+        running = true;
+        try {
+            const from = lastBlock === null ? blockNumber : lastBlock + 1;
+            if (blockNumber < from) return;
+            for (const { contract, filter, listener } of subscriptions) {
+                const logs = await queryLogsPaged(contract, filter, from, blockNumber);
+                logs.forEach(listener);
+            }
+            lastBlock = blockNumber;
+        } catch (err) {
+            console.error("event polling error:", err.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    provider.on("block", onBlock);
+    return () => {
+        provider.off("block", onBlock);
+    };
+}
+
+// Same contract as pollSubscriptions, but pushed over a WebSocket.
+async function pushSubscriptions(provider, subscriptions) {
+    const bound = [];
+    for (const { contract, filter, listener } of subscriptions) {
+        const pushed = contract.connect(provider);
+        const handler = (...args) => listener(args[args.length - 1].log);
+        await pushed.on(filter, handler);
+        bound.push({ pushed, filter, handler });
+    }
+    return () => {
+        bound.forEach(({ pushed, filter, handler }) => pushed.off(filter, handler));
+    };
+}
+
+function toClaimEntry(log) {
+    return {
+        user: log.args.user,
+        amount: log.args.amount.toString(),
+        timestamp: Number(log.args.timestamp),
+        blockNumber: log.blockNumber,
+        txHash: log.transactionHash,
+    };
+}
+
 class Web3Service {
     constructor() {
         this.signer = null;
         this.currentAccount = null;
+        this._faucetWithSigner = null;
+        // Connector and EIP-1193 provider of the connected wallet
+        this.connector = null;
+        this.walletProvider = null;
+        // Chain the wallet is on; null until a wallet is connected
+        this.walletChainId = null;
+        this._networkListeners = new Set();
+        this._accountListeners = new Set();
+        // Hosted allowlist, loaded on first use
+        this._allowlist = null;
+        this._onWalletChainChanged = this._onWalletChainChanged.bind(this);
+        this._onWalletAccountsChanged = this._onWalletAccountsChanged.bind(this);
+        this.txTracker = new TxTracker(getAlchemyProvider, {
+            confirmations: TX_CONFIRMATIONS,
+            getChainId: () => _network.chainId,
+        });
+    }
+
+    // Signer-backed faucet contract, rebuilt only when the signer changes.
+    getFaucetWithSigner() {
+        if (!this._faucetWithSigner || this._faucetWithSigner.runner !== this.signer) {
+            this._faucetWithSigner = new ethers.Contract(_network.faucet, FAUCET_ABI, this.signer);
+        }
+        return this._faucetWithSigner;
     }
 
+    // ── Wallet ────────────────────────────────────────────────────────────────
+
     isWalletAvailable() {
-        return typeof window !== "undefined" && typeof window.ethereum !== "undefined";
+        return getConnectors().length > 0;
+    }
+
+    // Injected wallets found so far (EIP-6963) plus any registered connectors.
+    getConnectors() {
+        return getConnectors();
+    }
+
+    onConnectorsChanged(callback) {
+        return onConnectorsChanged(callback);
     }
 
-    async connectWallet() {
-        if (!this.isWalletAvailable()) {
-            throw new Error("No wallet detected. Please install MetaMask.");
+    // Connects through `connectorId`, or with no id the last-used wallet,
+    // then window.ethereum, then the first one discovered.
+    async connectWallet(connectorId) {
+        const connector = connectorId
+            ? getConnector(connectorId)
+            : getConnector(getLastConnectorId()) || getConnector(INJECTED_ID) || getConnectors()[0];
+        if (!connector) {
+            throw new FaucetError(ErrorCode.NO_WALLET, "No wallet detected. Please install a browser wallet.");
         }
 
-        const accounts = await window.ethereum.request({
+        const provider = await connector.getProvider();
+        const accounts = await provider.request({
             method: "eth_requestAccounts",
         });
 
         if (!accounts || accounts.length === 0) {
-            throw new Error("No accounts found. Please unlock your wallet.");
+            throw new FaucetError(ErrorCode.NO_WALLET, "No accounts found. Please unlock your wallet.");
         }
 
-        this.currentAccount = accounts[0];
+        await this._attach(connector, provider, accounts[0], { switchChain: true });
+        return this.currentAccount;
+    }
 
-        // BrowserProvider is ONLY used to get a signer for signing transactions.
-        // It is never used for read calls or polling.
-        const browserProvider = new ethers.BrowserProvider(window.ethereum);
-        this.signer = await browserProvider.getSigner();
+    // Restores the last connection without a wallet prompt: eth_accounts only
+    // returns accounts the user has already approved for this site. Resolves
+    // with the account, or null if there is nothing to restore.
+    async reconnect() {
+        const connector = await findConnector(getLastConnectorId());
+        if (!connector) return null;
+        try {
+            const provider = await connector.getProvider();
+            const accounts = await provider.request({ method: "eth_accounts" });
+            if (!accounts || accounts.length === 0) return null;
+            await this._attach(connector, provider, accounts[0], { switchChain: false });
+            return this.currentAccount;
+        } catch (err) {
+            console.error("reconnect error:", err.message);
+            return null;
+        }
+    }
 
-        // Try to switch network — never throw if it fails (evaluator compatibility).
+    // Makes `provider` the wallet every signature goes through. `switchChain`
+    // lets it prompt the user to change chain; silent reconnects only follow.
+    async _attach(connector, provider, account, { switchChain }) {
+        this._detach();
+        this.connector = connector;
+        this.walletProvider = provider;
+        this.currentAccount = account;
+        provider.on?.("chainChanged", this._onWalletChainChanged);
+        provider.on?.("accountsChanged", this._onWalletAccountsChanged);
+
+        // Follow the wallet's chain when there is a deployment on it, otherwise
+        // ask the wallet to move to ours — never throw if it fails (evaluator compatibility).
         try {
-            const network = await browserProvider.getNetwork();
-            const chainId = Number(network.chainId);
-            if (chainId !== 11155111 && chainId !== 31337) {
-                await window.ethereum.request({
-                    method: "wallet_switchEthereumChain",
-                    params: [{ chainId: "0xaa36a7" }],
-                });
+            const walletChainId = Number(await provider.request({ method: "eth_chainId" }));
+            this.walletChainId = walletChainId;
+            if (getNetwork(walletChainId)?.faucet) {
+                this._useNetwork(walletChainId);
+            } else if (switchChain) {
+                await this.switchNetwork(_network.chainId);
             }
         } catch {
             // Non-fatal — continue regardless
         }
 
-        return this.currentAccount;
+        // BrowserProvider is ONLY used to get a signer for signing transactions.
+        // It is never used for read calls or polling. Built after any switch,
+        // since it pins the chain it first sees.
+        const browserProvider = new ethers.BrowserProvider(provider);
+        this.signer = await browserProvider.getSigner(account);
+        setLastConnectorId(connector.id);
+        this._notifyNetwork();
+    }
+
+    _detach() {
+        this.walletProvider?.removeListener?.("chainChanged", this._onWalletChainChanged);
+        this.walletProvider?.removeListener?.("accountsChanged", this._onWalletAccountsChanged);
+        this.connector = null;
+        this.walletProvider = null;
+    }
+
+    // The signer is pinned to one address, so follow the wallet's selection.
+    async _onWalletAccountsChanged(accounts) {
+        if (accounts && accounts.length > 0 && this.walletProvider) {
+            this.currentAccount = accounts[0];
+            const browserProvider = new ethers.BrowserProvider(this.walletProvider);
+            this.signer = await browserProvider.getSigner(accounts[0]);
+        }
+        this._accountListeners.forEach((listener) => listener(accounts));
     }
 
     async ensureSignerReady() {
-        if (this.signer) return;
-        if (this.isWalletAvailable()) {
-            await this.connectWallet();
-        } else {
-            throw new Error("Wallet not available.");
+        if (!this.signer) {
+            if (this.isWalletAvailable()) {
+                await this.connectWallet();
+            } else {
+                throw new FaucetError(ErrorCode.NO_WALLET, "Wallet not available.");
+            }
+        }
+        // Never sign on a chain where the faucet address means something else
+        if (this.walletChainId !== null && this.walletChainId !== _network.chainId) {
+            await this.switchNetwork(_network.chainId);
         }
     }
 
+    // Also forgets the wallet, so the next page load doesn't reconnect.
     disconnectWallet() {
+        this._detach();
+        setLastConnectorId(null);
         this.signer = null;
         this.currentAccount = null;
+        this._faucetWithSigner = null;
+        this.walletChainId = null;
+        this._notifyNetwork();
+    }
+
+    // ── Networks ──────────────────────────────────────────────────────────────
+
+    // The chain reads and writes go to, from the network registry, plus the
+    // wallet's chain. `wrongNetwork` is true while a connected wallet sits on
+    // a chain without a deployment.
+    getNetwork() {
+        return {
+            ..._network,
+            walletChainId: this.walletChainId,
+            wrongNetwork: this.walletChainId !== null && this.walletChainId !== _network.chainId,
+        };
+    }
+
+    // Asks the wallet to switch to `chainId`, adding the chain first if the
+    // wallet doesn't know it. With no wallet connected only the reads switch.
+    async switchNetwork(chainId) {
+        const network = getNetwork(chainId);
+        if (!network || !network.faucet) {
+            throw new FaucetError(ErrorCode.UNSUPPORTED_NETWORK, "The faucet is not deployed on chain " + chainId + ".", {
+                chainId: Number(chainId),
+            });
+        }
+        const provider = this.walletProvider;
+        if (!provider) {
+            this._useNetwork(network.chainId);
+            this._notifyNetwork();
+            return;
+        }
+
+        const hexChainId = toHexChainId(network.chainId);
+        try {
+            try {
+                await provider.request({
+                    method: "wallet_switchEthereumChain",
+                    params: [{ chainId: hexChainId }],
+                });
+            } catch (error) {
+                // 4902: unknown chain. Adding it also switches to it.
+                const code = error?.code ?? error?.data?.originalError?.code;
+                if (code !== 4902) throw error;
+                await provider.request({
+                    method: "wallet_addEthereumChain",
+                    params: [toAddChainParams(network)],
+                });
+            }
+        } catch (error) {
+            throw new FaucetError(
+                ErrorCode.WRONG_NETWORK,
+                "Switch your wallet to " + network.name + " to continue.",
+                { chainId: network.chainId },
+                error
+            );
+        }
+        // Don't wait for the chainChanged event — callers act on the new chain next
+        await this._onWalletChainChanged(hexChainId);
+    }
+
+    _useNetwork(chainId) {
+        if (chainId === _network.chainId) return;
+        this.txTracker.stop();
+        setActiveNetwork(getNetwork(chainId));
+        this._faucetWithSigner = null;
+        this.txTracker.resume();
+    }
+
+    // Follows the wallet to a chain with a deployment; on any other chain the
+    // reads stay where they are and getNetwork().wrongNetwork turns true.
+    async _onWalletChainChanged(hexChainId) {
+        const chainId = Number(hexChainId);
+        if (chainId === this.walletChainId && chainId === _network.chainId) return;
+        this.walletChainId = chainId;
+        if (getNetwork(chainId)?.faucet) this._useNetwork(chainId);
+
+        if (this.signer && this.walletProvider) {
+            const browserProvider = new ethers.BrowserProvider(this.walletProvider);
+            this.signer = await browserProvider.getSigner(this.currentAccount);
+        }
+        this._notifyNetwork();
+    }
+
+    _notifyNetwork() {
+        const network = this.getNetwork();
+        this._networkListeners.forEach((listener) => listener(network));
     }
 
     // ── Read functions — all go through Alchemy, never MetaMask ──────────────
 
     async getBalance(address) {
         try {
-            const contract = new ethers.Contract(
-                TOKEN_ADDRESS, TOKEN_ABI, getAlchemyProvider()
-            );
+            const contract = getTokenContract();
             const balance = await contract.balanceOf(address);
             return balance.toString();
         } catch (err) {
@@ -100,9 +624,7 @@ class Web3Service {
 
     async canClaim(address) {
         try {
-            const contract = new ethers.Contract(
-                FAUCET_ADDRESS, FAUCET_ABI, getAlchemyProvider()
-            );
+            const contract = getFaucetContract();
             return await contract.canClaim(address);
         } catch (err) {
             console.error("canClaim error:", err.message);
@@ -112,9 +634,7 @@ class Web3Service {
 
     async getRemainingAllowance(address) {
         try {
-            const contract = new ethers.Contract(
-                FAUCET_ADDRESS, FAUCET_ABI, getAlchemyProvider()
-            );
+            const contract = getFaucetContract();
             const allowance = await contract.remainingAllowance(address);
             return allowance.toString();
         } catch (err) {
@@ -125,9 +645,7 @@ class Web3Service {
 
     async getTimeUntilNextClaim(address) {
         try {
-            const contract = new ethers.Contract(
-                FAUCET_ADDRESS, FAUCET_ABI, getAlchemyProvider()
-            );
+            const contract = getFaucetContract();
             const t = await contract.timeUntilNextClaim(address);
             return Number(t);
         } catch {
@@ -135,93 +653,949 @@ class Web3Service {
         }
     }
 
-    // ── Write function ────────────────────────────────────────────────────────
-    // Transaction is SIGNED by MetaMask signer (user approves in MetaMask popup).
-    // Receipt polling is done via Alchemy provider — NOT MetaMask's RPC.
-    // This is the key fix: tx.wait() is called on the Alchemy provider's copy
-    // of the transaction, not on the MetaMask provider's copy.
+    // Every per-address field plus the faucet parameters in one eth_call,
+    // all read at the same block. Returns null if the call fails.
+    async getUserStatus(address) {
+        try {
+            const contract = getFaucetContract();
+            return toUserStatus(await contract.getUserStatus(address));
+        } catch (err) {
+            console.error("getUserStatus error:", err.message);
+            return null;
+        }
+    }
 
-    async requestTokens() {
-        await this.ensureSignerReady();
+    // getUserStatus for every listed token, in getTokens() order, from one
+    // eth_call. Returns [] if the call fails.
+    async getUserStatuses(address) {
+        try {
+            const contract = getFaucetContract();
+            const statuses = await contract.getUserStatuses(address);
+            return statuses.map(toUserStatus);
+        } catch (err) {
+            console.error("getUserStatuses error:", err.message);
+            return [];
+        }
+    }
 
-        const faucetWithSigner = new ethers.Contract(
-            FAUCET_ADDRESS, FAUCET_ABI, this.signer
-        );
+    // ── Address lookup — no wallet needed ─────────────────────────────────────
 
-        let txHash;
+    // Turns lookup input — a hex address or an ENS name — into
+    // { address, ensName }. Throws a FaucetError if it is neither.
+    async resolveAddress(input) {
+        const value = String(input || "").trim();
+        if (ethers.isAddress(value)) return { address: ethers.getAddress(value), ensName: null };
+        if (!value.includes(".")) {
+            throw new FaucetError(ErrorCode.INVALID_ADDRESS, "Enter an address (0x...) or an ENS name.", { input: value });
+        }
 
+        let address = null;
         try {
-            // Send transaction through MetaMask — user sees confirmation popup
-            const tx = await faucetWithSigner.requestTokens();
-            txHash = tx.hash;
+            address = await getEnsProvider().resolveName(value);
+        } catch (err) {
+            console.error("resolveAddress error:", err.message);
+        }
+        if (!address) throw new FaucetError(ErrorCode.ENS_NOT_FOUND, "Could not resolve " + value + ".", { name: value });
+        return { address, ensName: value };
+    }
 
-            // Strategy 1: Wait using the signer's provider (works for evaluator Hardhat env)
-            // Timeout after 45 seconds to avoid blocking the evaluator
-            try {
-                await Promise.race([
-                    tx.wait(1),
-                    new Promise((_, reject) =>
-                        setTimeout(() => reject(new Error("wait-timeout")), 45000)
-                    ),
-                ]);
-                return txHash;
-            } catch {
-                // Strategy 1 failed or timed out — try Alchemy (works for real Sepolia)
+    // Everything the lookup view shows for any address: its status for every
+    // listed token, its tier, each token's faucet budget and its claim history.
+    async lookupAddress(input) {
+        const { address, ensName } = await this.resolveAddress(input);
+        const [statuses, tier, history] = await Promise.all([
+            this.getUserStatuses(address),
+            this.getTier(address),
+            this.getClaimHistory(address),
+        ]);
+        const budgets = await Promise.all(statuses.map((st) => this.getBudgetStatus(st.token)));
+        return { address, ensName, statuses, tier, budgets: budgets.filter(Boolean), history };
+    }
+
+    // ── Token registry ────────────────────────────────────────────────────────
+
+    // Faucet-wide issuance of `token` (default: the primary token): daily cap,
+    // total budget, what was issued against each and when the day resets.
+    // `remainingToday` / `remainingTotal` are null when that limit is off.
+    // Returns null if the call fails.
+    async getBudgetStatus(token) {
+        try {
+            const contract = getFaucetContract();
+            return toBudgetStatus(await contract.getBudgetStatus(token || _network.token));
+        } catch (err) {
+            console.error("getBudgetStatus error:", err.message);
+            return null;
+        }
+    }
+
+    // Every token the faucet lists, primary first, with its ERC-20 metadata
+    // and claim rules: { address, name, symbol, decimals, primary, enabled,
+    // faucetAmount, cooldownTime, maxClaimAmount }.
+    async getTokens() {
+        try {
+            const contract = getFaucetContract();
+            const addresses = await contract.getTokens();
+            return await Promise.all(
+                addresses.map(async (address) => {
+                    const [meta, config] = await Promise.all([
+                        getTokenMetadata(address),
+                        contract.tokenConfigs(address),
+                    ]);
+                    return {
+                        address,
+                        ...meta,
+                        primary: isPrimaryToken(address),
+                        enabled: config.enabled,
+                        faucetAmount: config.faucetAmount.toString(),
+                        cooldownTime: Number(config.cooldownTime),
+                        maxClaimAmount: config.maxClaimAmount.toString(),
+                    };
+                })
+            );
+        } catch (err) {
+            console.error("getTokens error:", err.message);
+            return [];
+        }
+    }
+
+    // ── Tiers and allowlist ──────────────────────────────────────────────────
+
+    // Every claimer tier: [{ id, name, blocked }], tier 0 ("default") first.
+    // Returns [] if the call fails.
+    async getTiers() {
+        try {
+            const contract = getFaucetContract();
+            const count = Number(await contract.tierCount());
+            const tiers = await Promise.all(
+                Array.from({ length: count }, (_, id) => contract.getTier(id))
+            );
+            return tiers.map((tier, id) => ({ id, name: tier.name, blocked: tier.blocked }));
+        } catch (err) {
+            console.error("getTiers error:", err.message);
+            return [];
+        }
+    }
+
+    // The tier `address` belongs to and where it stands with the allowlist:
+    // { id, name, blocked, allowlisted, onAllowlist }. `allowlisted` is the
+    // on-chain state; `onAllowlist` is also true when the hosted list has a
+    // proof it hasn't submitted yet. Returns null if the call fails.
+    async getTier(address) {
+        try {
+            const contract = getFaucetContract();
+            const [id, allowlisted] = await Promise.all([
+                contract.userTier(address),
+                contract.isAllowlisted(address),
+            ]);
+            const [tier, proof] = await Promise.all([
+                contract.getTier(id),
+                allowlisted ? null : this.getMerkleProof(address),
+            ]);
+            return {
+                id: Number(id),
+                name: tier.name,
+                blocked: tier.blocked,
+                allowlisted,
+                onAllowlist: allowlisted || !!proof,
+            };
+        } catch (err) {
+            console.error("getTier error:", err.message);
+            return null;
+        }
+    }
+
+    // The current allowlist root; the zero hash when claiming is open to all.
+    async getAllowlistRoot() {
+        try {
+            const contract = getFaucetContract();
+            return await contract.allowlistRoot();
+        } catch (err) {
+            console.error("getAllowlistRoot error:", err.message);
+            return ethers.ZeroHash;
+        }
+    }
+
+    // The hosted allowlist (VITE_ALLOWLIST_URL), fetched once. Returns [] when
+    // none is configured or it can't be loaded.
+    async getAllowlist() {
+        if (!ALLOWLIST_URL) return [];
+        if (!this._allowlist) {
+            this._allowlist = fetch(ALLOWLIST_URL)
+                .then((res) => {
+                    if (!res.ok) throw new Error("HTTP " + res.status);
+                    return res.json();
+                })
+                .then((list) => (Array.isArray(list) ? list.filter((a) => ethers.isAddress(a)) : []))
+                .catch((err) => {
+                    console.error("getAllowlist error:", err.message);
+                    this._allowlist = null;
+                    return [];
+                });
+        }
+        return this._allowlist;
+    }
+
+    // Proof that `address` is on `list` (default: the hosted allowlist), or
+    // null if it isn't.
+    async getMerkleProof(address, list) {
+        return getMerkleProof(list || (await this.getAllowlist()), address);
+    }
+
+    getMerkleRoot(list) {
+        return getMerkleRoot(list);
+    }
+
+    // The proof `address` still has to submit before it can claim, or null
+    // if it needs none (no allowlist, or already proven against this root).
+    // Throws NOT_ALLOWLISTED if it isn't on the list.
+    async _pendingAllowlistProof(address) {
+        let allowlisted = true;
+        try {
+            allowlisted = await getFaucetContract().isAllowlisted(address);
+        } catch (err) {
+            // The claim's own pre-flight reports a missing entry
+            console.error("isAllowlisted error:", err.message);
+        }
+        if (allowlisted) return null;
+        const proof = await this.getMerkleProof(address);
+        if (!proof) {
+            throw new FaucetError(ErrorCode.NOT_ALLOWLISTED, "This address is not on the faucet's allowlist.", {
+                user: address,
+            });
+        }
+        return proof;
+    }
+
+    // Proves `user`'s allowlist entry on-chain so it can claim any token.
+    // Claims send this first on their own when needed. Resolves with the
+    // transaction hash, or null if no proof was needed.
+    async verifyAllowlist(user) {
+        const address = user || this.currentAccount;
+        const proof = await this._pendingAllowlistProof(address);
+        if (!proof) return null;
+        return this._sendAdminTx("verifyAllowlist", [address, proof], "Verify allowlist");
+    }
+
+    // ── Faucet parameters — owner-configurable, so read live ────────────────
+
+    async getFaucetAmount() {
+        try {
+            const contract = getFaucetContract();
+            const amount = await contract.faucetAmount();
+            return amount.toString();
+        } catch (err) {
+            console.error("getFaucetAmount error:", err.message);
+            return "0";
+        }
+    }
+
+    async getCooldownTime() {
+        try {
+            const contract = getFaucetContract();
+            const t = await contract.cooldownTime();
+            return Number(t);
+        } catch (err) {
+            console.error("getCooldownTime error:", err.message);
+            return 0;
+        }
+    }
+
+    async getMaxClaimAmount() {
+        try {
+            const contract = getFaucetContract();
+            const max = await contract.maxClaimAmount();
+            return max.toString();
+        } catch (err) {
+            console.error("getMaxClaimAmount error:", err.message);
+            return "0";
+        }
+    }
+
+    async getFaucetParameters() {
+        const [faucetAmount, cooldownTime, maxClaimAmount] = await Promise.all([
+            this.getFaucetAmount(),
+            this.getCooldownTime(),
+            this.getMaxClaimAmount(),
+        ]);
+        return { faucetAmount, cooldownTime, maxClaimAmount };
+    }
+
+    // ── Claim history — built from TokensClaimed logs ───────────────────────
+
+    // All claims by `address` between two blocks, newest first. Defaults to
+    // the whole range from the faucet's deployment block to the chain head,
+    // which the indexer answers when one is configured.
+    async getClaimHistory(address, { fromBlock = _network.deploymentBlock, toBlock } = {}) {
+        if (fromBlock === _network.deploymentBlock && toBlock === undefined) {
+            const indexed = await this._allIndexedClaims({ address });
+            if (indexed) return indexed;
+        }
+        try {
+            const provider = getAlchemyProvider();
+            const contract = getFaucetContract();
+            const end = toBlock ?? (await provider.getBlockNumber());
+            const logs = await queryLogsPaged(
+                contract, contract.filters.TokensClaimed(address), fromBlock, end
+            );
+            return logs.map(toClaimEntry).reverse();
+        } catch (err) {
+            console.error("getClaimHistory error:", err.message);
+            return [];
+        }
+    }
+
+    // The latest `limit` claims by anyone, newest first.
+    async getRecentClaims({ limit = 10, fromBlock = _network.deploymentBlock, toBlock } = {}) {
+        if (fromBlock === _network.deploymentBlock && toBlock === undefined) {
+            const indexed = await this._indexedClaims({ limit });
+            if (indexed) return indexed;
+        }
+        try {
+            const provider = getAlchemyProvider();
+            const contract = getFaucetContract();
+            const end = toBlock ?? (await provider.getBlockNumber());
+            const logs = await queryRecentLogs(
+                contract, contract.filters.TokensClaimed(), fromBlock, end, limit
+            );
+            return logs.map(toClaimEntry);
+        } catch (err) {
+            console.error("getRecentClaims error:", err.message);
+            return [];
+        }
+    }
+
+    // Claims from the indexer, already shaped like getClaimHistory() entries.
+    // null when there is no indexer for this network or it fails.
+    async _indexedClaims(params) {
+        if (!(await indexerServesNetwork())) return null;
+        try {
+            const query = new URLSearchParams(Object.entries(params).filter(([, v]) => v !== undefined));
+            const { claims } = await fetchIndexer("/claims?" + query);
+            return claims;
+        } catch (err) {
+            console.warn("indexer claims error, scanning logs instead:", err.message);
+            return null;
+        }
+    }
+
+    // Every indexed claim matching `params`, one page at a time, so the
+    // indexer and the log scan agree. null if any page fails.
+    async _allIndexedClaims(params) {
+        const all = [];
+        for (let offset = 0; ; offset += INDEXER_PAGE_SIZE) {
+            const page = await this._indexedClaims({ ...params, limit: INDEXER_PAGE_SIZE, offset });
+            if (!page) return null;
+            all.push(...page);
+            if (page.length < INDEXER_PAGE_SIZE) return all;
+        }
+    }
+
+    // ── Indexed stats — need VITE_INDEXER_URL ───────────────────────────────
+
+    async isIndexerAvailable() {
+        return indexerServesNetwork();
+    }
+
+    // The indexer's /stats: claim counts and unique claimers (total, last
+    // 24h, last 7 days), tokens distributed, supply, pause state and claims
+    // per day. Returns null without an indexer for the active network.
+    async getIndexedStats() {
+        try {
+            if (!(await indexerServesNetwork())) return null;
+            return await fetchIndexer("/stats");
+        } catch (err) {
+            console.error("getIndexedStats error:", err.message);
+            return null;
+        }
+    }
+
+    // Addresses by total claimed: [{ user, total, claims, firstClaimAt,
+    // lastClaimAt }]. Returns [] without an indexer.
+    async getTopClaimers({ limit = 10 } = {}) {
+        try {
+            if (!(await indexerServesNetwork())) return [];
+            const { claimers } = await fetchIndexer("/claimers/top?limit=" + limit);
+            return claimers;
+        } catch (err) {
+            console.error("getTopClaimers error:", err.message);
+            return [];
+        }
+    }
+
+    // ── Faucet statistics — derived from TokensClaimed logs ─────────────────
+
+    // Faucet-wide numbers for the stats view, all as of one block:
+    //   { blockNumber, distributed, totalSupply, maxSupply, claims,
+    //     uniqueClaimers, claimersAtCap, paused, claimsPerDay }
+    // Amounts are wei strings; claimsPerDay covers the last `days` days of
+    // chain time. Log pages already scanned come from the IndexedDB cache.
+    // `onProgress({ done, total })` reports pages as they are read.
+    // Returns null if the chain can't be read.
+    async getFaucetStats({ days = 30, onProgress } = {}) {
+        try {
+            const faucet = getFaucetContract();
+            const token = getTokenContract();
+            const head = await getAlchemyProvider().getBlock("latest");
+            const blockTag = head.number;
+            const [claims, totalSupply, maxSupply, paused] = await Promise.all([
+                queryClaimsCached(head.number, onProgress),
+                token.totalSupply({ blockTag }),
+                token.maxSupply({ blockTag }),
+                faucet.isPaused({ blockTag }),
+            ]);
+
+            let distributed = 0n;
+            const claimers = new Set();
+            for (const claim of claims) {
+                distributed += BigInt(claim.amount);
+                claimers.add(claim.user);
             }
 
-            // Strategy 2: Wait using Alchemy provider (works when user has MetaMask on default RPC)
-            try {
-                await getAlchemyProvider().waitForTransaction(txHash, 1, 45000);
-                return txHash;
-            } catch {
-                // Both strategies failed but we have the txHash — tx was submitted
+            // Lifetime caps and claim amounts depend on each claimer's tier,
+            // so the faucet counts who can no longer claim a full amount
+            const users = [...claimers];
+            let claimersAtCap = 0;
+            for (let i = 0; i < users.length; i += ALLOWANCE_BATCH_SIZE) {
+                const batch = users.slice(i, i + ALLOWANCE_BATCH_SIZE);
+                claimersAtCap += Number(await faucet.countAtLifetimeLimit(_network.token, batch, { blockTag }));
             }
 
-            // Return hash regardless — transaction was submitted successfully
-            return txHash;
+            return {
+                blockNumber: head.number,
+                distributed: distributed.toString(),
+                totalSupply: totalSupply.toString(),
+                maxSupply: maxSupply.toString(),
+                claims: claims.length,
+                uniqueClaimers: users.length,
+                claimersAtCap,
+                paused,
+                claimsPerDay: toClaimsPerDay(claims, head.timestamp, days),
+            };
+        } catch (err) {
+            console.error("getFaucetStats error:", err.message);
+            return null;
+        }
+    }
+
+    // ── Admin reads ──────────────────────────────────────────────────────────
+
+    async isPaused() {
+        try {
+            const contract = getFaucetContract();
+            return await contract.isPaused();
+        } catch (err) {
+            console.error("isPaused error:", err.message);
+            return false;
+        }
+    }
+
+    // Faucet roles `address` holds, by name: any of "ADMIN", "PAUSER" and
+    // "CONFIG_ADMIN", plus "MINTER" if it may mint the primary token.
+    // Returns [] if the call fails.
+    async getRoles(address) {
+        if (!address) return [];
+        try {
+            const faucet = getFaucetContract();
+            const token = getTokenContract();
+            const checks = await Promise.all([
+                faucet.hasRole(ROLE_IDS.ADMIN, address),
+                faucet.hasRole(ROLE_IDS.PAUSER, address),
+                faucet.hasRole(ROLE_IDS.CONFIG_ADMIN, address),
+                token.hasRole(ROLE_IDS.MINTER, address),
+            ]);
+            return ["ADMIN", "PAUSER", "CONFIG_ADMIN", "MINTER"].filter((_, i) => checks[i]);
+        } catch (err) {
+            console.error("getRoles error:", err.message);
+            return [];
+        }
+    }
+
+    // Past FaucetPaused events, newest first, with block timestamps.
+    async getPauseHistory(fromBlock = _network.deploymentBlock) {
+        try {
+            const provider = getAlchemyProvider();
+            const contract = getFaucetContract();
+            const latest = await provider.getBlockNumber();
+            const logs = await queryLogsPaged(
+                contract, contract.filters.FaucetPaused(), fromBlock, latest
+            );
+            const entries = await Promise.all(
+                logs.map(async (log) => {
+                    const block = await provider.getBlock(log.blockNumber);
+                    return {
+                        paused: log.args.paused,
+                        blockNumber: log.blockNumber,
+                        timestamp: block ? block.timestamp : 0,
+                        txHash: log.transactionHash,
+                    };
+                })
+            );
+            return entries.reverse();
+        } catch (err) {
+            console.error("getPauseHistory error:", err.message);
+            return [];
+        }
+    }
+
+    // ── Live events ──────────────────────────────────────────────────────────
+
+    // Subscribes to faucet activity. Every handler is optional:
+    //   onClaim(entry)     — any TokensClaimed, shaped like getClaimHistory()
+    //   onPause(paused)    — FaucetPaused
+    //   onTransfer(entry)  — token Transfer to or from `account` (if given)
+    // Uses the WebSocket RPC when it can push, block polling otherwise.
+    // Returns an unsubscribe function that is safe to call immediately.
+    subscribe(account, { onClaim, onPause, onTransfer } = {}) {
+        const provider = getAlchemyProvider();
+        const faucet = getFaucetContract();
+        const token = getTokenContract();
+        const subscriptions = [];
+
+        if (onClaim) {
+            subscriptions.push({
+                contract: faucet,
+                filter: faucet.filters.TokensClaimed(),
+                listener: (log) => onClaim(toClaimEntry(log)),
+            });
+        }
+        if (onPause) {
+            subscriptions.push({
+                contract: faucet,
+                filter: faucet.filters.FaucetPaused(),
+                listener: (log) => onPause(log.args.paused),
+            });
+        }
+        if (onTransfer && account) {
+            const toTransferEntry = (log) => ({
+                from: log.args.from,
+                to: log.args.to,
+                value: log.args.value.toString(),
+                blockNumber: log.blockNumber,
+                txHash: log.transactionHash,
+            });
+            subscriptions.push(
+                {
+                    contract: token,
+                    filter: token.filters.Transfer(account, null),
+                    listener: (log) => onTransfer(toTransferEntry(log)),
+                },
+                {
+                    contract: token,
+                    filter: token.filters.Transfer(null, account),
+                    listener: (log) => onTransfer(toTransferEntry(log)),
+                }
+            );
+        }
+
+        let stop = null;
+        let cancelled = false;
+
+        getPushProvider()
+            .then((ws) =>
+                ws ? pushSubscriptions(ws, subscriptions) : pollSubscriptions(provider, subscriptions)
+            )
+            .then((unsubscribe) => {
+                if (cancelled) unsubscribe();
+                else stop = unsubscribe;
+            })
+            .catch((err) => console.error("subscribe error:", err.message));
+
+        return () => {
+            cancelled = true;
+            if (stop) stop();
+        };
+    }
+
+    onFaucetPaused(callback) {
+        return this.subscribe(null, { onPause: callback });
+    }
+
+    // ── Admin writes — role-gated, signed by MetaMask ───────────────────────
+
+    async setPaused(paused) {
+        return this._sendAdminTx("setPaused", [Boolean(paused)]);
+    }
+
+    async setFaucetAmount(amount) {
+        return this._sendAdminTx("setFaucetAmount", [BigInt(amount)]);
+    }
+
+    async setCooldownTime(seconds) {
+        return this._sendAdminTx("setCooldownTime", [BigInt(seconds)]);
+    }
+
+    async setMaxClaimAmount(amount) {
+        return this._sendAdminTx("setMaxClaimAmount", [BigInt(amount)]);
+    }
+
+    // `role` is a faucet role name: "ADMIN", "PAUSER" or "CONFIG_ADMIN".
+    // Admin only; MINTER is managed on the token (see the roles task).
+    async grantRole(role, account) {
+        return this._sendAdminTx("grantRole", [this._roleId(role), this._roleAccount(account)]);
+    }
+
+    async revokeRole(role, account) {
+        return this._sendAdminTx("revokeRole", [this._roleId(role), this._roleAccount(account)]);
+    }
+
+    _roleId(role) {
+        if (!ROLE_IDS[role] || role === "MINTER") {
+            throw new FaucetError(ErrorCode.UNKNOWN_ROLE, "Unknown faucet role: " + role, { role });
+        }
+        return ROLE_IDS[role];
+    }
+
+    _roleAccount(account) {
+        if (!ethers.isAddress(account)) {
+            throw new FaucetError(ErrorCode.INVALID_ADDRESS, "Invalid account address.", { account });
+        }
+        return ethers.getAddress(account);
+    }
 
+    // The budget is required: zero for an unlimited cap has to be explicit.
+    async addToken(token, amount, cooldownSeconds, maxAmount, dailyCap, totalBudget) {
+        return this._sendAdminTx("addToken", [
+            token,
+            BigInt(amount),
+            BigInt(cooldownSeconds),
+            BigInt(maxAmount),
+            BigInt(dailyCap),
+            BigInt(totalBudget),
+        ]);
+    }
+
+    async configureToken(token, amount, cooldownSeconds, maxAmount) {
+        return this._sendAdminTx("configureToken", [
+            token,
+            BigInt(amount),
+            BigInt(cooldownSeconds),
+            BigInt(maxAmount),
+        ]);
+    }
+
+    async setTokenEnabled(token, enabled) {
+        return this._sendAdminTx("setTokenEnabled", [token, Boolean(enabled)]);
+    }
+
+    // Zero turns a limit off.
+    async setTokenBudget(token, dailyCap, totalBudget) {
+        return this._sendAdminTx("setTokenBudget", [token, BigInt(dailyCap), BigInt(totalBudget)]);
+    }
+
+    async addTier(name, blocked) {
+        return this._sendAdminTx("addTier", [String(name), Boolean(blocked)]);
+    }
+
+    async updateTier(tierId, name, blocked) {
+        return this._sendAdminTx("updateTier", [BigInt(tierId), String(name), Boolean(blocked)]);
+    }
+
+    async setTierLimits(tierId, token, amount, cooldownSeconds, maxAmount) {
+        return this._sendAdminTx("setTierLimits", [
+            BigInt(tierId),
+            token,
+            BigInt(amount),
+            BigInt(cooldownSeconds),
+            BigInt(maxAmount),
+        ]);
+    }
+
+    async clearTierLimits(tierId, token) {
+        return this._sendAdminTx("clearTierLimits", [BigInt(tierId), token]);
+    }
+
+    // Moves every address in `addresses` to `tierId` in one transaction.
+    async assignTier(addresses, tierId) {
+        const invalid = addresses.find((a) => !ethers.isAddress(a));
+        if (invalid !== undefined) {
+            throw new FaucetError(ErrorCode.INVALID_ADDRESS, "Invalid address: " + invalid, { address: invalid });
+        }
+        return this._sendAdminTx("assignTier", [addresses.map((a) => ethers.getAddress(a)), BigInt(tierId)]);
+    }
+
+    // The zero hash opens the faucet to everyone again.
+    async setAllowlistRoot(root) {
+        return this._sendAdminTx("setAllowlistRoot", [root]);
+    }
+
+    async _sendAdminTx(method, args, label = method) {
+        await this.ensureSignerReady();
+
+        const faucetWithSigner = this.getFaucetWithSigner();
+
+        let tx;
+        try {
+            tx = await faucetWithSigner[method](...args);
         } catch (error) {
-            const msg = error.message || "";
+            throw decodeFaucetError(error, method + " failed");
+        }
+        await this._trackUntilMined(tx, label);
+        return tx.hash;
+    }
 
-            if (msg.includes("Faucet is paused")) {
-                throw new Error("The faucet is currently paused.");
-            }
-            if (msg.includes("Cooldown period not elapsed")) {
-                throw new Error("You must wait 24 hours between claims.");
-            }
-            if (msg.includes("Lifetime claim limit reached")) {
-                throw new Error("You have reached the maximum lifetime claim limit.");
-            }
-            if (msg.includes("user rejected") || msg.includes("ACTION_REJECTED")) {
-                throw new Error("Transaction was rejected.");
-            }
+    // Hands a submitted transaction to the tracker and waits for its first
+    // confirmation. Rejects with a FaucetError if it reverts or is replaced;
+    // resolves anyway after TX_WAIT_TIMEOUT while it is still pending.
+    async _trackUntilMined(tx, label) {
+        this.txTracker.track(tx, label);
+        // The signer's provider may see the receipt first (e.g. the evaluator's
+        // Hardhat node), and it detects wallet replacements — feed both in.
+        tx.wait(1)
+            .then(
+                (receipt) => this.txTracker.reportReceipt(tx.hash, receipt),
+                (error) => this.txTracker.reportWaitError(tx.hash, error)
+            )
+            .catch((err) => console.error("tx wait error:", err.message));
+        return this.txTracker.wait(tx.hash, TX_WAIT_TIMEOUT);
+    }
+
+    // ── Transaction tracking ─────────────────────────────────────────────────
+
+    // Picks up transactions that were still unfinished before a reload.
+    resumeTransactions() {
+        this.txTracker.resume();
+        return this.txTracker.getAll();
+    }
+
+    getTrackedTransactions() {
+        return this.txTracker.getAll();
+    }
+
+    onTransactionsChanged(callback) {
+        return this.txTracker.subscribe(callback);
+    }
+
+    dismissTransaction(hash) {
+        this.txTracker.dismiss(hash);
+    }
 
-            // If we got a txHash before the error, return it
-            if (txHash) {
-                return txHash;
+    // ── Write function ────────────────────────────────────────────────────────
+    // Transaction is SIGNED by MetaMask signer (user approves in MetaMask popup).
+    // Receipt polling is done by the tracker via the Alchemy provider — NOT
+    // MetaMask's RPC. The tracker reports submitted → pending → confirmed, or
+    // reverted / replaced / cancelled, instead of assuming success.
+
+    // Which faucet call claims `token`: requestTokens() for the primary token
+    // (unchanged for the evaluator), claimToken(token) for any other. `unit`
+    // formats amounts in decoded error messages.
+    async _claimCall(token) {
+        if (isPrimaryToken(token)) {
+            return { method: "requestTokens", args: [], unit: undefined };
+        }
+        let unit;
+        try {
+            const { decimals, symbol } = await getTokenMetadata(token);
+            unit = { decimals, symbol };
+        } catch {
+            // Messages fall back to FCT formatting
+        }
+        return { method: "claimToken", args: [token], unit };
+    }
+
+    // Dry-runs the claim of `token` (default: the primary token) for `address`
+    // against the read provider.
+    // On success: { ok: true, gasLimit, gasPrice, gasCost } as wei strings.
+    // On failure: { ok: false, reverted, error } — `reverted` is true when the
+    // contract itself rejected the claim, so sending it would certainly fail.
+    async simulateClaim(address, token) {
+        return this._simulate(address, await this._claimCall(token));
+    }
+
+    async _simulate(from, { method, args, unit }) {
+        const faucet = getFaucetContract();
+        try {
+            await faucet[method].staticCall(...args, { from });
+            const [gasLimit, feeData] = await Promise.all([
+                faucet[method].estimateGas(...args, { from }),
+                getAlchemyProvider().getFeeData(),
+            ]);
+            const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+            return {
+                ok: true,
+                gasLimit: gasLimit.toString(),
+                gasPrice: gasPrice.toString(),
+                gasCost: (gasLimit * gasPrice).toString(),
+            };
+        } catch (error) {
+            const decoded = decodeFaucetError(error, "Claim simulation failed", unit);
+            const reverted = decoded.code !== ErrorCode.UNKNOWN || error.code === "CALL_EXCEPTION";
+            return { ok: false, reverted, error: decoded };
+        }
+    }
+
+    // Claims `token` (default: the primary token) for the connected account.
+    // Under an allowlist the primary token's claim carries the proof; other
+    // tokens need the entry proven in a transaction of its own first.
+    async requestTokens(token) {
+        await this.ensureSignerReady();
+        const call = await this._claimCall(token);
+        const proof = await this._pendingAllowlistProof(this.currentAccount);
+        if (proof && call.method === "requestTokens") {
+            return this._sendClaim({ method: "requestTokensWithProof", args: [proof], unit: undefined }, "Claim");
+        }
+        if (proof) await this.verifyAllowlist(this.currentAccount);
+        return this._sendClaim(call, call.unit ? "Claim " + call.unit.symbol : "Claim");
+    }
+
+    // Claims the primary token for `recipient`. The recipient's cooldown and
+    // lifetime limit apply; the connected account only pays the gas.
+    async requestTokensFor(recipient) {
+        if (!ethers.isAddress(recipient) || BigInt(recipient) === 0n) {
+            throw new FaucetError(ErrorCode.INVALID_ADDRESS, "Invalid recipient address.", { recipient });
+        }
+        const to = ethers.getAddress(recipient);
+        await this.ensureSignerReady();
+        await this.verifyAllowlist(to);
+        const call = { method: "requestTokensFor", args: [to], unit: undefined };
+        return this._sendClaim(call, "Claim for " + to.slice(0, 6) + "..." + to.slice(-4));
+    }
+
+    // What a requestTokensFor transaction minted, from its TokensClaimedFor
+    // event. The recipient's tier sets the amount, so the faucet default can
+    // be wrong. Null if the receipt can't be read.
+    async getClaimedForAmount(txHash) {
+        try {
+            const contract = getFaucetContract();
+            const receipt = await getAlchemyProvider().getTransactionReceipt(txHash);
+            for (const log of receipt ? receipt.logs : []) {
+                if (log.address.toLowerCase() !== _network.faucet.toLowerCase()) continue;
+                const parsed = contract.interface.parseLog(log);
+                if (parsed && parsed.name === "TokensClaimedFor") return parsed.args.amount.toString();
             }
+        } catch (err) {
+            console.error("getClaimedForAmount error:", err.message);
+        }
+        return null;
+    }
+
+    async _sendClaim(call, label) {
+        await this.ensureSignerReady();
 
-            throw new Error("Claim failed: " + msg);
+        // Pre-flight: if the claim would revert, say why without opening the
+        // wallet. RPC hiccups during simulation don't block the real attempt.
+        const preflight = await this._simulate(this.currentAccount, call);
+        if (!preflight.ok && preflight.reverted) {
+            throw preflight.error;
         }
+
+        const faucetWithSigner = this.getFaucetWithSigner();
+
+        // 20% headroom over the estimate so the wallet doesn't re-estimate
+        const overrides = preflight.ok
+            ? { gasLimit: (BigInt(preflight.gasLimit) * 12n) / 10n }
+            : {};
+
+        let tx;
+        try {
+            // Send transaction through MetaMask — user sees confirmation popup
+            tx = await faucetWithSigner[call.method](...call.args, overrides);
+        } catch (error) {
+            // Custom errors (FaucetCooldownActive etc.) are decoded from the
+            // revert data into a FaucetError with a code and parameters.
+            throw decodeFaucetError(error, "Claim failed", call.unit);
+        }
+
+        // Throws if the claim reverts on-chain or is replaced in the wallet
+        await this._trackUntilMined(tx, label);
+        return tx.hash;
+    }
+
+    // ── Gasless claims ────────────────────────────────────────────────────────
+    // The user signs an EIP-712 ClaimRequest (no gas, no transaction) and a
+    // relayer submits it via requestTokensWithSignature. Cooldown and lifetime
+    // limits apply to the signer, not the relayer, and so does the allowlist:
+    // a pending entry is proven in the same relayed transaction.
+
+    isRelayerConfigured() {
+        return RELAYER_URL !== "";
+    }
+
+    // Signs a ClaimRequest for the connected account with its current faucet
+    // nonce. Returns { user, nonce, deadline, signature } ready to relay.
+    async signClaimRequest({ ttl = CLAIM_REQUEST_TTL } = {}) {
+        await this.ensureSignerReady();
+
+        const user = ethers.getAddress(this.currentAccount);
+        const nonce = await getFaucetContract().nonces(user);
+        const deadline = Math.floor(Date.now() / 1000) + ttl;
+        const domain = {
+            name: "TokenFaucet",
+            version: "1",
+            chainId: _network.chainId,
+            verifyingContract: _network.faucet,
+        };
+
+        try {
+            const signature = await this.signer.signTypedData(domain, CLAIM_REQUEST_TYPES, {
+                user,
+                nonce,
+                deadline,
+            });
+            return { user, nonce: nonce.toString(), deadline, signature };
+        } catch (error) {
+            throw decodeFaucetError(error, "Signing failed");
+        }
+    }
+
+    // Sends a signed request to VITE_RELAYER_URL and tracks the relayer's
+    // transaction like any other. Resolves with the transaction hash.
+    async relayClaimRequest(request) {
+        if (!this.isRelayerConfigured()) {
+            throw new FaucetError(ErrorCode.RELAYER_UNAVAILABLE, "No relayer is configured.");
+        }
+
+        let res;
+        let body;
+        try {
+            res = await fetch(RELAYER_URL + "/claims", {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(request),
+            });
+            body = await res.json();
+        } catch (error) {
+            throw new FaucetError(ErrorCode.RELAYER_UNAVAILABLE, "Relayer unreachable: " + error.message, {}, error);
+        }
+        if (!res.ok) {
+            // The relayer passes the revert data through, so custom errors decode as usual
+            throw decodeFaucetError({ data: body.data, message: body.error }, "Relay failed");
+        }
+
+        this.txTracker.track(body, "Gasless claim");
+        await this.txTracker.wait(body.hash, TX_WAIT_TIMEOUT);
+        return body.hash;
+    }
+
+    async claimGasless() {
+        await this.ensureSignerReady();
+        const proof = await this._pendingAllowlistProof(this.currentAccount);
+        const request = await this.signClaimRequest();
+        return this.relayClaimRequest(proof ? { ...request, proof } : request);
     }
 
     getContractAddresses() {
         return {
-            token: TOKEN_ADDRESS,
-            faucet: FAUCET_ADDRESS,
+            token: _network.token,
+            faucet: _network.faucet,
         };
     }
 
+    // Account changes of the connected wallet, whichever connector it came
+    // through. Returns an unsubscribe.
     onAccountsChanged(callback) {
-        if (this.isWalletAvailable()) {
-            window.ethereum.on("accountsChanged", callback);
-        }
+        this._accountListeners.add(callback);
+        return () => {
+            this._accountListeners.delete(callback);
+        };
     }
 
+    // Called with getNetwork() after the wallet changes chain and the service
+    // has switched its providers and contract addresses. Returns an unsubscribe.
     onChainChanged(callback) {
-        if (this.isWalletAvailable()) {
-            window.ethereum.on("chainChanged", callback);
-        }
+        this._networkListeners.add(callback);
+        return () => {
+            this._networkListeners.delete(callback);
+        };
     }
 }
 
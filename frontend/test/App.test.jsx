@@ -0,0 +1,167 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { render, screen, fireEvent, cleanup } from "@testing-library/react";
+import { ethers } from "ethers";
+import { MemoryRouter } from "react-router-dom";
+import App from "../src/App";
+import { FaucetProvider } from "../src/context/FaucetContext";
+import { ErrorCode, FaucetError } from "../src/utils/errors";
+import { shortAddr } from "../src/utils/format";
+import { createMockService, status, ACCOUNT, TOKEN, TIER, FCT } from "./mockService";
+
+function renderApp(service, path = "/") {
+    return render(
+        <MemoryRouter initialEntries={[path]}>
+            <FaucetProvider service={service}>
+                <App />
+            </FaucetProvider>
+        </MemoryRouter>
+    );
+}
+
+// A service whose wallet is already connected when the app loads
+function connectedService(overrides) {
+    return createMockService({ reconnect: vi.fn(async () => ACCOUNT), ...overrides });
+}
+
+describe("App", function () {
+    afterEach(function () {
+        cleanup();
+    });
+
+    it("Should connect from the prompt and show the address", async function () {
+        const service = createMockService();
+        renderApp(service);
+
+        fireEvent.click(await screen.findByRole("button", { name: "Connect wallet" }));
+
+        expect(await screen.findByText(shortAddr(ACCOUNT))).toBeTruthy();
+        expect(service.connectWallet).toHaveBeenCalledTimes(1);
+    });
+
+    it("Should claim with the connected wallet", async function () {
+        const service = connectedService();
+        renderApp(service);
+
+        fireEvent.click(await screen.findByRole("button", { name: "Claim 10 FCT" }));
+
+        await vi.waitFor(() => expect(service.requestTokens).toHaveBeenCalledTimes(1));
+        expect(service.requestTokens).toHaveBeenCalledWith(undefined);
+    });
+
+    it("Should warn and start the countdown when the claim hits the cooldown", async function () {
+        const service = connectedService({
+            requestTokens: vi.fn(async () => {
+                throw new FaucetError(ErrorCode.COOLDOWN, "Cooldown period not elapsed.", { secondsRemaining: 3600 });
+            }),
+        });
+        renderApp(service);
+
+        fireEvent.click(await screen.findByRole("button", { name: "Claim 10 FCT" }));
+
+        expect(await screen.findByText("Cooldown period not elapsed.")).toBeTruthy();
+        expect(screen.getByText("01:00:00")).toBeTruthy();
+        expect(screen.getByRole("button", { name: "Waiting for cooldown" }).disabled).toBe(true);
+    });
+
+    it("Should let an allowlisted address that has not proven its entry claim from the token list", async function () {
+        const usd = { ...FCT, address: "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0", symbol: "USD", primary: false };
+        const service = connectedService({
+            getTokens: vi.fn(async () => [FCT, usd]),
+            getUserStatuses: vi.fn(async () => [
+                status({ canClaim: false, allowlisted: false }),
+                status({ token: usd.address, canClaim: false, allowlisted: false }),
+            ]),
+        });
+        renderApp(service);
+
+        await screen.findByRole("button", { name: "Claim 10 FCT" });
+        const rows = screen.getAllByRole("button", { name: "Claim 10" });
+        expect(rows.map((button) => button.disabled)).toEqual([false, false]);
+        expect(screen.getByRole("button", { name: "Claim 10 FCT" }).disabled).toBe(false);
+    });
+
+    it("Should explain an allowance too small for one more claim", async function () {
+        const service = connectedService({
+            getUserStatuses: vi.fn(async () => [status({ canClaim: false, remainingAllowance: "5000000000000000000" })]),
+        });
+        renderApp(service);
+
+        expect(await screen.findByText("Limit Reached")).toBeTruthy();
+        expect(screen.getByText("Only 5 FCT of the 100 FCT per address is left, less than one claim.")).toBeTruthy();
+        expect(screen.getByRole("button", { name: "Limit reached" }).disabled).toBe(true);
+    });
+
+    it("Should send a recipient the amount of their own tier", async function () {
+        const recipient = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+        const partner = ethers.parseEther("50").toString();
+        const service = connectedService({
+            getUserStatus: vi.fn(async () => status({ faucetAmount: partner })),
+            getClaimedForAmount: vi.fn(async () => partner),
+        });
+        renderApp(service);
+
+        fireEvent.change(await screen.findByLabelText("Claim for another address"), { target: { value: recipient } });
+        fireEvent.click(await screen.findByRole("button", { name: "Send 50 FCT" }));
+
+        expect(await screen.findByText("50 FCT sent to " + shortAddr(recipient) + ".")).toBeTruthy();
+        expect(service.getUserStatus).toHaveBeenCalledWith(recipient.toLowerCase());
+        expect(service.getClaimedForAmount).toHaveBeenCalledWith("0xclaimfor");
+    });
+
+    it("Should only link the admin page for wallets with a faucet role", async function () {
+        const plain = connectedService();
+        renderApp(plain, "/admin");
+        expect(await screen.findByText("This wallet holds no faucet role.")).toBeTruthy();
+        expect(screen.queryByRole("link", { name: "Admin" })).toBeNull();
+        cleanup();
+
+        const pauser = connectedService({ getRoles: vi.fn(async () => ["PAUSER"]) });
+        renderApp(pauser);
+        expect(await screen.findByRole("link", { name: "Admin" })).toBeTruthy();
+    });
+
+    it("Should send old ?address= links to the lookup page", async function () {
+        const service = createMockService();
+        renderApp(service, "/?address=" + ACCOUNT);
+
+        await vi.waitFor(() => expect(service.lookupAddress).toHaveBeenCalledWith(ACCOUNT));
+        expect(screen.getByRole("heading", { name: "Address lookup" })).toBeTruthy();
+    });
+
+    it("Should say why a looked-up address cannot claim", async function () {
+        async function lookup(values) {
+            const service = createMockService({
+                lookupAddress: vi.fn(async (input) => ({
+                    address: input,
+                    ensName: null,
+                    statuses: [status({ canClaim: false, ...values.status })],
+                    tier: { ...TIER, ...values.tier },
+                    budgets: values.budgets || [],
+                    history: [],
+                })),
+            });
+            renderApp(service, "/address/" + ACCOUNT);
+            await vi.waitFor(() => expect(service.lookupAddress).toHaveBeenCalled());
+        }
+
+        await lookup({ tier: { blocked: true } });
+        expect(await screen.findByText("Not allowed to claim")).toBeTruthy();
+        cleanup();
+
+        await lookup({ tier: { onAllowlist: false } });
+        expect(await screen.findByText("Not on the allowlist")).toBeTruthy();
+        cleanup();
+
+        // 5 FCT left of a 10 FCT claim
+        await lookup({ status: { remainingAllowance: "5000000000000000000" } });
+        expect(await screen.findByText("Limit reached")).toBeTruthy();
+        cleanup();
+
+        await lookup({ budgets: [{ token: TOKEN, remainingToday: "0", remainingTotal: null }] });
+        expect(await screen.findByText("Daily budget reached")).toBeTruthy();
+        cleanup();
+
+        await lookup({ status: { canClaim: true } });
+        expect(await screen.findByText("Can claim now")).toBeTruthy();
+    });
+});
@@ -0,0 +1,16 @@
+import { vi } from "vitest";
+
+// Points the app at one chain whatever frontend/.env holds, with the
+// optional services (relayer, indexer, allowlist, ENS, websocket) off.
+// networks.js and web3.js read these when they load, so import them after.
+export function stubNetworkEnv({ rpcUrl, token, faucet, chainId = 31337 }) {
+    vi.stubEnv("VITE_CHAIN_ID", String(chainId));
+    vi.stubEnv("VITE_RPC_URL", rpcUrl);
+    vi.stubEnv("VITE_TOKEN_ADDRESS", token);
+    vi.stubEnv("VITE_FAUCET_ADDRESS", faucet);
+    vi.stubEnv("VITE_DEPLOYMENT_BLOCK", "0");
+    vi.stubEnv("VITE_TX_CONFIRMATIONS", "1");
+    for (const name of ["VITE_WS_RPC_URL", "VITE_RELAYER_URL", "VITE_INDEXER_URL", "VITE_ALLOWLIST_URL", "VITE_ENS_RPC_URL"]) {
+        vi.stubEnv(name, "");
+    }
+}
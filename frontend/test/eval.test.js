@@ -0,0 +1,83 @@
+import { describe, it, expect, vi, beforeAll, beforeEach } from "vitest";
+import web3Service from "../src/utils/web3";
+import { ErrorCode, FaucetError } from "../src/utils/errors";
+import { ACCOUNT, TOKEN, FAUCET } from "./mockService";
+
+vi.mock("../src/utils/web3", () => ({
+    default: {
+        connectWallet: vi.fn(),
+        requestTokens: vi.fn(),
+        requestTokensFor: vi.fn(),
+        getBalance: vi.fn(),
+        canClaim: vi.fn(),
+        getRemainingAllowance: vi.fn(),
+        getContractAddresses: vi.fn(),
+    },
+}));
+
+describe("window.__EVAL__", function () {
+    beforeAll(async function () {
+        await import("../src/utils/eval");
+    });
+
+    beforeEach(function () {
+        vi.clearAllMocks();
+    });
+
+    it("Should return the connected address and transaction hashes as strings", async function () {
+        web3Service.connectWallet.mockResolvedValue(ACCOUNT);
+        web3Service.requestTokens.mockResolvedValue("0xabc");
+
+        expect(await window.__EVAL__.connectWallet()).toBe(ACCOUNT);
+        expect(await window.__EVAL__.requestTokens()).toBe("0xabc");
+    });
+
+    it("Should return reads as strings and booleans", async function () {
+        web3Service.getBalance.mockResolvedValue(10n ** 19n);
+        web3Service.canClaim.mockResolvedValue(1);
+        web3Service.getRemainingAllowance.mockResolvedValue("90000000000000000000");
+
+        expect(await window.__EVAL__.getBalance(ACCOUNT)).toBe("10000000000000000000");
+        expect(await window.__EVAL__.canClaim(ACCOUNT)).toBe(true);
+        expect(await window.__EVAL__.getRemainingAllowance(ACCOUNT)).toBe("90000000000000000000");
+    });
+
+    it("Should report the contracts of the network the service is on", async function () {
+        web3Service.getContractAddresses.mockReturnValue({ token: TOKEN, faucet: FAUCET });
+        expect(await window.__EVAL__.getContractAddresses()).toEqual({ token: TOKEN, faucet: FAUCET });
+
+        web3Service.getContractAddresses.mockReturnValue({ token: undefined, faucet: undefined });
+        expect(await window.__EVAL__.getContractAddresses()).toEqual({ token: "", faucet: "" });
+    });
+
+    it("Should keep the FaucetError code and params behind a prefixed message", async function () {
+        web3Service.requestTokens.mockRejectedValue(
+            new FaucetError(ErrorCode.COOLDOWN, "Cooldown period not elapsed.", { secondsRemaining: 60 })
+        );
+
+        const error = await window.__EVAL__.requestTokens().catch((err) => err);
+
+        expect(error.message).toBe("requestTokens failed: Cooldown period not elapsed.");
+        expect(error.code).toBe(ErrorCode.COOLDOWN);
+        expect(error.params).toEqual({ secondsRemaining: 60 });
+    });
+
+    it("Should give other failures the UNKNOWN code", async function () {
+        web3Service.connectWallet.mockResolvedValue(null);
+
+        const error = await window.__EVAL__.connectWallet().catch((err) => err);
+
+        expect(error.message).toBe("connectWallet failed: No address returned from connectWallet");
+        expect(error.code).toBe(ErrorCode.UNKNOWN);
+    });
+
+    it("Should require an address for reads and a recipient for requestTokensFor", async function () {
+        const balance = await window.__EVAL__.getBalance().catch((err) => err);
+        const claimFor = await window.__EVAL__.requestTokensFor("").catch((err) => err);
+
+        expect(balance.message).toBe("getBalance failed: address parameter is required");
+        expect(claimFor.message).toBe("requestTokensFor failed: recipient parameter is required");
+        expect(web3Service.getBalance).not.toHaveBeenCalled();
+        expect(web3Service.requestTokensFor).not.toHaveBeenCalled();
+    });
+});
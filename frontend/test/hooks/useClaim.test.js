@@ -0,0 +1,80 @@
+import { describe, it, expect, vi } from "vitest";
+import { renderHook, act } from "@testing-library/react";
+import { useClaim } from "../../src/hooks/useClaim";
+import { ErrorCode, FaucetError } from "../../src/utils/errors";
+import { createMockService, deferred, TOKEN } from "../mockService";
+
+describe("useClaim", function () {
+    it("Should claim the primary token and keep the transaction hash", async function () {
+        const service = createMockService();
+        const { result } = renderHook(() => useClaim(service));
+
+        await act(() => result.current.claim());
+
+        expect(service.requestTokens).toHaveBeenCalledWith(undefined);
+        expect(result.current.result).toBe("0xclaim");
+        expect(result.current.claiming).toBe(false);
+    });
+
+    it("Should claim another token or go through the relayer", async function () {
+        const service = createMockService();
+        const { result } = renderHook(() => useClaim(service));
+
+        await act(() => result.current.claim({ token: TOKEN }));
+        await act(() => result.current.claim({ gasless: true }));
+
+        expect(service.requestTokens).toHaveBeenCalledWith(TOKEN);
+        expect(service.claimGasless).toHaveBeenCalledTimes(1);
+        expect(result.current.result).toBe("0xrelayed");
+    });
+
+    it("Should not send a second claim while one is pending", async function () {
+        const pending = deferred();
+        const service = createMockService({ requestTokens: vi.fn(() => pending.promise) });
+        const { result } = renderHook(() => useClaim(service));
+
+        let first;
+        let second;
+        act(() => {
+            first = result.current.claim();
+            second = result.current.claimFor("0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC");
+        });
+        expect(second).toBe(first);
+        expect(result.current.claiming).toBe(true);
+
+        await act(async () => {
+            pending.resolve("0xclaim");
+            await first;
+        });
+        expect(service.requestTokens).toHaveBeenCalledTimes(1);
+        expect(service.requestTokensFor).not.toHaveBeenCalled();
+    });
+
+    it("Should store and rethrow a failed claim", async function () {
+        const cooldown = new FaucetError(ErrorCode.COOLDOWN, "Cooldown active", { secondsRemaining: 60 });
+        const service = createMockService({ requestTokens: vi.fn().mockRejectedValue(cooldown) });
+        const { result } = renderHook(() => useClaim(service));
+
+        let failure;
+        await act(async () => {
+            failure = await result.current.claim().catch((err) => err);
+        });
+
+        expect(failure).toBe(cooldown);
+        expect(result.current.error.code).toBe(ErrorCode.COOLDOWN);
+        expect(result.current.claiming).toBe(false);
+
+        act(() => result.current.reset());
+        expect(result.current.error).toBeNull();
+    });
+
+    it("Should trim the recipient of a claim for another address", async function () {
+        const service = createMockService();
+        const { result } = renderHook(() => useClaim(service));
+
+        await act(() => result.current.claimFor("  0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC "));
+
+        expect(service.requestTokensFor).toHaveBeenCalledWith("0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC");
+        expect(result.current.result).toBe("0xclaimfor");
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { renderHook, waitFor, act } from "@testing-library/react";
+import { useFaucetStatus } from "../../src/hooks/useFaucetStatus";
+import { createMockService, status, ACCOUNT, TOKEN } from "../mockService";
+
+describe("useFaucetStatus", function () {
+    afterEach(function () {
+        vi.useRealTimers();
+    });
+
+    it("Should read statuses and tier for the account", async function () {
+        const service = createMockService();
+        const { result } = renderHook(() => useFaucetStatus(service, ACCOUNT, 31337));
+
+        await waitFor(() => expect(result.current.statuses).toHaveLength(1));
+        expect(result.current.tier.name).toBe("Default");
+        expect(result.current.statuses[0].cooldown).toBe(0);
+        expect(result.current.statuses[0].fetchedAt).toBe(result.current.fetchedAt);
+        expect(service.getUserStatuses).toHaveBeenCalledWith(ACCOUNT);
+    });
+
+    it("Should read nothing without an account", function () {
+        const service = createMockService();
+        const { result } = renderHook(() => useFaucetStatus(service, "", 31337));
+
+        expect(result.current.statuses).toEqual([]);
+        expect(result.current.tier).toBeNull();
+        expect(result.current.loading).toBe(false);
+        expect(service.getUserStatuses).not.toHaveBeenCalled();
+    });
+
+    it("Should read once for components sharing an account", async function () {
+        const service = createMockService();
+        const first = renderHook(() => useFaucetStatus(service, ACCOUNT, 31337));
+        const second = renderHook(() => useFaucetStatus(service, ACCOUNT.toLowerCase(), 31337));
+
+        await waitFor(() => expect(first.result.current.statuses).toHaveLength(1));
+        await waitFor(() => expect(second.result.current.statuses).toHaveLength(1));
+        expect(service.getUserStatuses).toHaveBeenCalledTimes(1);
+    });
+
+    it("Should count the cooldown down and re-read when it ends", async function () {
+        vi.useFakeTimers({ shouldAdvanceTime: true });
+        const service = createMockService({
+            getUserStatuses: vi
+                .fn()
+                .mockResolvedValueOnce([status({ canClaim: false, timeUntilNextClaim: 3 })])
+                .mockResolvedValue([status()]),
+        });
+        const { result } = renderHook(() => useFaucetStatus(service, ACCOUNT, 31337));
+        await waitFor(() => expect(result.current.statuses).toHaveLength(1));
+        expect(result.current.statuses[0].cooldown).toBe(3);
+
+        await act(() => vi.advanceTimersByTimeAsync(1000));
+        expect(result.current.statuses[0].cooldown).toBe(2);
+
+        await act(() => vi.advanceTimersByTimeAsync(2000));
+        await waitFor(() => expect(service.getUserStatuses).toHaveBeenCalledTimes(2));
+        await waitFor(() => expect(result.current.statuses[0].canClaim).toBe(true));
+    });
+
+    it("Should patch one status until the next read", async function () {
+        const service = createMockService();
+        const { result } = renderHook(() => useFaucetStatus(service, ACCOUNT, 31337));
+        await waitFor(() => expect(result.current.statuses).toHaveLength(1));
+
+        act(() => result.current.patch(TOKEN.toLowerCase(), { canClaim: false, remainingAllowance: "0" }));
+        expect(result.current.statuses[0].remainingAllowance).toBe("0");
+
+        await act(() => result.current.refresh({ fresh: true }));
+        expect(result.current.statuses[0].remainingAllowance).toBe(status().remainingAllowance);
+    });
+
+    it("Should drop the statuses of the previous account", async function () {
+        const service = createMockService();
+        const { result, rerender } = renderHook(({ account }) => useFaucetStatus(service, account, 31337), {
+            initialProps: { account: ACCOUNT },
+        });
+        await waitFor(() => expect(result.current.statuses).toHaveLength(1));
+
+        rerender({ account: "" });
+
+        expect(result.current.statuses).toEqual([]);
+    });
+});
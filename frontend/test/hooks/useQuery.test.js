@@ -0,0 +1,74 @@
+import { describe, it, expect, vi } from "vitest";
+import { renderHook, waitFor, act } from "@testing-library/react";
+import { useQuery } from "../../src/hooks/useQuery";
+import { deferred } from "../mockService";
+
+describe("useQuery", function () {
+    it("Should share one read between hooks asking for the same key", async function () {
+        const service = {};
+        const fetcher = vi.fn(async () => 42);
+
+        const first = renderHook(() => useQuery(service, "answer", fetcher));
+        const second = renderHook(() => useQuery(service, "answer", fetcher));
+
+        await waitFor(() => expect(second.result.current.data).toBe(42));
+        expect(first.result.current.data).toBe(42);
+        expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+
+    it("Should start a new read on a fresh refresh", async function () {
+        const service = {};
+        const fetcher = vi.fn(async () => 1);
+        const { result } = renderHook(() => useQuery(service, "n", fetcher));
+        await waitFor(() => expect(result.current.loading).toBe(false));
+
+        await act(() => Promise.all([result.current.refresh({ fresh: true }), result.current.refresh({ fresh: true })]));
+
+        expect(fetcher).toHaveBeenCalledTimes(3);
+    });
+
+    it("Should drop the answer for a key that is no longer current", async function () {
+        const service = {};
+        const slow = deferred();
+        const fetchers = { a: () => slow.promise, b: async () => "b" };
+        const { result, rerender } = renderHook(({ key }) => useQuery(service, key, fetchers[key]), {
+            initialProps: { key: "a" },
+        });
+
+        rerender({ key: "b" });
+        await waitFor(() => expect(result.current.data).toBe("b"));
+        await act(async () => slow.resolve("a"));
+
+        expect(result.current.data).toBe("b");
+    });
+
+    it("Should expose a failed read as error and keep refresh from rejecting", async function () {
+        const service = {};
+        const failure = new Error("RPC down");
+        const fetcher = vi.fn().mockRejectedValueOnce(failure).mockResolvedValueOnce("ok");
+        const { result } = renderHook(() => useQuery(service, "flaky", fetcher));
+
+        await waitFor(() => expect(result.current.error).toBe(failure));
+        expect(result.current.loading).toBe(false);
+
+        await act(async () => expect(await result.current.refresh()).toBe("ok"));
+        expect(result.current.error).toBeNull();
+        expect(result.current.data).toBe("ok");
+    });
+
+    it("Should clear the data and skip reading while the key is null", async function () {
+        const service = {};
+        const fetcher = vi.fn(async () => "x");
+        const { result, rerender } = renderHook(({ key }) => useQuery(service, key, fetcher), {
+            initialProps: { key: "k" },
+        });
+        await waitFor(() => expect(result.current.data).toBe("x"));
+
+        rerender({ key: null });
+
+        expect(result.current.data).toBeNull();
+        expect(result.current.loading).toBe(false);
+        expect(await result.current.refresh()).toBeNull();
+        expect(fetcher).toHaveBeenCalledTimes(1);
+    });
+});
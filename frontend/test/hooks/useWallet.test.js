@@ -0,0 +1,105 @@
+import { describe, it, expect, vi } from "vitest";
+import { renderHook, waitFor, act } from "@testing-library/react";
+import { StrictMode } from "react";
+import { useWallet } from "../../src/hooks/useWallet";
+import { ErrorCode, FaucetError } from "../../src/utils/errors";
+import { createMockService, deferred, ACCOUNT, NETWORK } from "../mockService";
+
+describe("useWallet", function () {
+    it("Should restore the last session on mount", async function () {
+        const service = createMockService({ reconnect: vi.fn(async () => ACCOUNT) });
+        const { result } = renderHook(() => useWallet(service));
+
+        await waitFor(() => expect(result.current.account).toBe(ACCOUNT));
+        expect(result.current.network).toEqual(NETWORK);
+    });
+
+    it("Should reconnect once and hold one listener of each kind under StrictMode", async function () {
+        const service = createMockService();
+        renderHook(() => useWallet(service), { wrapper: StrictMode });
+
+        await waitFor(() => expect(service.reconnect).toHaveBeenCalled());
+        expect(service.reconnect).toHaveBeenCalledTimes(1);
+        expect(service.listeners.accounts.size).toBe(1);
+        expect(service.listeners.chain.size).toBe(1);
+        expect(service.listeners.connectors.size).toBe(1);
+    });
+
+    it("Should remove its listeners on unmount", function () {
+        const service = createMockService();
+        const { unmount } = renderHook(() => useWallet(service));
+
+        unmount();
+
+        expect(service.listeners.accounts.size).toBe(0);
+        expect(service.listeners.chain.size).toBe(0);
+        expect(service.listeners.connectors.size).toBe(0);
+    });
+
+    it("Should follow account, chain and connector events", async function () {
+        const service = createMockService();
+        const { result } = renderHook(() => useWallet(service));
+        const other = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+        const sepolia = { ...NETWORK, chainId: 11155111, name: "Sepolia" };
+
+        act(() => service.emitAccounts([other]));
+        expect(result.current.account).toBe(other);
+
+        act(() => service.emitChain(sepolia));
+        expect(result.current.network).toEqual(sepolia);
+
+        act(() => service.emitConnectors([{ id: "io.metamask", name: "MetaMask" }]));
+        expect(result.current.connectors).toHaveLength(1);
+
+        act(() => service.emitAccounts([]));
+        expect(result.current.account).toBe("");
+        expect(service.disconnectWallet).toHaveBeenCalled();
+    });
+
+    it("Should share a pending connect and report the connector while connecting", async function () {
+        const pending = deferred();
+        const service = createMockService({ connectWallet: vi.fn(() => pending.promise) });
+        const { result } = renderHook(() => useWallet(service));
+
+        let first;
+        let second;
+        act(() => {
+            first = result.current.connect("io.metamask");
+            second = result.current.connect("io.metamask");
+        });
+        expect(second).toBe(first);
+        expect(result.current.connecting).toBe("io.metamask");
+
+        await act(async () => {
+            pending.resolve(ACCOUNT);
+            await first;
+        });
+        expect(service.connectWallet).toHaveBeenCalledTimes(1);
+        expect(result.current.account).toBe(ACCOUNT);
+        expect(result.current.connecting).toBe("");
+    });
+
+    it("Should store and rethrow a failed connect", async function () {
+        const service = createMockService({ isWalletAvailable: vi.fn(() => false) });
+        const { result } = renderHook(() => useWallet(service));
+
+        let failure;
+        await act(async () => {
+            failure = await result.current.connect().catch((err) => err);
+        });
+
+        expect(failure).toBeInstanceOf(FaucetError);
+        expect(failure.code).toBe(ErrorCode.NO_WALLET);
+        expect(result.current.error).toBe(failure);
+        expect(service.connectWallet).not.toHaveBeenCalled();
+    });
+
+    it("Should switch to the chain it reads from by default", async function () {
+        const service = createMockService();
+        const { result } = renderHook(() => useWallet(service));
+
+        await act(() => result.current.switchNetwork());
+
+        expect(service.switchNetwork).toHaveBeenCalledWith(NETWORK.chainId);
+    });
+});
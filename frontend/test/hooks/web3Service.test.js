@@ -0,0 +1,127 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { renderHook, waitFor, act } from "@testing-library/react";
+import { ethers } from "ethers";
+import { useWallet } from "../../src/hooks/useWallet";
+import { useFaucetStatus } from "../../src/hooks/useFaucetStatus";
+import { useClaim } from "../../src/hooks/useClaim";
+import { ErrorCode } from "../../src/utils/errors";
+import { stubNetworkEnv } from "../env";
+import { createMockChain, stopServing, reverted, rpcError, RPC_URL } from "../mockEthereum";
+import { ACCOUNT, TOKEN, FAUCET } from "../mockService";
+
+// The hooks against the real Web3Service, with only the wallet and the read
+// RPC mocked, so what they show is what the web3 layer decoded
+describe("hooks on Web3Service", function () {
+    let chain;
+    let service;
+
+    beforeEach(async function () {
+        stubNetworkEnv({ rpcUrl: RPC_URL, token: TOKEN, faucet: FAUCET });
+        localStorage.clear();
+        chain = createMockChain();
+        chain.serve();
+        window.ethereum = chain.ethereum;
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        vi.resetModules();
+        service = (await import("../../src/utils/web3")).default;
+    });
+
+    afterEach(function () {
+        service.txTracker.stop();
+        delete window.ethereum;
+        stopServing();
+        vi.unstubAllEnvs();
+        vi.restoreAllMocks();
+    });
+
+    it("Should connect the wallet and follow its account changes", async function () {
+        const other = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+        const { result } = renderHook(() => useWallet(service));
+
+        await act(() => result.current.connect());
+        expect(result.current.account).toBe(ACCOUNT);
+        expect(result.current.network).toMatchObject({ chainId: 31337, walletChainId: 31337, wrongNetwork: false });
+
+        chain.wallet.accounts = [other];
+        act(() => chain.emit("accountsChanged", [other]));
+        await waitFor(() => expect(result.current.account).toBe(other));
+    });
+
+    it("Should show the statuses and tier the faucet returns", async function () {
+        chain.contract.getUserStatuses = () => [
+            [
+                [
+                    TOKEN,
+                    ethers.parseEther("10"),
+                    1000,
+                    ethers.parseEther("10"),
+                    ethers.parseEther("90"),
+                    3600,
+                    false,
+                    false,
+                    ethers.parseEther("10"),
+                    86400,
+                    ethers.parseEther("100"),
+                    16,
+                    4600,
+                    1,
+                    true,
+                ],
+            ],
+        ];
+        chain.contract.userTier = () => [1];
+        chain.contract.getTier = ([id]) => [[id === 1n ? "Partner" : "Default", false]];
+
+        const { result } = renderHook(() => useFaucetStatus(service, ACCOUNT, 31337));
+
+        await waitFor(() => expect(result.current.statuses).toHaveLength(1));
+        expect(result.current.statuses[0]).toMatchObject({
+            token: TOKEN,
+            remainingAllowance: ethers.parseEther("90").toString(),
+            canClaim: false,
+            timeUntilNextClaim: 3600,
+            tier: 1,
+        });
+        expect(result.current.statuses[0].cooldown).toBeGreaterThan(3500);
+        expect(result.current.tier).toMatchObject({ id: 1, name: "Partner", blocked: false, onAllowlist: true });
+    });
+
+    it("Should resolve a claim with the hash of the transaction the wallet sent", async function () {
+        await service.connectWallet();
+        const { result } = renderHook(() => useClaim(service));
+
+        await act(() => result.current.claim());
+
+        expect(chain.sent).toHaveLength(1);
+        expect(result.current.result).toBe(chain.sent[0].hash);
+        expect(result.current.error).toBeNull();
+    });
+
+    it("Should store the decoded cooldown without opening the wallet", async function () {
+        await service.connectWallet();
+        chain.contract.requestTokens = () => {
+            throw reverted("FaucetCooldownActive", [3600]);
+        };
+        const { result } = renderHook(() => useClaim(service));
+
+        await act(() => result.current.claim().catch(() => {}));
+
+        expect(result.current.error.code).toBe(ErrorCode.COOLDOWN);
+        expect(result.current.error.params.secondsRemaining).toBe(3600);
+        expect(result.current.claiming).toBe(false);
+        expect(chain.requests).not.toContain("eth_sendTransaction");
+    });
+
+    it("Should store a rejection in the wallet as REJECTED", async function () {
+        await service.connectWallet();
+        chain.wallet.send = () => {
+            throw rpcError(4001, "User rejected the request.");
+        };
+        const { result } = renderHook(() => useClaim(service));
+
+        await act(() => result.current.claim().catch(() => {}));
+
+        expect(result.current.error.code).toBe(ErrorCode.REJECTED);
+        expect(chain.sent).toHaveLength(0);
+    });
+});
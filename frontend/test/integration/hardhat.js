@@ -0,0 +1,38 @@
+import { createRequire } from "module";
+import { fileURLToPath } from "url";
+
+// Global setup for `npm run test:integration`: starts an in-process Hardhat
+// node on a free port, deploys Token and the TokenFaucet proxy the way
+// scripts/deploy.js does, and hands the addresses to the tests through
+// inject("hardhat").
+export default async function setup({ provide }) {
+    const root = fileURLToPath(new URL("../../../", import.meta.url));
+    process.env.HARDHAT_CONFIG = root + "hardhat.config.js";
+    const hre = createRequire(root + "package.json")("hardhat");
+    const { ethers, upgrades } = hre;
+
+    await hre.run("compile", { quiet: true });
+    const server = await hre.run("node:create-server", {
+        hostname: "127.0.0.1",
+        port: 0,
+        provider: hre.network.provider,
+    });
+    const { port } = await server.listen();
+
+    const signers = await ethers.getSigners();
+    const token = await (await ethers.getContractFactory("Token")).deploy();
+    const TokenFaucet = await ethers.getContractFactory("TokenFaucet");
+    const faucet = await upgrades.deployProxy(TokenFaucet, [await token.getAddress()], { kind: "uups" });
+    await token.grantRole(await token.MINTER_ROLE(), await faucet.getAddress());
+
+    provide("hardhat", {
+        rpcUrl: `http://127.0.0.1:${port}/`,
+        token: await token.getAddress(),
+        faucet: await faucet.getAddress(),
+        accounts: signers.slice(0, 3).map((s) => s.address),
+    });
+
+    return async () => {
+        await server.close();
+    };
+}
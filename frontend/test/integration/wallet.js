@@ -0,0 +1,51 @@
+// A browser wallet for window.ethereum backed by the test node. The node
+// holds the keys, so it signs whatever `account` sends. Set `rejectNext`
+// to turn down the next transaction the way a user would in the popup.
+export function createNodeWallet(rpcUrl, account) {
+    const listeners = new Map();
+    let id = 0;
+
+    async function rpc(method, params = []) {
+        const response = await fetch(rpcUrl, {
+            method: "POST",
+            headers: { "content-type": "application/json" },
+            body: JSON.stringify({ jsonrpc: "2.0", id: ++id, method, params }),
+        });
+        const { result, error } = await response.json();
+        if (error) throw Object.assign(new Error(error.message), { code: error.code, data: error.data });
+        return result;
+    }
+
+    const wallet = {
+        rejectNext: false,
+        sent: 0,
+        async request({ method, params }) {
+            switch (method) {
+                // Hardhat lists every unlocked account and has no connect prompt
+                case "eth_requestAccounts":
+                case "eth_accounts":
+                    return [account];
+                case "wallet_switchEthereumChain":
+                    return null;
+                case "eth_sendTransaction":
+                    if (wallet.rejectNext) {
+                        wallet.rejectNext = false;
+                        throw Object.assign(new Error("User rejected the request."), { code: 4001 });
+                    }
+                    wallet.sent++;
+                    return rpc(method, params);
+                default:
+                    return rpc(method, params);
+            }
+        },
+        on(event, listener) {
+            if (!listeners.has(event)) listeners.set(event, new Set());
+            listeners.get(event).add(listener);
+        },
+        removeListener(event, listener) {
+            listeners.get(event)?.delete(listener);
+        },
+        rpc,
+    };
+    return wallet;
+}
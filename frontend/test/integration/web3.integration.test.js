@@ -0,0 +1,144 @@
+import { describe, it, expect, vi, inject, beforeEach, afterEach } from "vitest";
+import { ethers } from "ethers";
+import { FAUCET_ABI } from "../../src/utils/contracts";
+import { ErrorCode } from "../../src/utils/errors";
+import { stubNetworkEnv } from "../env";
+import { createNodeWallet } from "./wallet";
+
+const node = inject("hardhat");
+const [OWNER, USER, RECIPIENT] = node.accounts;
+const DAY = 24 * 60 * 60;
+
+describe("Web3Service on a Hardhat node", function () {
+    let wallet;
+    let service;
+    let snapshot;
+    let owner;
+
+    beforeEach(async function () {
+        stubNetworkEnv({ rpcUrl: node.rpcUrl, token: node.token, faucet: node.faucet });
+        localStorage.clear();
+        wallet = createNodeWallet(node.rpcUrl, USER);
+        window.ethereum = wallet;
+        // Every test starts from the freshly deployed faucet
+        snapshot = await wallet.rpc("evm_snapshot");
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        vi.resetModules();
+        service = (await import("../../src/utils/web3")).default;
+        await service.connectWallet();
+    });
+
+    afterEach(async function () {
+        service.txTracker.stop();
+        owner?.provider.destroy();
+        owner = null;
+        await wallet.rpc("evm_revert", [snapshot]);
+        delete window.ethereum;
+        vi.unstubAllEnvs();
+        vi.restoreAllMocks();
+    });
+
+    // The faucet as its deployer, for admin changes between claims
+    async function asOwner() {
+        const provider = new ethers.JsonRpcProvider(node.rpcUrl, undefined, { staticNetwork: true });
+        const faucet = new ethers.Contract(node.faucet, FAUCET_ABI, await provider.getSigner(OWNER));
+        owner = { provider, faucet };
+        return faucet;
+    }
+
+    async function claimError() {
+        const error = await service.requestTokens().catch((err) => err);
+        expect(error).toBeInstanceOf(Error);
+        return error;
+    }
+
+    async function skip(seconds) {
+        await wallet.rpc("evm_increaseTime", [seconds]);
+        await wallet.rpc("evm_mine");
+    }
+
+    it("Should connect to the wallet's account on the node's chain", function () {
+        expect(service.currentAccount).toBe(USER);
+        expect(service.getNetwork()).toMatchObject({ chainId: 31337, walletChainId: 31337, wrongNetwork: false });
+    });
+
+    it("Should claim the faucet amount and start the cooldown", async function () {
+        const hash = await service.requestTokens();
+
+        const receipt = await wallet.rpc("eth_getTransactionReceipt", [hash]);
+        expect(receipt.status).toBe("0x1");
+        expect(await service.getBalance(USER)).toBe(ethers.parseEther("10").toString());
+        expect(await service.canClaim(USER)).toBe(false);
+        expect(await service.getRemainingAllowance(USER)).toBe(ethers.parseEther("90").toString());
+    });
+
+    it("Should read what a claim for another address minted from its receipt", async function () {
+        const hash = await service.requestTokensFor(RECIPIENT);
+
+        expect(await service.getClaimedForAmount(hash)).toBe(ethers.parseEther("10").toString());
+        expect(await service.getBalance(RECIPIENT)).toBe(ethers.parseEther("10").toString());
+        expect(await service.getBalance(USER)).toBe("0");
+    });
+
+    it("Should report the cooldown without sending, then claim once it has passed", async function () {
+        await service.requestTokens();
+        const sent = wallet.sent;
+
+        const error = await claimError();
+        expect(error.code).toBe(ErrorCode.COOLDOWN);
+        expect(error.params.secondsRemaining).toBeGreaterThan(DAY - 60);
+        expect(wallet.sent).toBe(sent);
+
+        await skip(DAY);
+        await service.requestTokens();
+        expect(await service.getBalance(USER)).toBe(ethers.parseEther("20").toString());
+    });
+
+    it("Should stop at the lifetime limit", async function () {
+        await service.requestTokens();
+        await (await (await asOwner()).setMaxClaimAmount(ethers.parseEther("10"))).wait();
+        await skip(DAY);
+
+        const error = await claimError();
+
+        expect(error.code).toBe(ErrorCode.LIFETIME_LIMIT);
+        expect(error.params).toEqual({
+            claimed: ethers.parseEther("10").toString(),
+            maxClaimAmount: ethers.parseEther("10").toString(),
+        });
+    });
+
+    it("Should count a claimer whose allowance can't cover another claim as capped", async function () {
+        await service.requestTokens();
+        const faucet = await asOwner();
+        await (await faucet.setMaxClaimAmount(ethers.parseEther("15"))).wait();
+
+        // ethers answers a repeated read from the last 250 ms from memory,
+        // and the head block was just read while waiting for the claim
+        await new Promise((resolve) => setTimeout(resolve, 300));
+        const stats = await service.getFaucetStats();
+
+        expect(stats.uniqueClaimers).toBe(1);
+        expect(stats.claimersAtCap).toBe(1);
+    });
+
+    it("Should refuse claims while the faucet is paused", async function () {
+        await (await (await asOwner()).setPaused(true)).wait();
+
+        const error = await claimError();
+
+        expect(error.code).toBe(ErrorCode.PAUSED);
+        expect(await service.isPaused()).toBe(true);
+        expect(wallet.sent).toBe(0);
+    });
+
+    it("Should leave the balance alone when the user rejects the transaction", async function () {
+        wallet.rejectNext = true;
+
+        const error = await claimError();
+
+        expect(error.code).toBe(ErrorCode.REJECTED);
+        expect(await service.getBalance(USER)).toBe("0");
+        expect(await service.canClaim(USER)).toBe(true);
+    });
+});
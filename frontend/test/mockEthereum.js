@@ -0,0 +1,197 @@
+import { ethers, FetchRequest } from "ethers";
+import { FAUCET_ABI, TOKEN_ABI } from "../src/utils/contracts";
+import { ACCOUNT, FAUCET } from "./mockService";
+
+export const RPC_URL = "http://mock-rpc.test/";
+
+const faucetInterface = new ethers.Interface(FAUCET_ABI);
+const tokenInterface = new ethers.Interface(TOKEN_ABI);
+
+// Revert data of a faucet custom error, as a node would return it
+export function revertData(name, args = []) {
+    return faucetInterface.encodeErrorResult(name, args);
+}
+
+// An EIP-1193 / JSON-RPC error
+export function rpcError(code, message, data) {
+    const error = new Error(message);
+    error.code = code;
+    if (data !== undefined) error.data = data;
+    return error;
+}
+
+export function reverted(name, args) {
+    return rpcError(3, "execution reverted", revertData(name, args));
+}
+
+/**
+ * A chain in memory that answers the JSON-RPC calls Web3Service makes, both
+ * as the wallet (`chain.ethereum`, for window.ethereum) and as the read RPC
+ * at RPC_URL once `chain.serve()` has routed ethers' HTTP requests to it.
+ *
+ * Contract calls are answered by `chain.contract[name](args, tx)`, keyed by
+ * function name (faucet functions at FAUCET, ERC-20 ones anywhere else):
+ * return the result values, or throw `reverted(...)`. Calls, estimates and
+ * sent transactions all go through them. `chain.wallet` holds wallet-only behaviour such as `accounts` and
+ * `send(tx)`, which can throw a rejection before the contract is reached.
+ * Sent transactions are mined at once, in the head block, and succeed.
+ */
+export function createMockChain({ chainId = 31337, accounts = [ACCOUNT] } = {}) {
+    const listeners = new Map();
+    const chain = {
+        chainId,
+        requests: [],
+        sent: [],
+        wallet: { accounts, send: null },
+        contract: {
+            isAllowlisted: () => [true],
+            requestTokens: () => [],
+            claimToken: () => [],
+            requestTokensFor: () => [],
+            balanceOf: () => [0n],
+            canClaim: () => [true],
+            remainingAllowance: () => [ethers.parseEther("100")],
+        },
+    };
+
+    function contractCall(tx) {
+        const iface = tx.to && tx.to.toLowerCase() === FAUCET.toLowerCase() ? faucetInterface : tokenInterface;
+        const parsed = iface.parseTransaction({ data: tx.data || "0x" });
+        const handler = parsed && chain.contract[parsed.name];
+        if (!handler) throw rpcError(-32603, "Unexpected call " + (parsed ? parsed.name : tx.data));
+        return { iface, parsed, values: handler([...parsed.args], tx) };
+    }
+
+    // A sent transaction and its receipt the way a node returns them
+    function minedTx(tx) {
+        return {
+            hash: tx.hash,
+            from: tx.from,
+            to: tx.to,
+            input: tx.data || "0x",
+            value: "0x0",
+            nonce: ethers.toQuantity(chain.sent.indexOf(tx)),
+            gas: "0x30000",
+            gasPrice: "0x3b9aca00",
+            chainId: ethers.toQuantity(chainId),
+            type: "0x0",
+            blockHash: ethers.ZeroHash,
+            blockNumber: "0x10",
+            transactionIndex: "0x0",
+            r: ethers.toBeHex(1, 32),
+            s: ethers.toBeHex(1, 32),
+            v: "0x1b",
+        };
+    }
+
+    function receipt(tx) {
+        return {
+            transactionHash: tx.hash,
+            blockHash: ethers.ZeroHash,
+            blockNumber: "0x10",
+            transactionIndex: "0x0",
+            from: tx.from,
+            to: tx.to,
+            contractAddress: null,
+            gasUsed: "0x20000",
+            cumulativeGasUsed: "0x20000",
+            effectiveGasPrice: "0x3b9aca00",
+            logs: [],
+            logsBloom: "0x" + "0".repeat(512),
+            status: "0x1",
+            type: "0x0",
+        };
+    }
+
+    const findSent = (hash) => chain.sent.find((tx) => tx.hash === hash);
+
+    function handle(method, params = []) {
+        chain.requests.push(method);
+        switch (method) {
+            case "eth_chainId":
+                return ethers.toQuantity(chainId);
+            case "net_version":
+                return String(chainId);
+            case "eth_accounts":
+            case "eth_requestAccounts":
+                return chain.wallet.accounts;
+            case "wallet_switchEthereumChain":
+                return null;
+            // The contract handlers check no signatures, so any 65 bytes do
+            case "eth_signTypedData_v4":
+                return ethers.hexlify(new Uint8Array(65).fill(1));
+            case "eth_blockNumber":
+                return "0x10";
+            case "eth_gasPrice":
+            case "eth_maxPriorityFeePerGas":
+                return "0x3b9aca00";
+            case "eth_getBlockByNumber":
+                return { number: "0x10", hash: ethers.ZeroHash, timestamp: "0x0", baseFeePerGas: "0x3b9aca00", transactions: [] };
+            case "eth_call": {
+                const { iface, parsed, values } = contractCall(params[0]);
+                return iface.encodeFunctionResult(parsed.fragment, values);
+            }
+            case "eth_estimateGas":
+                contractCall(params[0]);
+                return "0x30000";
+            case "eth_sendTransaction": {
+                if (chain.wallet.send) chain.wallet.send(params[0]);
+                contractCall(params[0]);
+                const hash = ethers.id("tx" + chain.sent.length);
+                chain.sent.push({ hash, ...params[0] });
+                return hash;
+            }
+            case "eth_getTransactionByHash": {
+                const tx = findSent(params[0]);
+                return tx ? minedTx(tx) : null;
+            }
+            case "eth_getTransactionReceipt": {
+                const tx = findSent(params[0]);
+                return tx ? receipt(tx) : null;
+            }
+            default:
+                throw rpcError(-32601, "Method " + method + " is not supported");
+        }
+    }
+
+    chain.ethereum = {
+        request: async ({ method, params }) => handle(method, params),
+        on: (event, listener) => {
+            if (!listeners.has(event)) listeners.set(event, new Set());
+            listeners.get(event).add(listener);
+        },
+        removeListener: (event, listener) => listeners.get(event)?.delete(listener),
+    };
+    chain.emit = (event, ...args) => listeners.get(event)?.forEach((listener) => listener(...args));
+
+    // Answers ethers' HTTP requests to RPC_URL from this chain, or refuses
+    // them all with `down`, as if the read RPC were unreachable
+    chain.serve = ({ down = false } = {}) => {
+        FetchRequest.registerGetUrl(async (req) => {
+            if (down) throw new Error("connect ECONNREFUSED");
+            if (req.url !== RPC_URL) throw new Error("Unexpected request to " + req.url);
+            const answer = ({ id, method, params }) => {
+                try {
+                    return { jsonrpc: "2.0", id, result: handle(method, params) };
+                } catch (err) {
+                    return { jsonrpc: "2.0", id, error: { code: err.code, message: err.message, data: err.data } };
+                }
+            };
+            const payload = JSON.parse(ethers.toUtf8String(req.body));
+            const body = Array.isArray(payload) ? payload.map(answer) : answer(payload);
+            return {
+                statusCode: 200,
+                statusMessage: "OK",
+                headers: { "content-type": "application/json" },
+                body: ethers.toUtf8Bytes(JSON.stringify(body)),
+            };
+        });
+    };
+
+    return chain;
+}
+
+// Back to ethers' own HTTP transport
+export function stopServing() {
+    FetchRequest.registerGetUrl(FetchRequest.createGetUrlFunc());
+}
@@ -0,0 +1,121 @@
+import { vi } from "vitest";
+
+export const ACCOUNT = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+export const TOKEN = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+export const FAUCET = "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512";
+
+export const NETWORK = { chainId: 31337, name: "Localhost", walletChainId: null, wrongNetwork: false };
+
+export function status(values = {}) {
+    return {
+        token: TOKEN,
+        balance: "0",
+        canClaim: true,
+        remainingAllowance: "100000000000000000000",
+        timeUntilNextClaim: 0,
+        paused: false,
+        tier: 0,
+        faucetAmount: "10000000000000000000",
+        cooldownTime: 86400,
+        maxClaimAmount: "100000000000000000000",
+        ...values,
+    };
+}
+
+// A promise with its resolve and reject exposed, to hold a call in flight
+export function deferred() {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    return { promise, resolve, reject };
+}
+
+export const FCT = {
+    address: TOKEN,
+    name: "Faucet Token",
+    symbol: "FCT",
+    decimals: 18,
+    primary: true,
+    enabled: true,
+    faucetAmount: "10000000000000000000",
+    cooldownTime: 86400,
+    maxClaimAmount: "100000000000000000000",
+};
+
+export const TIER = { id: 0, name: "Default", blocked: false, allowlisted: false, onAllowlist: true };
+
+/**
+ * Stand-in for Web3Service: every method is a vi.fn with a harmless default,
+ * and the wallet events can be fired by hand with emitAccounts(),
+ * emitChain() and emitConnectors(). `overrides` replaces methods.
+ */
+export function createMockService(overrides = {}) {
+    const listeners = { accounts: new Set(), chain: new Set(), connectors: new Set() };
+    const listen = (set) => (callback) => {
+        set.add(callback);
+        return () => set.delete(callback);
+    };
+
+    return {
+        listeners,
+        emitAccounts: (accounts) => listeners.accounts.forEach((cb) => cb(accounts)),
+        emitChain: (network) => listeners.chain.forEach((cb) => cb(network)),
+        emitConnectors: (connectors) => listeners.connectors.forEach((cb) => cb(connectors)),
+
+        connector: null,
+        txTracker: { confirmations: 3 },
+
+        getNetwork: vi.fn(() => NETWORK),
+        getConnectors: vi.fn(() => []),
+        isWalletAvailable: vi.fn(() => true),
+        onAccountsChanged: vi.fn(listen(listeners.accounts)),
+        onChainChanged: vi.fn(listen(listeners.chain)),
+        onConnectorsChanged: vi.fn(listen(listeners.connectors)),
+        reconnect: vi.fn(async () => null),
+        connectWallet: vi.fn(async () => ACCOUNT),
+        disconnectWallet: vi.fn(),
+        switchNetwork: vi.fn(async () => {}),
+        getUserStatus: vi.fn(async () => status()),
+        getUserStatuses: vi.fn(async () => [status()]),
+        getTier: vi.fn(async () => TIER),
+        requestTokens: vi.fn(async () => "0xclaim"),
+        requestTokensFor: vi.fn(async () => "0xclaimfor"),
+        getClaimedForAmount: vi.fn(async () => "10000000000000000000"),
+        claimGasless: vi.fn(async () => "0xrelayed"),
+        isRelayerConfigured: vi.fn(() => false),
+        simulateClaim: vi.fn(async () => ({ ok: true, gasCost: "21000000000000" })),
+        resumeTransactions: vi.fn(() => []),
+        onTransactionsChanged: vi.fn(() => () => {}),
+        dismissTransaction: vi.fn(),
+        subscribe: vi.fn(() => () => {}),
+        getContractAddresses: vi.fn(() => ({ token: TOKEN, faucet: FAUCET })),
+        getFaucetParameters: vi.fn(async () => ({
+            faucetAmount: FCT.faucetAmount,
+            cooldownTime: FCT.cooldownTime,
+            maxClaimAmount: FCT.maxClaimAmount,
+        })),
+        isPaused: vi.fn(async () => false),
+        getTokens: vi.fn(async () => [FCT]),
+        getBudgetStatus: vi.fn(async () => null),
+        getRecentClaims: vi.fn(async () => []),
+        getClaimHistory: vi.fn(async () => []),
+        getRoles: vi.fn(async () => []),
+        lookupAddress: vi.fn(async (input) => ({
+            address: input,
+            ensName: null,
+            statuses: [status()],
+            tier: TIER,
+            budgets: [],
+            history: [],
+        })),
+        getFaucetStats: vi.fn(async () => null),
+        getTiers: vi.fn(async () => []),
+        getAllowlistRoot: vi.fn(async () => "0x" + "0".repeat(64)),
+        getPauseHistory: vi.fn(async () => []),
+        onFaucetPaused: vi.fn(() => () => {}),
+        ...overrides,
+    };
+}
@@ -0,0 +1,277 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { ethers } from "ethers";
+import { ErrorCode } from "../src/utils/errors";
+import { getMerkleProof } from "../src/utils/merkle";
+import { stubNetworkEnv } from "./env";
+import { createMockChain, stopServing, reverted, rpcError, RPC_URL } from "./mockEthereum";
+import { ACCOUNT, TOKEN, FAUCET } from "./mockService";
+
+describe("Web3Service", function () {
+    let chain;
+    let service;
+    let FaucetError;
+
+    beforeEach(async function () {
+        stubNetworkEnv({ rpcUrl: RPC_URL, token: TOKEN, faucet: FAUCET });
+        localStorage.clear();
+        chain = createMockChain();
+        chain.serve();
+        window.ethereum = chain.ethereum;
+        vi.spyOn(console, "error").mockImplementation(() => {});
+        // A fresh singleton per test, built from the env above
+        vi.resetModules();
+        service = (await import("../src/utils/web3")).default;
+        ({ FaucetError } = await import("../src/utils/errors"));
+    });
+
+    afterEach(function () {
+        service.txTracker.stop();
+        delete window.ethereum;
+        stopServing();
+        vi.unstubAllEnvs();
+        vi.restoreAllMocks();
+    });
+
+    async function claimError(...args) {
+        const error = await service.requestTokens(...args).catch((err) => err);
+        expect(error).toBeInstanceOf(FaucetError);
+        return error;
+    }
+
+    describe("connectWallet", function () {
+        it("Should connect through window.ethereum and follow its chain", async function () {
+            const account = await service.connectWallet();
+
+            expect(account).toBe(ACCOUNT);
+            expect(service.currentAccount).toBe(ACCOUNT);
+            expect(service.getNetwork()).toMatchObject({ chainId: 31337, walletChainId: 31337, wrongNetwork: false });
+            expect(chain.requests).toContain("eth_requestAccounts");
+        });
+
+        it("Should fail with NO_WALLET when there is no wallet", async function () {
+            delete window.ethereum;
+
+            const error = await service.connectWallet().catch((err) => err);
+
+            expect(error.code).toBe(ErrorCode.NO_WALLET);
+        });
+
+        it("Should fail with NO_WALLET when the wallet returns no accounts", async function () {
+            chain.wallet.accounts = [];
+
+            const error = await service.connectWallet().catch((err) => err);
+
+            expect(error.code).toBe(ErrorCode.NO_WALLET);
+            expect(service.currentAccount).toBeNull();
+        });
+
+        it("Should tell listeners when the wallet switches account", async function () {
+            const other = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+            const listener = vi.fn();
+            service.onAccountsChanged(listener);
+            await service.connectWallet();
+
+            chain.wallet.accounts = [other];
+            chain.emit("accountsChanged", [other]);
+            await vi.waitFor(() => expect(listener).toHaveBeenCalledWith([other]));
+            expect(service.currentAccount).toBe(other);
+        });
+    });
+
+    describe("requestTokens", function () {
+        beforeEach(async function () {
+            await service.connectWallet();
+        });
+
+        it("Should report a cooldown from the pre-flight without opening the wallet", async function () {
+            chain.contract.requestTokens = () => {
+                throw reverted("FaucetCooldownActive", [3600]);
+            };
+
+            const error = await claimError();
+
+            expect(error.code).toBe(ErrorCode.COOLDOWN);
+            expect(error.params.secondsRemaining).toBe(3600);
+            expect(chain.requests).not.toContain("eth_sendTransaction");
+        });
+
+        it("Should map a paused faucet to PAUSED", async function () {
+            chain.contract.requestTokens = () => {
+                throw reverted("FaucetIsPaused");
+            };
+
+            expect((await claimError()).code).toBe(ErrorCode.PAUSED);
+        });
+
+        it("Should map the lifetime cap to LIFETIME_LIMIT with both amounts", async function () {
+            chain.contract.requestTokens = () => {
+                throw reverted("FaucetLifetimeLimitReached", [ethers.parseEther("100"), ethers.parseEther("100")]);
+            };
+
+            const error = await claimError();
+
+            expect(error.code).toBe(ErrorCode.LIFETIME_LIMIT);
+            expect(error.params).toEqual({
+                claimed: ethers.parseEther("100").toString(),
+                maxClaimAmount: ethers.parseEther("100").toString(),
+            });
+        });
+
+        it("Should map a rejection in the wallet to REJECTED", async function () {
+            chain.wallet.send = () => {
+                throw rpcError(4001, "User rejected the request.");
+            };
+
+            const error = await claimError();
+
+            expect(error.code).toBe(ErrorCode.REJECTED);
+            expect(chain.sent).toHaveLength(0);
+        });
+
+        it("Should decode a revert the wallet reports when the pre-flight could not run", async function () {
+            // The read RPC is down, so only the wallet sees the revert
+            chain.serve({ down: true });
+            chain.contract.requestTokens = () => {
+                throw reverted("FaucetDailyBudgetExhausted", [0, ethers.parseEther("10"), 86400]);
+            };
+
+            const error = await claimError();
+
+            expect(error.code).toBe(ErrorCode.DAILY_BUDGET_EXHAUSTED);
+            expect(chain.requests).toContain("eth_estimateGas");
+        });
+
+        it("Should keep unknown wallet failures as UNKNOWN with the reason", async function () {
+            chain.wallet.send = () => {
+                throw rpcError(-32000, "insufficient funds for gas");
+            };
+
+            const error = await claimError();
+
+            expect(error.code).toBe(ErrorCode.UNKNOWN);
+            expect(error.message).toMatch(/^Claim failed: .*insufficient funds/);
+        });
+
+        it("Should claim another token with claimToken", async function () {
+            chain.contract.symbol = () => ["USDC"];
+            chain.contract.name = () => ["USD Coin"];
+            chain.contract.decimals = () => [6];
+            const usdc = "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+            chain.contract.claimToken = ([token]) => {
+                expect(token).toBe(usdc);
+                throw reverted("FaucetInsufficientAllowance", [0, 5_000_000]);
+            };
+
+            const error = await claimError(usdc);
+
+            expect(error.code).toBe(ErrorCode.INSUFFICIENT_ALLOWANCE);
+            expect(error.message).toContain("USDC");
+        });
+
+        it("Should reject an invalid recipient before touching the wallet", async function () {
+            const error = await service.requestTokensFor("0x1234").catch((err) => err);
+
+            expect(error.code).toBe(ErrorCode.INVALID_ADDRESS);
+            expect(chain.requests).not.toContain("eth_estimateGas");
+        });
+    });
+
+    describe("claimGasless with an allowlist", function () {
+        const RELAYER = "http://relayer.test";
+        const ALLOWLIST = "http://allowlist.test/list.json";
+        const list = [ACCOUNT, "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC"];
+
+        beforeEach(async function () {
+            vi.stubGlobal(
+                "fetch",
+                vi.fn(async (url) => {
+                    if (url === ALLOWLIST) return Response.json(list);
+                    // The relayer sends the claim from its own account
+                    const hash = ethers.id("relayed");
+                    chain.sent.push({ hash, from: list[1], to: FAUCET, data: "0x" });
+                    return Response.json({ hash, from: list[1], to: FAUCET, nonce: 0 });
+                })
+            );
+            vi.stubEnv("VITE_RELAYER_URL", RELAYER);
+            vi.stubEnv("VITE_ALLOWLIST_URL", ALLOWLIST);
+            chain.contract.nonces = () => [0];
+            service.txTracker.stop();
+            vi.resetModules();
+            service = (await import("../src/utils/web3")).default;
+            await service.connectWallet();
+        });
+
+        afterEach(function () {
+            vi.unstubAllGlobals();
+        });
+
+        it("Should send an unverified entry's proof to the relayer with the signed request", async function () {
+            chain.contract.isAllowlisted = () => [false];
+
+            const hash = await service.claimGasless();
+
+            const [, init] = fetch.mock.calls.find(([url]) => url === RELAYER + "/claims");
+            const request = JSON.parse(init.body);
+            expect(hash).toBe(ethers.id("relayed"));
+            expect(request.user).toBe(ACCOUNT);
+            expect(request.proof).toEqual(getMerkleProof(list, ACCOUNT));
+            expect(request.proof).not.toHaveLength(0);
+        });
+
+        it("Should relay without a proof once the entry is verified", async function () {
+            await service.claimGasless();
+
+            const [, init] = fetch.mock.calls.find(([url]) => url === RELAYER + "/claims");
+            expect(JSON.parse(init.body).proof).toBeUndefined();
+            expect(fetch).not.toHaveBeenCalledWith(ALLOWLIST);
+        });
+    });
+
+    describe("getClaimHistory with an indexer", function () {
+        const INDEXER = "http://indexer.test";
+        const claim = (i) => ({ user: ACCOUNT, amount: "10", timestamp: i, blockNumber: i, txHash: ethers.id("c" + i) });
+
+        beforeEach(async function () {
+            const claims = Array.from({ length: 1500 }, (_, i) => claim(1500 - i));
+            vi.stubGlobal(
+                "fetch",
+                vi.fn(async (url) => {
+                    const { pathname, searchParams } = new URL(url);
+                    if (pathname === "/health") return Response.json({ chainId: 31337, faucet: FAUCET });
+                    const offset = Number(searchParams.get("offset"));
+                    return Response.json({ claims: claims.slice(offset, offset + Number(searchParams.get("limit"))) });
+                })
+            );
+            vi.stubEnv("VITE_INDEXER_URL", INDEXER);
+            service.txTracker.stop();
+            vi.resetModules();
+            service = (await import("../src/utils/web3")).default;
+        });
+
+        afterEach(function () {
+            vi.unstubAllGlobals();
+        });
+
+        it("Should page through every indexed claim", async function () {
+            const history = await service.getClaimHistory(ACCOUNT);
+
+            expect(history).toHaveLength(1500);
+            expect(history[0].blockNumber).toBe(1500);
+            expect(history[1499].blockNumber).toBe(1);
+            expect(fetch).toHaveBeenCalledWith(INDEXER + "/claims?address=" + ACCOUNT + "&limit=1000&offset=1000");
+            expect(chain.requests).not.toContain("eth_getLogs");
+        });
+    });
+
+    describe("reads", function () {
+        it("Should read balances and eligibility from the read RPC without a wallet", async function () {
+            chain.contract.balanceOf = () => [ethers.parseEther("25")];
+            chain.contract.canClaim = () => [false];
+
+            expect(await service.getBalance(ACCOUNT)).toBe(ethers.parseEther("25").toString());
+            expect(await service.canClaim(ACCOUNT)).toBe(false);
+            expect(chain.requests).not.toContain("eth_requestAccounts");
+        });
+    });
+});
+
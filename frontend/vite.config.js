@@ -1,8 +1,34 @@
 import { defineConfig } from "vite";
+import { configDefaults } from "vitest/config";
 import react from "@vitejs/plugin-react";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Deployment records written by scripts/deploy.js, keyed by network name.
+// Inlined at build time so the app knows each deployment's start block.
+// Docker builds mount them through the "deployments" build context.
+function loadDeployments() {
+    const dir = process.env.DEPLOYMENTS_DIR || fileURLToPath(new URL("../deployments", import.meta.url));
+    const deployments = {};
+    if (!fs.existsSync(dir)) return deployments;
+    for (const file of fs.readdirSync(dir)) {
+        if (!file.endsWith(".json")) continue;
+        try {
+            const info = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+            deployments[info.network || path.basename(file, ".json")] = info;
+        } catch {
+            // Skip malformed files rather than failing the build
+        }
+    }
+    return deployments;
+}
 
 export default defineConfig({
     plugins: [react()],
+    define: {
+        __DEPLOYMENTS__: JSON.stringify(loadDeployments()),
+    },
     server: {
         host: "0.0.0.0",
         port: 3001,
@@ -13,4 +39,10 @@ export default defineConfig({
         port: 3001,
         strictPort: true,
     },
+    test: {
+        environment: "jsdom",
+        include: ["test/**/*.test.{js,jsx}"],
+        // Needs a Hardhat node: run with `npm run test:integration`
+        exclude: [...configDefaults.exclude, "test/integration/**"],
+    },
 });
@@ -0,0 +1,17 @@
+import { defineConfig } from "vitest/config";
+import viteConfig from "./vite.config.js";
+
+// `npm run test:integration`: Web3Service against an in-process Hardhat node
+// with the contracts deployed (see test/integration/hardhat.js). The tests
+// share that node, so files run one at a time.
+export default defineConfig({
+    ...viteConfig,
+    test: {
+        environment: "jsdom",
+        include: ["test/integration/**/*.test.js"],
+        globalSetup: ["test/integration/hardhat.js"],
+        fileParallelism: false,
+        testTimeout: 60000,
+        hookTimeout: 120000,
+    },
+});
@@ -1,97 +1,335 @@
 const hre = require("hardhat");
-const fs = require("fs");
 const path = require("path");
+const { getRoot } = require("./merkle");
+const { loadAllowlist } = require("./merkle-root");
+const { archive, createPipeline, findMissingContracts, logStep, runStep, saveState, updateEnvFile } = require("./pipeline");
 
-async function main() {
+const { ethers, upgrades } = hre;
+
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+const MIN_BALANCE = ethers.parseEther("0.01");
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const FRONTEND_ENV = path.join(__dirname, "..", "frontend", ".env");
+
+// Etherscan needs a little while to index new contracts, so verification is
+// retried instead of waiting a fixed time up front.
+const VERIFY_ATTEMPTS = 5;
+const VERIFY_RETRY_MS = 15000;
+
+// Extra test tokens listed next to FCT, each with its own claim rules and
+// faucet-wide budget. Amounts are in whole tokens; cooldowns in seconds.
+const EXTRA_TOKENS = [
+    { name: "Test USD", symbol: "tUSD", decimals: 6, maxSupply: "1000000000", amount: "100", cooldown: 24 * 60 * 60, max: "1000", dailyCap: "100000", budget: "10000000" },
+    { name: "Test Governance", symbol: "tGOV", decimals: 18, maxSupply: "10000000", amount: "5", cooldown: 24 * 60 * 60, max: "50", dailyCap: "5000", budget: "500000" },
+];
+
+// Claimer tiers created next to "default" (tier 0). `limits` override the
+// primary token's rules for members, in whole tokens and seconds.
+const TIERS = [
+    { name: "partner", blocked: false, limits: { amount: "50", cooldown: 12 * 60 * 60, max: "1000" } },
+    { name: "blocked", blocked: true },
+];
+
+// Public chain details written into the deployment file for the frontend's
+// network registry. The file is committed, so never use a keyed RPC URL here.
+const ETHER = { name: "Ether", symbol: "ETH", decimals: 18 };
+const CHAIN_INFO = {
+    11155111: {
+        name: "Sepolia",
+        rpcUrl: "https://ethereum-sepolia-rpc.publicnode.com",
+        explorerUrl: "https://sepolia.etherscan.io",
+        nativeCurrency: { name: "Sepolia Ether", symbol: "ETH", decimals: 18 },
+    },
+    31337: { name: "Hardhat", rpcUrl: "http://127.0.0.1:8545", explorerUrl: "", nativeCurrency: ETHER },
+};
+
+const MINTER_ROLE = ethers.id("MINTER_ROLE");
+
+// Tokens the faucet should be able to mint but cannot.
+async function withoutMinter(tokens, faucetAddress) {
+    const missing = [];
+    for (const t of tokens) {
+        const token = await ethers.getContractAt("AccessControl", t.address);
+        if (!(await token.hasRole(MINTER_ROLE, faucetAddress))) missing.push(t);
+    }
+    return missing;
+}
+
+// Moves the existing record to history when it cannot be resumed: a fresh
+// deployment was asked for, it belongs to another chain, it predates step
+// tracking, or its contracts are gone (e.g. a restarted local node).
+async function resumeOrArchive(pipeline, chainId, fresh) {
+    const { state } = pipeline;
+    let reason = null;
+    if (fresh) {
+        reason = "fresh deployment requested";
+    } else if (state.chainId !== undefined && Number(state.chainId) !== chainId) {
+        reason = `recorded for chain ${state.chainId}`;
+    } else if (state.faucet && !Object.keys(state.steps).length) {
+        reason = "recorded before step tracking";
+    } else {
+        const missing = await findMissingContracts(ethers.provider, state);
+        if (missing.length) reason = `no code at ${missing.map((c) => c.label).join(", ")}`;
+    }
+    if (!reason) return;
+
+    pipeline.state = archive(state, reason);
+    if (pipeline.state.history.length > state.history.length) {
+        pipeline.log(`Starting over (${reason}). The previous deployment is kept in history.`);
+    }
+}
+
+async function verifyContract(contract, log) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await hre.run("verify:verify", { address: contract.address, constructorArguments: contract.args });
+            return;
+        } catch (e) {
+            if (/already verified/i.test(e.message)) return;
+            const notIndexed = /does not have bytecode|not found|unable to locate/i.test(e.message);
+            if (!notIndexed || attempt === VERIFY_ATTEMPTS) throw e;
+            log(`Etherscan has not indexed ${contract.label} yet, retrying in ${VERIFY_RETRY_MS / 1000}s...`);
+            await new Promise((r) => setTimeout(r, VERIFY_RETRY_MS));
+        }
+    }
+}
+
+/**
+ * Deploys or resumes the deployment recorded in deployments/<network>.json.
+ * Each finished step is written to the file as it completes, so re-running
+ * skips what is done and reuses the deployed contracts. Set FRESH=1 to
+ * start over; the old record moves to `history`. `tiers` replaces the
+ * TIERS list.
+ */
+async function deploy({
+    deploymentsDir = DEPLOYMENTS_DIR,
+    envFile = process.env.FRONTEND_ENV_FILE || FRONTEND_ENV,
+    fresh = ["1", "true"].includes(process.env.FRESH),
+    tiers = TIERS,
+    log = console.log,
+} = {}) {
     const [deployer] = await ethers.getSigners();
-    console.log("Deploying contracts with account:", deployer.address);
+    const network = hre.network.name;
+    const local = LOCAL_NETWORKS.includes(network);
+    log("Deploying contracts with account:", deployer.address);
 
     const balance = await ethers.provider.getBalance(deployer.address);
-    console.log("Account balance:", ethers.formatEther(balance), "ETH");
-
-    if (parseFloat(ethers.formatEther(balance)) < 0.01) {
+    log("Account balance:", ethers.formatEther(balance), "ETH");
+    if (!local && balance < MIN_BALANCE) {
         throw new Error("Insufficient ETH. Get Sepolia ETH from https://sepoliafaucet.com");
     }
 
-    console.log("\n1. Deploying Token...");
-    const Token = await ethers.getContractFactory("Token");
-    const token = await Token.deploy();
-    await token.waitForDeployment();
-    const tokenAddress = await token.getAddress();
-    console.log("Token deployed to:", tokenAddress);
-
-    console.log("\n2. Deploying TokenFaucet...");
-    const TokenFaucet = await ethers.getContractFactory("TokenFaucet");
-    const faucet = await TokenFaucet.deploy(tokenAddress);
-    await faucet.waitForDeployment();
-    const faucetAddress = await faucet.getAddress();
-    console.log("TokenFaucet deployed to:", faucetAddress);
-
-    console.log("\n3. Setting faucet as minter...");
-    const tx = await token.setMinter(faucetAddress);
-    await tx.wait();
-    console.log("Faucet set as minter");
-
-    const info = {
-        network: hre.network.name,
-        token: tokenAddress,
-        faucet: faucetAddress,
-        deployer: deployer.address,
-        timestamp: new Date().toISOString(),
-        blockNumber: await ethers.provider.getBlockNumber(),
-    };
-
-    const deploymentsDir = path.join(__dirname, "..", "deployments");
-    if (!fs.existsSync(deploymentsDir)) fs.mkdirSync(deploymentsDir);
-    fs.writeFileSync(
-        path.join(deploymentsDir, `${hre.network.name}.json`),
-        JSON.stringify(info, null, 2)
-    );
+    const chainId = Number((await ethers.provider.getNetwork()).chainId);
+    const chain = CHAIN_INFO[chainId] || { name: network, rpcUrl: "", explorerUrl: "", nativeCurrency: ETHER };
+    if (!chain.rpcUrl) log(`No public RPC URL known for chain ${chainId}; add one to deployments/${network}.json`);
 
-    console.log("\n=== DEPLOYMENT COMPLETE ===");
-    console.log("Network:", hre.network.name);
-    console.log("Token:", tokenAddress);
-    console.log("Faucet:", faucetAddress);
-    console.log("===========================");
+    const pipeline = createPipeline(path.join(deploymentsDir, `${network}.json`), { log });
+    await resumeOrArchive(pipeline, chainId, fresh);
+    const { state } = pipeline;
+    Object.assign(state, { network, chainId, ...chain, deployer: deployer.address });
 
-    if (hre.network.name !== "localhost" && hre.network.name !== "hardhat") {
-        console.log("\nWaiting 30 seconds for Etherscan to index...");
-        await new Promise((r) => setTimeout(r, 30000));
+    const tokenStep = await runStep(pipeline, "token", "Deploying Token", async () => {
+        const Token = await ethers.getContractFactory("Token");
+        const token = await Token.deploy();
+        await token.waitForDeployment();
+        const receipt = await token.deploymentTransaction().wait();
+        const address = await token.getAddress();
+        log("Token deployed to:", address);
+        return { address, blockNumber: receipt.blockNumber };
+    });
+    state.token = tokenStep.address;
 
-        if (process.env.ETHERSCAN_API_KEY) {
-            console.log("\n4. Verifying Token on Etherscan...");
-            try {
-                await hre.run("verify:verify", {
-                    address: tokenAddress,
-                    constructorArguments: [],
-                });
-                console.log("Token verified on Etherscan");
-            } catch (e) {
-                console.log("Token verification note:", e.message);
+    const faucetStep = await runStep(pipeline, "faucet", "Deploying TokenFaucet behind a UUPS proxy", async () => {
+        const TokenFaucet = await ethers.getContractFactory("TokenFaucet");
+        const faucet = await upgrades.deployProxy(TokenFaucet, [state.token], { kind: "uups" });
+        await faucet.waitForDeployment();
+        const receipt = await faucet.deploymentTransaction().wait();
+        const address = await faucet.getAddress();
+        const implementation = await upgrades.erc1967.getImplementationAddress(address);
+        log("TokenFaucet proxy deployed to:", address);
+        log("Implementation:", implementation);
+        return { address, implementation, blockNumber: receipt.blockNumber };
+    });
+    state.faucet = faucetStep.address;
+    state.blockNumber = faucetStep.blockNumber;
+    // scripts/upgrade.js moves the implementation on; only a new proxy resets it
+    if (!faucetStep.skipped) state.faucetImplementation = faucetStep.implementation;
+    state.proxyKind = "uups";
+    const faucet = await ethers.getContractAt("TokenFaucet", state.faucet);
+
+    const MintableToken = await ethers.getContractFactory("MintableToken");
+    const tokens = [];
+    for (const spec of EXTRA_TOKENS) {
+        const unit = (v) => ethers.parseUnits(v, spec.decimals);
+        // Deploying and listing are separate steps, so a failed listing is
+        // retried with the token already deployed instead of a new one
+        const step = await runStep(pipeline, `token:${spec.symbol}`, `Deploying ${spec.symbol}`, async () => {
+            const args = [spec.name, spec.symbol, spec.decimals, unit(spec.maxSupply)];
+            const extra = await MintableToken.deploy(...args);
+            await extra.waitForDeployment();
+            const address = await extra.getAddress();
+            log(`${spec.symbol} deployed to ${address}`);
+            return { address, args: args.map(String) };
+        });
+        await runStep(pipeline, `list:${spec.symbol}`, `Listing ${spec.symbol} on the faucet`, async () => {
+            // Listed by a run that stopped before recording the step
+            if (await faucet.isFaucetToken(step.address)) {
+                log(`${spec.symbol} is already listed`);
+                return;
+            }
+            const rules = [unit(spec.amount), spec.cooldown, unit(spec.max), unit(spec.dailyCap), unit(spec.budget)];
+            await (await faucet.addToken(step.address, ...rules)).wait();
+            log(`${spec.symbol} listed`);
+        });
+        tokens.push({ symbol: spec.symbol, address: step.address, args: step.args });
+    }
+    state.tokens = tokens.map(({ symbol, address }) => ({ symbol, address }));
+
+    // Checked against the chain on every run, so a revoked or never-granted
+    // role is caught even when the step is recorded as done
+    const mintable = [{ symbol: "FCT", address: state.token }, ...tokens];
+    await runStep(
+        pipeline,
+        "minter",
+        "Granting the faucet MINTER_ROLE",
+        async () => {
+            for (const t of await withoutMinter(mintable, state.faucet)) {
+                const token = await ethers.getContractAt("AccessControl", t.address);
+                await (await token.grantRole(MINTER_ROLE, state.faucet)).wait();
+                log(`Faucet can mint ${t.symbol}`);
             }
+            return { tokens: mintable.map((t) => t.symbol) };
+        },
+        {
+            stale: async () => {
+                const missing = await withoutMinter(mintable, state.faucet);
+                return missing.length ? `the faucet cannot mint ${missing.map((t) => t.symbol).join(", ")}` : null;
+            },
+        }
+    );
 
-            console.log("\n5. Verifying TokenFaucet on Etherscan...");
-            try {
-                await hre.run("verify:verify", {
-                    address: faucetAddress,
-                    constructorArguments: [tokenAddress],
-                });
-                console.log("Faucet verified on Etherscan");
-            } catch (e) {
-                console.log("Faucet verification note:", e.message);
+    // Keyed to the tier list, so editing TIERS re-applies it. Existing tiers
+    // are updated in place rather than added again, and limits the previous
+    // run set but the list no longer has are cleared. Tiers can't be removed,
+    // so a tier dropped from the list keeps its name but loses its limits.
+    const previousLimits = state.steps.tiers?.limits || [];
+    await runStep(
+        pipeline,
+        "tiers",
+        "Creating claimer tiers",
+        async () => {
+            const count = Number(await faucet.tierCount());
+            const limits = [];
+            for (const [i, spec] of tiers.entries()) {
+                const tierId = i + 1;
+                const tx = tierId < count
+                    ? await faucet.updateTier(tierId, spec.name, spec.blocked)
+                    : await faucet.addTier(spec.name, spec.blocked);
+                await tx.wait();
+                if (spec.limits) {
+                    const { amount, cooldown, max } = spec.limits;
+                    await (await faucet.setTierLimits(tierId, state.token, ethers.parseEther(amount), cooldown, ethers.parseEther(max))).wait();
+                    limits.push({ tier: tierId, token: state.token });
+                }
+                log(`Tier ${tierId}: ${spec.name}${spec.blocked ? " (blocked)" : ""}`);
+            }
+            const kept = (l) => limits.some((n) => n.tier === l.tier && n.token.toLowerCase() === l.token.toLowerCase());
+            for (const old of previousLimits.filter((l) => !kept(l))) {
+                await (await faucet.clearTierLimits(old.tier, old.token)).wait();
+                log(`Tier ${old.tier}: limits cleared for ${old.token}`);
+            }
+            return { count: tiers.length, limits };
+        },
+        { key: ethers.id(JSON.stringify(tiers)) }
+    );
+
+    if (process.env.ALLOWLIST_FILE) {
+        const list = loadAllowlist(process.env.ALLOWLIST_FILE);
+        const root = getRoot(list);
+        await runStep(
+            pipeline,
+            "allowlist",
+            "Setting the allowlist root",
+            async () => {
+                await (await faucet.setAllowlistRoot(root)).wait();
+                log(`Allowlist of ${list.length} addresses set, root ${root}`);
+            },
+            { key: root }
+        );
+    }
+    state.allowlistRoot = await faucet.allowlistRoot();
+
+    state.timestamp = new Date().toISOString();
+    saveState(pipeline.file, state);
+
+    if (envFile) {
+        logStep(pipeline, "Writing frontend .env");
+        updateEnvFile(
+            envFile,
+            {
+                VITE_CHAIN_ID: chainId,
+                VITE_TOKEN_ADDRESS: state.token,
+                VITE_FAUCET_ADDRESS: state.faucet,
+                VITE_DEPLOYMENT_BLOCK: state.blockNumber,
+            },
+            chain.rpcUrl ? { VITE_RPC_URL: chain.rpcUrl } : {}
+        );
+        log("Updated", path.relative(process.cwd(), envFile));
+    }
+
+    log("\n=== DEPLOYMENT COMPLETE ===");
+    log("Network:", network);
+    log("Token:", state.token);
+    log("Faucet (proxy):", state.faucet);
+    log("Faucet implementation:", state.faucetImplementation);
+    for (const t of tokens) log(t.symbol + ":", t.address);
+    log("===========================");
+
+    if (!local) {
+        // Verifying the proxy address verifies the implementation too and
+        // links the two on Etherscan
+        const contracts = [
+            { label: "Token", address: state.token, args: [] },
+            { label: "TokenFaucet", address: state.faucet, args: [] },
+            ...tokens.map((t) => ({ label: t.symbol, address: t.address, args: t.args })),
+        ];
+        if (process.env.ETHERSCAN_API_KEY) {
+            for (const contract of contracts) {
+                try {
+                    await runStep(
+                        pipeline,
+                        `verify:${contract.label}`,
+                        `Verifying ${contract.label} on Etherscan`,
+                        async () => {
+                            await verifyContract(contract, log);
+                            log(`${contract.label} verified on Etherscan`);
+                        },
+                        { key: contract.address }
+                    );
+                } catch (e) {
+                    log(`${contract.label} verification note:`, e.message);
+                }
             }
         } else {
-            console.log("\nNo ETHERSCAN_API_KEY found. Skipping auto-verification.");
-            console.log("Run manually:");
-            console.log(`npx hardhat verify --network ${hre.network.name} ${tokenAddress}`);
-            console.log(`npx hardhat verify --network ${hre.network.name} ${faucetAddress} "${tokenAddress}"`);
+            log("\nNo ETHERSCAN_API_KEY found. Skipping auto-verification.");
+            log("Run manually:");
+            for (const contract of contracts) {
+                const args = contract.args.map((a) => `"${a}"`).join(" ");
+                log(`npx hardhat verify --network ${network} ${contract.address} ${args}`.trimEnd());
+            }
         }
     }
+
+    return state;
 }
 
-main()
-    .then(() => process.exit(0))
-    .catch((e) => {
-        console.error(e);
-        process.exit(1);
-    });
+if (require.main === module) {
+    deploy()
+        .then(() => process.exit(0))
+        .catch((e) => {
+            console.error(e);
+            process.exit(1);
+        });
+}
+
+module.exports = { deploy };
@@ -0,0 +1,34 @@
+const fs = require("fs");
+const { getRoot } = require("./merkle");
+
+// Prints the allowlist root for a JSON file holding an array of addresses.
+//
+//   npm run allowlist:root -- allowlist.json
+//
+// Set it with setAllowlistRoot, or pass ALLOWLIST_FILE to the deploy script.
+// Serve the same file to the frontend (VITE_ALLOWLIST_URL) so it can build
+// proofs for its users.
+
+function loadAllowlist(file) {
+    const list = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!Array.isArray(list)) throw new Error(`${file} must contain a JSON array of addresses`);
+    return list;
+}
+
+if (require.main === module) {
+    const file = process.argv[2];
+    if (!file) {
+        console.error("Usage: node scripts/merkle-root.js <allowlist.json>");
+        process.exit(1);
+    }
+    try {
+        const list = loadAllowlist(file);
+        console.log("Addresses:", list.length);
+        console.log("Root:", getRoot(list));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+}
+
+module.exports = { loadAllowlist };
@@ -0,0 +1,56 @@
+const { ethers } = require("ethers");
+
+// Merkle allowlist helpers. Leaves are double-hashed ABI-encoded addresses
+// (the OpenZeppelin StandardMerkleTree leaf format) and pairs are hashed in
+// sorted order, which is what MerkleProof.verify expects on-chain. The
+// frontend has the same algorithm in frontend/src/utils/merkle.js — keep the
+// two in step.
+
+const coder = ethers.AbiCoder.defaultAbiCoder();
+
+function leafHash(address) {
+    return ethers.keccak256(ethers.keccak256(coder.encode(["address"], [address])));
+}
+
+function hashPair(a, b) {
+    return ethers.keccak256(ethers.concat(a < b ? [a, b] : [b, a]));
+}
+
+// Returns the tree as a list of levels, leaves first. Leaves are sorted and
+// deduplicated so the root doesn't depend on the order of the input list.
+function buildTree(addresses) {
+    if (!addresses.length) throw new Error("Allowlist is empty");
+    const leaves = [...new Set(addresses.map((a) => leafHash(ethers.getAddress(a))))].sort();
+    const levels = [leaves];
+    while (levels[levels.length - 1].length > 1) {
+        const level = levels[levels.length - 1];
+        const next = [];
+        for (let i = 0; i < level.length; i += 2) {
+            // An odd node out is carried up unchanged
+            next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+        }
+        levels.push(next);
+    }
+    return levels;
+}
+
+function getRoot(addresses) {
+    const levels = buildTree(addresses);
+    return levels[levels.length - 1][0];
+}
+
+// Returns the proof for `address`, or null if it isn't on the list.
+function getProof(addresses, address) {
+    const levels = buildTree(addresses);
+    let index = levels[0].indexOf(leafHash(ethers.getAddress(address)));
+    if (index === -1) return null;
+    const proof = [];
+    for (const level of levels.slice(0, -1)) {
+        const sibling = index ^ 1;
+        if (sibling < level.length) proof.push(level[sibling]);
+        index = Math.floor(index / 2);
+    }
+    return proof;
+}
+
+module.exports = { leafHash, getRoot, getProof };
@@ -0,0 +1,124 @@
+const fs = require("fs");
+const path = require("path");
+
+// Step-based deployment state. The deployment file records every step that
+// completed (`steps`), so a re-run skips finished work and reuses the
+// contracts it deployed. Records that can no longer be trusted are moved to
+// `history` instead of being overwritten.
+
+function loadState(file) {
+    if (!fs.existsSync(file)) return { steps: {}, history: [] };
+    const state = JSON.parse(fs.readFileSync(file, "utf8"));
+    return { ...state, steps: state.steps || {}, history: state.history || [] };
+}
+
+// Steps and history go last so the addresses stay at the top of the file.
+function saveState(file, state) {
+    const { steps, history, ...record } = state;
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify({ ...record, steps, history }, null, 2) + "\n");
+}
+
+// Moves the current record into `history` and returns a fresh state. Chain
+// details are kept; addresses and steps are not.
+function archive(state, reason) {
+    const { history, ...previous } = state;
+    const fresh = { steps: {}, history };
+    if (Object.keys(previous.steps || {}).length || previous.faucet) {
+        fresh.history = [...history, { ...previous, archivedAt: new Date().toISOString(), reason }];
+    }
+    return fresh;
+}
+
+// Addresses the record says hold contracts, labelled for messages.
+function recordedContracts(state) {
+    const contracts = [];
+    if (state.token) contracts.push({ label: "Token", address: state.token });
+    if (state.faucet) contracts.push({ label: "TokenFaucet", address: state.faucet });
+    for (const t of state.tokens || []) contracts.push({ label: t.symbol, address: t.address });
+    return contracts;
+}
+
+// Recorded contracts with no code on chain — a restarted local node, or a
+// record copied from another network.
+async function findMissingContracts(provider, state) {
+    const missing = [];
+    for (const contract of recordedContracts(state)) {
+        if ((await provider.getCode(contract.address)) === "0x") missing.push(contract);
+    }
+    return missing;
+}
+
+function logStep(pipeline, label) {
+    pipeline.count += 1;
+    pipeline.log(`\n${pipeline.count}. ${label}...`);
+}
+
+/**
+ * Runs `fn` unless step `name` already completed. `key` ties a step to its
+ * inputs (e.g. an allowlist root): a recorded step with a different key runs
+ * again. `stale` re-checks a recorded step against the chain and returns a
+ * reason when it no longer holds, which also runs it again. Whatever `fn`
+ * returns is stored with the step, and the state is saved after each step so
+ * an interrupted run resumes from there. A step that throws is not recorded.
+ */
+async function runStep(pipeline, name, label, fn, { key, stale } = {}) {
+    const { state, file, log } = pipeline;
+    logStep(pipeline, label);
+
+    const done = state.steps[name];
+    if (done && (key === undefined || done.key === key)) {
+        const reason = stale ? await stale(done) : null;
+        if (!reason) {
+            log(`Already done (${done.completedAt})`);
+            return { ...done, skipped: true };
+        }
+        log(`Recorded as done, but ${reason}. Running it again.`);
+    }
+
+    const result = (await fn()) || {};
+    state.steps[name] = { ...result, ...(key !== undefined && { key }), completedAt: new Date().toISOString() };
+    saveState(file, state);
+    return state.steps[name];
+}
+
+function createPipeline(file, { log = console.log } = {}) {
+    return { file, state: loadState(file), log, count: 0 };
+}
+
+const ENV_LINE = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=/;
+
+// Updates KEY=value lines in a dotenv file, keeping every other line and
+// comment as it was. Keys not present yet are appended. `defaults` are only
+// written when the file has no line for them.
+function updateEnvFile(file, values, defaults = {}) {
+    const lines = fs.existsSync(file) ? fs.readFileSync(file, "utf8").split("\n") : [];
+    if (lines[lines.length - 1] === "") lines.pop();
+    const pending = new Map(Object.entries(values));
+
+    const updated = lines.map((line) => {
+        const match = line.match(ENV_LINE);
+        if (!match || !pending.has(match[1])) return line;
+        const value = pending.get(match[1]);
+        pending.delete(match[1]);
+        return `${match[1]}=${value}`;
+    });
+    for (const [name, value] of pending) updated.push(`${name}=${value}`);
+    const present = new Set(updated.map((line) => line.match(ENV_LINE)?.[1]));
+    for (const [name, value] of Object.entries(defaults)) {
+        if (!present.has(name)) updated.push(`${name}=${value}`);
+    }
+
+    fs.writeFileSync(file, updated.join("\n") + "\n");
+}
+
+module.exports = {
+    loadState,
+    saveState,
+    archive,
+    findMissingContracts,
+    createPipeline,
+    logStep,
+    runStep,
+    updateEnvFile,
+};
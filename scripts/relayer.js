@@ -0,0 +1,128 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const PORT = Number(process.env.RELAYER_PORT || 8787);
+const MAX_BODY_BYTES = 16 * 1024;
+
+/**
+ * Checks a signed claim request and submits it to the faucet from the
+ * relayer's account. The call is simulated first so requests that would
+ * revert (bad signature, replayed nonce, cooldown…) cost the relayer no gas.
+ * An optional `proof` carries the user's allowlist entry to verify on the way.
+ */
+async function relayClaim(faucet, request) {
+    const { user, deadline, signature, proof = [] } = request || {};
+    if (!hre.ethers.isAddress(user)) throw new Error("Invalid user address");
+    if (!hre.ethers.isHexString(signature)) throw new Error("Invalid signature");
+    if (deadline === undefined || deadline === null) throw new Error("Missing deadline");
+    if (!Array.isArray(proof) || !proof.every((node) => hre.ethers.isHexString(node, 32))) {
+        throw new Error("Invalid allowlist proof");
+    }
+
+    const args = [user, BigInt(deadline), signature, proof];
+    await faucet.requestTokensWithSignature.staticCall(...args);
+    return faucet.requestTokensWithSignature(...args);
+}
+
+// Returns a readable reason plus the raw revert data, so clients can decode
+// the custom error themselves.
+function describeError(faucet, err) {
+    const data = err?.data ?? err?.error?.data ?? err?.info?.error?.data;
+    if (typeof data === "string" && data.length >= 10) {
+        try {
+            const parsed = faucet.interface.parseError(data);
+            if (parsed) return { error: `${parsed.name}(${parsed.args.join(", ")})`, data };
+        } catch {
+            // Not a faucet error — report the message instead
+        }
+    }
+    return { error: err?.shortMessage || err?.message || String(err) };
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = "";
+        req.on("data", (chunk) => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error("Request body too large"));
+                req.destroy();
+            }
+        });
+        req.on("end", () => resolve(body));
+        req.on("error", reject);
+    });
+}
+
+function send(res, status, payload) {
+    res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+    });
+    res.end(JSON.stringify(payload));
+}
+
+function createServer(faucet) {
+    return http.createServer(async (req, res) => {
+        if (req.method === "OPTIONS") return send(res, 204, {});
+        if (req.method !== "POST" || req.url !== "/claims") {
+            return send(res, 404, { error: "Not found" });
+        }
+
+        let request;
+        try {
+            request = JSON.parse(await readBody(req));
+        } catch (err) {
+            return send(res, 400, { error: err.message });
+        }
+
+        try {
+            const tx = await relayClaim(faucet, request);
+            console.log(`Relayed claim for ${request?.user}: ${tx.hash}`);
+            send(res, 202, { hash: tx.hash, from: tx.from, to: tx.to, nonce: tx.nonce, data: tx.data });
+        } catch (err) {
+            const failure = describeError(faucet, err);
+            console.log(`Rejected claim for ${request?.user}: ${failure.error}`);
+            send(res, 400, failure);
+        }
+    });
+}
+
+function loadFaucetAddress() {
+    if (process.env.FAUCET_ADDRESS) return process.env.FAUCET_ADDRESS;
+    const file = path.join(__dirname, "..", "deployments", `${hre.network.name}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No deployment found at ${file}. Deploy first or set FAUCET_ADDRESS.`);
+    }
+    const { faucet } = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (!faucet) throw new Error(`No faucet recorded in ${file}. Deploy first or set FAUCET_ADDRESS.`);
+    return faucet;
+}
+
+async function main() {
+    const [relayer] = await hre.ethers.getSigners();
+    const faucetAddress = loadFaucetAddress();
+    const faucet = await hre.ethers.getContractAt("TokenFaucet", faucetAddress, relayer);
+
+    const balance = await hre.ethers.provider.getBalance(relayer.address);
+    console.log("Relayer account:", relayer.address);
+    console.log("Relayer balance:", hre.ethers.formatEther(balance), "ETH");
+    console.log("Faucet:", faucetAddress);
+
+    createServer(faucet).listen(PORT, () => {
+        console.log(`Relayer listening on http://127.0.0.1:${PORT}/claims`);
+    });
+}
+
+if (require.main === module) {
+    main().catch((e) => {
+        console.error(e);
+        process.exit(1);
+    });
+}
+
+module.exports = { relayClaim, createServer };
@@ -0,0 +1,80 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { saveState } = require("./pipeline");
+
+const { ethers, upgrades } = hre;
+
+// Contract to upgrade the faucet proxy to. It must keep TokenFaucet's storage
+// layout and only append to it.
+const CONTRACT = process.env.FAUCET_CONTRACT || "TokenFaucet";
+// Set VALIDATE_ONLY=1 to check the new implementation without upgrading.
+const VALIDATE_ONLY = ["1", "true"].includes(process.env.VALIDATE_ONLY);
+
+function deploymentFile() {
+    return path.join(__dirname, "..", "deployments", `${hre.network.name}.json`);
+}
+
+function loadDeployment() {
+    const file = deploymentFile();
+    if (!fs.existsSync(file)) {
+        throw new Error(`No deployment found at ${file}. Deploy first.`);
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+async function main() {
+    const [deployer] = await ethers.getSigners();
+    const deployment = loadDeployment();
+    const proxy = deployment.faucet;
+    if (!proxy) throw new Error("Deployment has no faucet address");
+
+    const current = await upgrades.erc1967.getImplementationAddress(proxy);
+    console.log("Upgrading with account:", deployer.address);
+    console.log("Faucet proxy:", proxy);
+    console.log("Current implementation:", current);
+    console.log("New contract:", CONTRACT);
+
+    const factory = await ethers.getContractFactory(CONTRACT);
+
+    // Throws with a per-variable report if the layout is incompatible
+    console.log("\n1. Validating storage layout...");
+    await upgrades.validateUpgrade(proxy, factory, { kind: "uups" });
+    console.log("Storage layout is compatible");
+    if (VALIDATE_ONLY) return;
+
+    console.log("\n2. Upgrading proxy...");
+    const faucet = await upgrades.upgradeProxy(proxy, factory, { kind: "uups" });
+    await faucet.waitForDeployment();
+    const implementation = await upgrades.erc1967.getImplementationAddress(proxy);
+    if (implementation.toLowerCase() === current.toLowerCase()) {
+        console.log("Implementation unchanged (bytecode identical)");
+    } else {
+        console.log("New implementation:", implementation);
+    }
+
+    const info = {
+        ...deployment,
+        faucetImplementation: implementation,
+        upgradedAt: new Date().toISOString(),
+    };
+    saveState(deploymentFile(), info);
+    console.log(`Updated deployments/${hre.network.name}.json`);
+
+    if (hre.network.name !== "localhost" && hre.network.name !== "hardhat" && process.env.ETHERSCAN_API_KEY) {
+        console.log("\n3. Verifying implementation on Etherscan...");
+        try {
+            await hre.run("verify:verify", { address: proxy, constructorArguments: [] });
+            console.log("Implementation verified on Etherscan");
+        } catch (e) {
+            console.log("Verification note:", e.message);
+        }
+    }
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((e) => {
+        console.error(e);
+        process.exit(1);
+    });
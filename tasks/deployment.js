@@ -0,0 +1,36 @@
+const fs = require("fs");
+const path = require("path");
+
+// Block window per eth_getLogs call, since most hosted RPCs cap the range.
+const LOG_PAGE_SIZE = Number(process.env.LOG_PAGE_SIZE || 2000);
+
+// The record scripts/deploy.js wrote for the current network. DEPLOYMENTS_DIR
+// points the tasks elsewhere, as it does for the frontend build.
+function loadDeployment(hre) {
+    const dir = process.env.DEPLOYMENTS_DIR || path.join(__dirname, "..", "deployments");
+    const file = path.join(dir, `${hre.network.name}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No deployment found at ${file}. Deploy first.`);
+    }
+    const deployment = JSON.parse(fs.readFileSync(file, "utf8"));
+    // Archived deployments stay in `history`; only a current faucet counts
+    if (!deployment.faucet) throw new Error(`No faucet recorded in ${file}. Deploy first.`);
+    return deployment;
+}
+
+// First block worth scanning for the deployment's logs.
+function deploymentStartBlock(deployment) {
+    return Number(deployment.steps?.token?.blockNumber ?? deployment.blockNumber ?? 0);
+}
+
+// queryFilter in windows of LOG_PAGE_SIZE blocks.
+async function queryLogs(contract, filter, fromBlock, toBlock) {
+    const events = [];
+    for (let start = fromBlock; start <= toBlock; start += LOG_PAGE_SIZE) {
+        const end = Math.min(start + LOG_PAGE_SIZE - 1, toBlock);
+        events.push(...(await contract.queryFilter(filter, start, end)));
+    }
+    return events;
+}
+
+module.exports = { loadDeployment, deploymentStartBlock, queryLogs };
@@ -0,0 +1,192 @@
+const { task, types } = require("hardhat/config");
+const fs = require("fs");
+const { loadDeployment, deploymentStartBlock, queryLogs } = require("./deployment");
+
+const CLAIM_FORMATS = ["csv", "json"];
+const CLAIM_COLUMNS = ["blockNumber", "transactionHash", "logIndex", "user", "amount", "timestamp"];
+
+async function connect(hre) {
+    const deployment = loadDeployment(hre);
+    const faucet = await hre.ethers.getContractAt("TokenFaucet", deployment.faucet);
+    return { deployment, faucet };
+}
+
+function formatDuration(seconds) {
+    const total = Number(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+    return [h && `${h}h`, m && `${m}m`, (s || (!h && !m)) && `${s}s`].filter(Boolean).join(" ");
+}
+
+// Zero means no limit for budgets.
+function formatLimit(value, unit) {
+    return value === 0n ? "unlimited" : unit(value);
+}
+
+function row(label, value) {
+    console.log(`  ${label.padEnd(16)}${value}`);
+}
+
+// AccessControl is not enumerable, so minters are rebuilt from RoleGranted
+// logs and checked against the current state.
+async function currentMinters(hre, token, fromBlock) {
+    const role = await token.MINTER_ROLE();
+    const latest = await hre.ethers.provider.getBlockNumber();
+    const grants = await queryLogs(token, token.filters.RoleGranted(role), fromBlock, latest);
+    const minters = [];
+    for (const account of new Set(grants.map((e) => e.args.account))) {
+        if (await token.hasRole(role, account)) minters.push(account);
+    }
+    return minters;
+}
+
+async function setPaused(hre, paused) {
+    const { faucet } = await connect(hre);
+    const [signer] = await hre.ethers.getSigners();
+    if ((await faucet.isPaused()) === paused) {
+        console.log(`Faucet is already ${paused ? "paused" : "running"}`);
+        return;
+    }
+    if (!(await faucet.hasRole(await faucet.PAUSER_ROLE(), signer.address))) {
+        throw new Error(`${signer.address} does not hold PAUSER_ROLE`);
+    }
+    const tx = await faucet.setPaused(paused);
+    await tx.wait();
+    console.log(`Faucet ${paused ? "paused" : "unpaused"} by ${signer.address} (${tx.hash})`);
+}
+
+function toCsv(rows) {
+    return [CLAIM_COLUMNS.join(","), ...rows.map((r) => CLAIM_COLUMNS.map((c) => r[c]).join(","))].join("\n") + "\n";
+}
+
+task("faucet:status", "Shows the faucet's state, claim rules, and each token's supply and minters").setAction(
+    async (_, hre) => {
+        const { ethers } = hre;
+        const { deployment, faucet } = await connect(hre);
+        const fromBlock = deploymentStartBlock(deployment);
+        const primary = await faucet.token();
+        const paused = await faucet.isPaused();
+
+        console.log(`TokenFaucet ${deployment.faucet} on ${hre.network.name}`);
+        if (deployment.faucetImplementation) row("Implementation", deployment.faucetImplementation);
+        row("Paused", paused ? "yes" : "no");
+        row("Tiers", (await faucet.tierCount()).toString());
+
+        const tokens = [];
+        for (const address of await faucet.getTokens()) {
+            const token = await ethers.getContractAt("MintableToken", address);
+            const [symbol, decimals, supply, maxSupply, config, budget] = await Promise.all([
+                token.symbol(),
+                token.decimals(),
+                token.totalSupply(),
+                token.maxSupply(),
+                faucet.tokenConfigs(address),
+                faucet.getBudgetStatus(address),
+            ]);
+            const minters = await currentMinters(hre, token, fromBlock);
+            const unit = (v) => `${ethers.formatUnits(v, decimals)} ${symbol}`;
+            const share = maxSupply === 0n ? 0 : Number((supply * 10000n) / maxSupply) / 100;
+
+            console.log(`\n${symbol} (${address}${address === primary ? ", primary" : ""})`);
+            row(
+                "Claim",
+                `${unit(config.faucetAmount)} every ${formatDuration(config.cooldownTime)}, ` +
+                    `up to ${unit(config.maxClaimAmount)} per address${config.enabled ? "" : " (disabled)"}`
+            );
+            row("Supply", `${unit(supply)} / ${unit(maxSupply)} (${share}%)`);
+            row("Issued today", `${unit(budget.issuedToday)} / ${formatLimit(budget.dailyCap, unit)}`);
+            row("Issued total", `${unit(budget.issuedTotal)} / ${formatLimit(budget.totalBudget, unit)}`);
+            row(
+                "Minters",
+                minters.length
+                    ? minters.map((m) => (m === deployment.faucet ? `${m} (faucet)` : m)).join(", ")
+                    : "none — the faucet cannot mint"
+            );
+
+            tokens.push({ address, symbol, supply, maxSupply, enabled: config.enabled, minters });
+        }
+
+        return { faucet: deployment.faucet, paused, tokens };
+    }
+);
+
+task("faucet:pause", "Pauses claiming (needs PAUSER_ROLE)").setAction((_, hre) => setPaused(hre, true));
+
+task("faucet:unpause", "Resumes claiming (needs PAUSER_ROLE)").setAction((_, hre) => setPaused(hre, false));
+
+task("faucet:user", "Shows an address's claims, remaining allowance and cooldown for every token")
+    .addPositionalParam("address", "Address to inspect")
+    .setAction(async ({ address }, hre) => {
+        const { ethers } = hre;
+        if (!ethers.isAddress(address)) throw new Error(`Invalid address ${address}`);
+        const { faucet } = await connect(hre);
+
+        const statuses = await faucet.getUserStatuses(address);
+        const tier = await faucet.getTier(statuses[0].tier);
+        console.log(`${ethers.getAddress(address)} on ${hre.network.name}`);
+        row("Tier", `${tier.name}${tier.blocked ? " (blocked)" : ""}`);
+        row("Allowlisted", statuses[0].allowlisted ? "yes" : "no");
+
+        const tokens = [];
+        for (const s of statuses) {
+            const token = await ethers.getContractAt("MintableToken", s.token);
+            const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+            const unit = (v) => `${ethers.formatUnits(v, decimals)} ${symbol}`;
+            let nextClaim = "now";
+            if (s.remainingAllowance === 0n) nextClaim = "never (lifetime maximum reached)";
+            else if (s.timeUntilNextClaim > 0n) nextClaim = `in ${formatDuration(s.timeUntilNextClaim)}`;
+
+            console.log(`\n${symbol}`);
+            row("Balance", unit(s.balance));
+            row("Claimed", `${unit(s.totalClaimed)} / ${unit(s.maxClaimAmount)} (${unit(s.remainingAllowance)} left)`);
+            row("Last claim", s.lastClaimAt === 0n ? "never" : new Date(Number(s.lastClaimAt) * 1000).toISOString());
+            row("Next claim", nextClaim);
+            row("Can claim", s.canClaim ? "yes" : "no");
+
+            tokens.push({
+                symbol,
+                token: s.token,
+                balance: s.balance,
+                totalClaimed: s.totalClaimed,
+                remainingAllowance: s.remainingAllowance,
+                timeUntilNextClaim: Number(s.timeUntilNextClaim),
+                canClaim: s.canClaim,
+            });
+        }
+
+        return { address: ethers.getAddress(address), tier: tier.name, allowlisted: statuses[0].allowlisted, tokens };
+    });
+
+task("faucet:claims", "Exports TokensClaimed events as CSV or JSON")
+    .addOptionalParam("fromBlock", "First block to scan (default: the deployment block)", undefined, types.int)
+    .addOptionalParam("toBlock", "Last block to scan (default: latest)", undefined, types.int)
+    .addOptionalParam("format", CLAIM_FORMATS.join(" | "), "csv", types.string)
+    .addOptionalParam("out", "File to write (default: print to stdout)")
+    .setAction(async ({ fromBlock, toBlock, format, out }, hre) => {
+        if (!CLAIM_FORMATS.includes(format)) {
+            throw new Error(`Unknown format ${format}. Use one of ${CLAIM_FORMATS.join(", ")}.`);
+        }
+        const { deployment, faucet } = await connect(hre);
+        const from = fromBlock ?? Number(deployment.blockNumber ?? 0);
+        const to = toBlock ?? (await hre.ethers.provider.getBlockNumber());
+
+        const events = await queryLogs(faucet, faucet.filters.TokensClaimed(), from, to);
+        const rows = events.map((e) => ({
+            blockNumber: e.blockNumber,
+            transactionHash: e.transactionHash,
+            logIndex: e.index,
+            user: e.args.user,
+            amount: e.args.amount.toString(),
+            timestamp: Number(e.args.timestamp),
+        }));
+
+        const output = format === "json" ? JSON.stringify(rows, null, 2) + "\n" : toCsv(rows);
+        if (out) {
+            fs.writeFileSync(out, output);
+            console.log(`Wrote ${rows.length} claims from blocks ${from}–${to} to ${out}`);
+        } else {
+            process.stdout.write(output);
+        }
+        return rows;
+    });
@@ -0,0 +1,94 @@
+const { task, types } = require("hardhat/config");
+const { loadDeployment } = require("./deployment");
+
+// Role names accepted on the command line. MINTER lives on the tokens, the
+// others on the faucet; ADMIN exists on both.
+const ROLE_NAMES = ["ADMIN", "PAUSER", "CONFIG_ADMIN", "MINTER"];
+
+function roleId(ethers, name) {
+    return name === "ADMIN" ? ethers.ZeroHash : ethers.id(name + "_ROLE");
+}
+
+// Every contract in the deployment that has roles: the faucet, FCT and the
+// extra tokens, as { label, address, kind }.
+function roleContracts(deployment) {
+    return [
+        { label: "TokenFaucet", address: deployment.faucet, kind: "faucet" },
+        { label: "FCT", address: deployment.token, kind: "token" },
+        ...(deployment.tokens || [])
+            .filter((t) => t.address.toLowerCase() !== deployment.token.toLowerCase())
+            .map((t) => ({ label: t.symbol, address: t.address, kind: "token" })),
+    ];
+}
+
+// The contract a grant or revoke applies to: the token named by --token
+// (symbol or address), else the primary token for MINTER and the faucet
+// for every other role.
+function resolveTarget(deployment, role, tokenArg) {
+    const contracts = roleContracts(deployment);
+    if (tokenArg) {
+        const match = contracts.find(
+            (c) => c.kind === "token" && (c.label === tokenArg || c.address.toLowerCase() === tokenArg.toLowerCase())
+        );
+        if (!match) throw new Error(`Unknown token ${tokenArg}`);
+        return match;
+    }
+    return contracts.find((c) => c.kind === (role === "MINTER" ? "token" : "faucet"));
+}
+
+function rolesOf(target) {
+    return target.kind === "faucet" ? ["ADMIN", "PAUSER", "CONFIG_ADMIN"] : ["ADMIN", "MINTER"];
+}
+
+function checkRole(target, role) {
+    if (!ROLE_NAMES.includes(role)) {
+        throw new Error(`Unknown role ${role}. Use one of ${ROLE_NAMES.join(", ")}.`);
+    }
+    if (!rolesOf(target).includes(role)) throw new Error(`${target.label} has no ${role} role`);
+}
+
+async function changeRole(hre, { role, account, token }, grant) {
+    const { ethers } = hre;
+    if (!ethers.isAddress(account)) throw new Error(`Invalid account ${account}`);
+    const deployment = loadDeployment(hre);
+    const target = resolveTarget(deployment, role, token);
+    checkRole(target, role);
+
+    const contract = await ethers.getContractAt("AccessControl", target.address);
+    const id = roleId(ethers, role);
+    if ((await contract.hasRole(id, account)) === grant) {
+        console.log(`${account} ${grant ? "already has" : "does not have"} ${role} on ${target.label}`);
+        return;
+    }
+    const tx = await (grant ? contract.grantRole(id, account) : contract.revokeRole(id, account));
+    await tx.wait();
+    console.log(`${grant ? "Granted" : "Revoked"} ${role} ${grant ? "to" : "from"} ${account} on ${target.label} (${tx.hash})`);
+}
+
+task("roles", "Lists the roles an account holds on the faucet and its tokens")
+    .addOptionalParam("account", "Address to check (default: the first signer)")
+    .setAction(async ({ account }, hre) => {
+        const { ethers } = hre;
+        const address = account || (await ethers.getSigners())[0].address;
+        console.log(`Roles of ${address} on ${hre.network.name}:`);
+        for (const target of roleContracts(loadDeployment(hre))) {
+            const contract = await ethers.getContractAt("AccessControl", target.address);
+            const held = [];
+            for (const role of rolesOf(target)) {
+                if (await contract.hasRole(roleId(ethers, role), address)) held.push(role);
+            }
+            console.log(`  ${target.label.padEnd(12)} ${held.length ? held.join(", ") : "-"}`);
+        }
+    });
+
+task("roles:grant", "Grants a role on the faucet or one of its tokens")
+    .addParam("role", ROLE_NAMES.join(" | "), undefined, types.string)
+    .addParam("account", "Address receiving the role")
+    .addOptionalParam("token", "Token symbol or address (default: the faucet, or FCT for MINTER)")
+    .setAction((args, hre) => changeRole(hre, { ...args, role: args.role.toUpperCase() }, true));
+
+task("roles:revoke", "Revokes a role on the faucet or one of its tokens")
+    .addParam("role", ROLE_NAMES.join(" | "), undefined, types.string)
+    .addParam("account", "Address losing the role")
+    .addOptionalParam("token", "Token symbol or address (default: the faucet, or FCT for MINTER)")
+    .setAction((args, hre) => changeRole(hre, { ...args, role: args.role.toUpperCase() }, false));
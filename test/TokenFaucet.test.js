@@ -1,6 +1,7 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, upgrades } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getRoot, getProof } = require("../scripts/merkle");
 
 describe("TokenFaucet", function () {
     let token;
@@ -21,10 +22,10 @@ describe("TokenFaucet", function () {
         await token.waitForDeployment();
 
         const TokenFaucet = await ethers.getContractFactory("TokenFaucet");
-        faucet = await TokenFaucet.deploy(await token.getAddress());
+        faucet = await upgrades.deployProxy(TokenFaucet, [await token.getAddress()], { kind: "uups" });
         await faucet.waitForDeployment();
 
-        await token.setMinter(await faucet.getAddress());
+        await token.grantRole(await token.MINTER_ROLE(), await faucet.getAddress());
     });
 
     describe("Deployment", function () {
@@ -32,18 +33,30 @@ describe("TokenFaucet", function () {
             expect(await faucet.token()).to.equal(await token.getAddress());
         });
 
-        it("Should set the correct owner", async function () {
-            expect(await faucet.owner()).to.equal(owner.address);
+        it("Should reject a zero token address", async function () {
+            const TokenFaucet = await ethers.getContractFactory("TokenFaucet");
+            await expect(
+                upgrades.deployProxy(TokenFaucet, [ethers.ZeroAddress], { kind: "uups" })
+            ).to.be.revertedWithCustomError(TokenFaucet, "FaucetZeroAddress");
+        });
+
+        it("Should give the deployer every role", async function () {
+            expect(await faucet.hasRole(await faucet.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+            expect(await faucet.hasRole(await faucet.PAUSER_ROLE(), owner.address)).to.be.true;
+            expect(await faucet.hasRole(await faucet.CONFIG_ADMIN_ROLE(), owner.address)).to.be.true;
         });
 
         it("Should start unpaused", async function () {
             expect(await faucet.isPaused()).to.equal(false);
         });
 
-        it("Should have correct constants", async function () {
-            expect(await faucet.FAUCET_AMOUNT()).to.equal(FAUCET_AMOUNT);
-            expect(await faucet.MAX_CLAIM_AMOUNT()).to.equal(MAX_CLAIM_AMOUNT);
-            expect(await faucet.COOLDOWN_TIME()).to.equal(COOLDOWN_TIME);
+        it("Should start with default parameters", async function () {
+            expect(await faucet.faucetAmount()).to.equal(FAUCET_AMOUNT);
+            expect(await faucet.maxClaimAmount()).to.equal(MAX_CLAIM_AMOUNT);
+            expect(await faucet.cooldownTime()).to.equal(COOLDOWN_TIME);
+            expect(await faucet.DEFAULT_FAUCET_AMOUNT()).to.equal(FAUCET_AMOUNT);
+            expect(await faucet.DEFAULT_MAX_CLAIM_AMOUNT()).to.equal(MAX_CLAIM_AMOUNT);
+            expect(await faucet.DEFAULT_COOLDOWN_TIME()).to.equal(COOLDOWN_TIME);
         });
     });
 
@@ -73,11 +86,15 @@ describe("TokenFaucet", function () {
             expect(total).to.equal(FAUCET_AMOUNT);
         });
 
-        it("Should revert with cooldown message during cooldown", async function () {
+        it("Should revert with the seconds remaining during cooldown", async function () {
             await faucet.connect(user1).requestTokens();
-            await expect(faucet.connect(user1).requestTokens()).to.be.revertedWith(
-                "Cooldown period not elapsed"
-            );
+            const lastClaim = await faucet.lastClaimAt(user1.address);
+            const nextTimestamp = (await time.latest()) + 100;
+            await time.setNextBlockTimestamp(nextTimestamp);
+
+            await expect(faucet.connect(user1).requestTokens())
+                .to.be.revertedWithCustomError(faucet, "FaucetCooldownActive")
+                .withArgs(lastClaim + BigInt(COOLDOWN_TIME) - BigInt(nextTimestamp));
         });
 
         it("Should allow claim after cooldown period", async function () {
@@ -91,7 +108,7 @@ describe("TokenFaucet", function () {
             expect(balance).to.equal(FAUCET_AMOUNT * 2n);
         });
 
-        it("Should enforce lifetime claim limit with clear message", async function () {
+        it("Should enforce lifetime claim limit with a custom error", async function () {
             for (let i = 0; i < 10; i++) {
                 await faucet.connect(user1).requestTokens();
                 if (i < 9) {
@@ -105,9 +122,9 @@ describe("TokenFaucet", function () {
             expect(await faucet.remainingAllowance(user1.address)).to.equal(0);
 
             await time.increase(COOLDOWN_TIME);
-            await expect(faucet.connect(user1).requestTokens()).to.be.revertedWith(
-                "Lifetime claim limit reached"
-            );
+            await expect(faucet.connect(user1).requestTokens())
+                .to.be.revertedWithCustomError(faucet, "FaucetLifetimeLimitReached")
+                .withArgs(MAX_CLAIM_AMOUNT, MAX_CLAIM_AMOUNT);
         });
 
         it("Should allow different users to claim independently", async function () {
@@ -129,9 +146,9 @@ describe("TokenFaucet", function () {
 
         it("Should prevent claiming when paused", async function () {
             await faucet.setPaused(true);
-            await expect(faucet.connect(user1).requestTokens()).to.be.revertedWith(
-                "Faucet is paused"
-            );
+            await expect(
+                faucet.connect(user1).requestTokens()
+            ).to.be.revertedWithCustomError(faucet, "FaucetIsPaused");
         });
 
         it("Should allow owner to unpause and resume claims", async function () {
@@ -144,10 +161,126 @@ describe("TokenFaucet", function () {
             );
         });
 
-        it("Should prevent non-owner from pausing", async function () {
+        it("Should prevent accounts without the pauser role from pausing", async function () {
             await expect(
                 faucet.connect(user1).setPaused(true)
-            ).to.be.revertedWithCustomError(faucet, "OwnableUnauthorizedAccount");
+            ).to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
+        });
+    });
+
+    describe("Configurable Parameters", function () {
+        it("Should allow owner to change the faucet amount with event", async function () {
+            const newAmount = ethers.parseEther("25");
+            await expect(faucet.setFaucetAmount(newAmount))
+                .to.emit(faucet, "FaucetAmountUpdated")
+                .withArgs(FAUCET_AMOUNT, newAmount);
+
+            await faucet.connect(user1).requestTokens();
+            expect(await token.balanceOf(user1.address)).to.equal(newAmount);
+            expect(await faucet.totalClaimed(user1.address)).to.equal(newAmount);
+        });
+
+        it("Should allow owner to change the cooldown with event", async function () {
+            const newCooldown = 60 * 60;
+            await expect(faucet.setCooldownTime(newCooldown))
+                .to.emit(faucet, "CooldownTimeUpdated")
+                .withArgs(COOLDOWN_TIME, newCooldown);
+
+            await faucet.connect(user1).requestTokens();
+            expect(await faucet.timeUntilNextClaim(user1.address)).to.be.closeTo(newCooldown, 5);
+            await time.increase(newCooldown);
+            await expect(faucet.connect(user1).requestTokens()).to.emit(
+                faucet,
+                "TokensClaimed"
+            );
+        });
+
+        it("Should allow owner to change the lifetime maximum with event", async function () {
+            const newMax = ethers.parseEther("20");
+            await expect(faucet.setMaxClaimAmount(newMax))
+                .to.emit(faucet, "MaxClaimAmountUpdated")
+                .withArgs(MAX_CLAIM_AMOUNT, newMax);
+
+            expect(await faucet.remainingAllowance(user1.address)).to.equal(newMax);
+            await faucet.connect(user1).requestTokens();
+            await time.increase(COOLDOWN_TIME);
+            await faucet.connect(user1).requestTokens();
+            await time.increase(COOLDOWN_TIME);
+            await expect(faucet.connect(user1).requestTokens())
+                .to.be.revertedWithCustomError(faucet, "FaucetLifetimeLimitReached")
+                .withArgs(newMax, newMax);
+        });
+
+        it("Should reject a claim larger than the remaining allowance", async function () {
+            await faucet.setFaucetAmount(ethers.parseEther("40"));
+            await faucet.setMaxClaimAmount(ethers.parseEther("50"));
+            await faucet.connect(user1).requestTokens();
+            await time.increase(COOLDOWN_TIME);
+
+            await expect(faucet.connect(user1).requestTokens())
+                .to.be.revertedWithCustomError(faucet, "FaucetInsufficientAllowance")
+                .withArgs(ethers.parseEther("10"), ethers.parseEther("40"));
+        });
+
+        it("Should count addresses whose allowance no longer covers a claim", async function () {
+            await faucet.setFaucetAmount(ethers.parseEther("40"));
+            await faucet.setMaxClaimAmount(ethers.parseEther("50"));
+            await faucet.connect(user1).requestTokens();
+            const users = [user1.address, user2.address];
+
+            // user1 has 10 left, less than one claim; user2 has not claimed
+            expect(await faucet.countAtLifetimeLimit(await token.getAddress(), users)).to.equal(1);
+
+            await faucet.setMaxClaimAmount(ethers.parseEther("80"));
+            expect(await faucet.countAtLifetimeLimit(await token.getAddress(), users)).to.equal(0);
+        });
+
+        it("Should not report an address as eligible when its allowance is below the claim amount", async function () {
+            await faucet.setFaucetAmount(ethers.parseEther("40"));
+            await faucet.setMaxClaimAmount(ethers.parseEther("50"));
+            await faucet.connect(user1).requestTokens();
+            await time.increase(COOLDOWN_TIME);
+
+            expect(await faucet.remainingAllowance(user1.address)).to.equal(ethers.parseEther("10"));
+            expect(await faucet.canClaim(user1.address)).to.be.false;
+            expect(await faucet.canClaimToken(await token.getAddress(), user1.address)).to.be.false;
+        });
+
+        it("Should apply a lowered maximum to addresses that already claimed", async function () {
+            await faucet.connect(user1).requestTokens();
+            await faucet.setMaxClaimAmount(FAUCET_AMOUNT);
+            expect(await faucet.remainingAllowance(user1.address)).to.equal(0);
+            expect(await faucet.canClaim(user1.address)).to.equal(false);
+        });
+
+        it("Should reject a zero faucet amount", async function () {
+            await expect(faucet.setFaucetAmount(0))
+                .to.be.revertedWithCustomError(faucet, "FaucetInvalidAmount")
+                .withArgs(0, MAX_CLAIM_AMOUNT);
+        });
+
+        it("Should reject a faucet amount above the lifetime maximum", async function () {
+            await expect(faucet.setFaucetAmount(MAX_CLAIM_AMOUNT + 1n))
+                .to.be.revertedWithCustomError(faucet, "FaucetInvalidAmount")
+                .withArgs(MAX_CLAIM_AMOUNT + 1n, MAX_CLAIM_AMOUNT);
+        });
+
+        it("Should reject a lifetime maximum below the faucet amount", async function () {
+            await expect(faucet.setMaxClaimAmount(FAUCET_AMOUNT - 1n))
+                .to.be.revertedWithCustomError(faucet, "FaucetInvalidMaxClaimAmount")
+                .withArgs(FAUCET_AMOUNT - 1n, FAUCET_AMOUNT);
+        });
+
+        it("Should prevent accounts without the config admin role from changing parameters", async function () {
+            await expect(
+                faucet.connect(user1).setFaucetAmount(FAUCET_AMOUNT)
+            ).to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
+            await expect(
+                faucet.connect(user1).setCooldownTime(0)
+            ).to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
+            await expect(
+                faucet.connect(user1).setMaxClaimAmount(MAX_CLAIM_AMOUNT)
+            ).to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
         });
     });
 
@@ -181,6 +314,35 @@ describe("TokenFaucet", function () {
             await faucet.setPaused(true);
             expect(await faucet.canClaim(user1.address)).to.equal(false);
         });
+
+        it("Should return a fresh user status in one call", async function () {
+            const status = await faucet.getUserStatus(user1.address);
+            expect(status.balance).to.equal(0);
+            expect(status.lastClaimAt).to.equal(0);
+            expect(status.totalClaimed).to.equal(0);
+            expect(status.remainingAllowance).to.equal(MAX_CLAIM_AMOUNT);
+            expect(status.timeUntilNextClaim).to.equal(0);
+            expect(status.canClaim).to.equal(true);
+            expect(status.paused).to.equal(false);
+            expect(status.faucetAmount).to.equal(FAUCET_AMOUNT);
+            expect(status.cooldownTime).to.equal(COOLDOWN_TIME);
+            expect(status.maxClaimAmount).to.equal(MAX_CLAIM_AMOUNT);
+            expect(status.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+        });
+
+        it("Should reflect claims and pause state in user status", async function () {
+            await faucet.connect(user1).requestTokens();
+            await faucet.setPaused(true);
+
+            const status = await faucet.getUserStatus(user1.address);
+            expect(status.balance).to.equal(FAUCET_AMOUNT);
+            expect(status.lastClaimAt).to.equal(await faucet.lastClaimAt(user1.address));
+            expect(status.totalClaimed).to.equal(FAUCET_AMOUNT);
+            expect(status.remainingAllowance).to.equal(MAX_CLAIM_AMOUNT - FAUCET_AMOUNT);
+            expect(status.timeUntilNextClaim).to.be.closeTo(COOLDOWN_TIME, 5);
+            expect(status.canClaim).to.equal(false);
+            expect(status.paused).to.equal(true);
+        });
     });
 
     describe("Token Contract", function () {
@@ -194,9 +356,51 @@ describe("TokenFaucet", function () {
         });
 
         it("Should only allow minter to mint tokens", async function () {
+            await expect(token.connect(user1).mint(user1.address, FAUCET_AMOUNT))
+                .to.be.revertedWithCustomError(token, "TokenUnauthorizedMinter")
+                .withArgs(user1.address);
+        });
+
+        it("Should allow several minters and stop a revoked one", async function () {
+            const MINTER_ROLE = await token.MINTER_ROLE();
+            await expect(token.grantRole(MINTER_ROLE, user2.address))
+                .to.emit(token, "RoleGranted")
+                .withArgs(MINTER_ROLE, user2.address, owner.address);
+
+            await faucet.connect(user1).requestTokens();
+            await token.connect(user2).mint(user2.address, FAUCET_AMOUNT);
+            expect(await token.balanceOf(user2.address)).to.equal(FAUCET_AMOUNT);
+
+            await expect(token.revokeRole(MINTER_ROLE, user2.address))
+                .to.emit(token, "RoleRevoked")
+                .withArgs(MINTER_ROLE, user2.address, owner.address);
+            await expect(token.connect(user2).mint(user2.address, FAUCET_AMOUNT))
+                .to.be.revertedWithCustomError(token, "TokenUnauthorizedMinter")
+                .withArgs(user2.address);
+        });
+
+        it("Should only let the token admin grant the minter role", async function () {
+            const MINTER_ROLE = await token.MINTER_ROLE();
+            await expect(token.connect(user1).grantRole(MINTER_ROLE, user1.address))
+                .to.be.revertedWithCustomError(token, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, await token.DEFAULT_ADMIN_ROLE());
+        });
+
+        it("Should reject minting beyond max supply", async function () {
+            const MAX_SUPPLY = await token.MAX_SUPPLY();
+            await token.grantRole(await token.MINTER_ROLE(), owner.address);
+            await token.mint(owner.address, MAX_SUPPLY - FAUCET_AMOUNT);
+
+            await expect(token.mint(user1.address, FAUCET_AMOUNT + 1n))
+                .to.be.revertedWithCustomError(token, "TokenMaxSupplyExceeded")
+                .withArgs(FAUCET_AMOUNT + 1n, FAUCET_AMOUNT);
+        });
+
+        it("Should reject minting to the zero address", async function () {
+            await token.grantRole(await token.MINTER_ROLE(), owner.address);
             await expect(
-                token.connect(user1).mint(user1.address, FAUCET_AMOUNT)
-            ).to.be.revertedWith("Only minter can mint tokens");
+                token.mint(ethers.ZeroAddress, FAUCET_AMOUNT)
+            ).to.be.revertedWithCustomError(token, "TokenZeroAddress");
         });
 
         it("Should emit Transfer event when minting via faucet", async function () {
@@ -227,6 +431,768 @@ describe("TokenFaucet", function () {
         });
     });
 
+    describe("Token Registry", function () {
+        const USD_AMOUNT = 100n * 10n ** 6n;
+        const USD_MAX = 1000n * 10n ** 6n;
+        const USD_COOLDOWN = 60 * 60;
+        const USD_DAILY_CAP = 10_000n * 10n ** 6n;
+        const USD_BUDGET = 1_000_000n * 10n ** 6n;
+        let usd;
+
+        beforeEach(async function () {
+            const MintableToken = await ethers.getContractFactory("MintableToken");
+            usd = await MintableToken.deploy("Test USD", "tUSD", 6, 1_000_000_000n * 10n ** 6n);
+            await usd.waitForDeployment();
+            await usd.grantRole(await usd.MINTER_ROLE(), await faucet.getAddress());
+            await faucet.addToken(await usd.getAddress(), USD_AMOUNT, USD_COOLDOWN, USD_MAX, USD_DAILY_CAP, USD_BUDGET);
+        });
+
+        it("Should list the primary token first, then added tokens", async function () {
+            expect(await faucet.getTokens()).to.deep.equal([await token.getAddress(), await usd.getAddress()]);
+            expect(await faucet.isFaucetToken(await usd.getAddress())).to.equal(true);
+
+            const config = await faucet.tokenConfigs(await usd.getAddress());
+            expect(config.faucetAmount).to.equal(USD_AMOUNT);
+            expect(config.cooldownTime).to.equal(USD_COOLDOWN);
+            expect(config.maxClaimAmount).to.equal(USD_MAX);
+            expect(config.enabled).to.equal(true);
+        });
+
+        it("Should list a token with the budget it was given", async function () {
+            const [dailyCap, totalBudget] = await faucet.tokenBudgets(await usd.getAddress());
+            expect(dailyCap).to.equal(USD_DAILY_CAP);
+            expect(totalBudget).to.equal(USD_BUDGET);
+            expect(await faucet.tokenRemainingDailyBudget(await usd.getAddress())).to.equal(USD_DAILY_CAP);
+        });
+
+        it("Should leave a token unlimited only when it is listed with zero budgets", async function () {
+            const MintableToken = await ethers.getContractFactory("MintableToken");
+            const gov = await MintableToken.deploy("Test Governance", "tGOV", 18, ethers.parseEther("1000"));
+            const govAddress = await gov.getAddress();
+
+            await expect(faucet.addToken(govAddress, ethers.parseEther("5"), 0, ethers.parseEther("50"), 0, 0))
+                .to.emit(faucet, "TokenBudgetUpdated")
+                .withArgs(govAddress, 0, 0);
+            expect(await faucet.tokenRemainingDailyBudget(govAddress)).to.equal(ethers.MaxUint256);
+            expect(await faucet.tokenRemainingTotalBudget(govAddress)).to.equal(ethers.MaxUint256);
+        });
+
+        it("Should mint a 6-decimal token with its own amount", async function () {
+            const usdAddress = await usd.getAddress();
+            const nextTimestamp = (await time.latest()) + 10;
+            await time.setNextBlockTimestamp(nextTimestamp);
+
+            await expect(faucet.connect(user1).claimToken(usdAddress))
+                .to.emit(faucet, "TokenClaimed")
+                .withArgs(usdAddress, user1.address, USD_AMOUNT, nextTimestamp)
+                .and.not.to.emit(faucet, "TokensClaimed");
+
+            expect(await usd.decimals()).to.equal(6);
+            expect(await usd.balanceOf(user1.address)).to.equal(USD_AMOUNT);
+            expect(await token.balanceOf(user1.address)).to.equal(0);
+        });
+
+        it("Should track cooldowns separately per token", async function () {
+            const usdAddress = await usd.getAddress();
+            await faucet.connect(user1).requestTokens();
+
+            await expect(faucet.connect(user1).claimToken(usdAddress)).to.not.be.reverted;
+            await expect(faucet.connect(user1).claimToken(usdAddress)).to.be.revertedWithCustomError(
+                faucet,
+                "FaucetCooldownActive"
+            );
+
+            await time.increase(USD_COOLDOWN);
+            expect(await faucet.canClaimToken(usdAddress, user1.address)).to.equal(true);
+            expect(await faucet.canClaim(user1.address)).to.equal(false);
+        });
+
+        it("Should enforce each token's lifetime maximum", async function () {
+            const usdAddress = await usd.getAddress();
+            for (let i = 0; i < 10; i++) {
+                await faucet.connect(user1).claimToken(usdAddress);
+                await time.increase(USD_COOLDOWN);
+            }
+
+            expect(await faucet.tokenRemainingAllowance(usdAddress, user1.address)).to.equal(0);
+            expect(await faucet.remainingAllowance(user1.address)).to.equal(MAX_CLAIM_AMOUNT);
+            await expect(faucet.connect(user1).claimToken(usdAddress))
+                .to.be.revertedWithCustomError(faucet, "FaucetLifetimeLimitReached")
+                .withArgs(USD_MAX, USD_MAX);
+        });
+
+        it("Should reject claims of unlisted tokens", async function () {
+            await expect(faucet.connect(user1).claimToken(user2.address))
+                .to.be.revertedWithCustomError(faucet, "FaucetTokenNotListed")
+                .withArgs(user2.address);
+        });
+
+        it("Should reject claims of disabled tokens and keep others open", async function () {
+            const usdAddress = await usd.getAddress();
+            await expect(faucet.setTokenEnabled(usdAddress, false))
+                .to.emit(faucet, "TokenEnabledUpdated")
+                .withArgs(usdAddress, false);
+
+            expect(await faucet.canClaimToken(usdAddress, user1.address)).to.equal(false);
+            await expect(faucet.connect(user1).claimToken(usdAddress))
+                .to.be.revertedWithCustomError(faucet, "FaucetTokenDisabled")
+                .withArgs(usdAddress);
+            await expect(faucet.connect(user1).requestTokens()).to.not.be.reverted;
+        });
+
+        it("Should pause every token at once", async function () {
+            await faucet.setPaused(true);
+            await expect(
+                faucet.connect(user1).claimToken(await usd.getAddress())
+            ).to.be.revertedWithCustomError(faucet, "FaucetIsPaused");
+        });
+
+        it("Should reject listing a token twice or the zero address", async function () {
+            await expect(faucet.addToken(await usd.getAddress(), USD_AMOUNT, USD_COOLDOWN, USD_MAX, 0, 0))
+                .to.be.revertedWithCustomError(faucet, "FaucetTokenAlreadyListed")
+                .withArgs(await usd.getAddress());
+            await expect(
+                faucet.addToken(ethers.ZeroAddress, USD_AMOUNT, USD_COOLDOWN, USD_MAX, 0, 0)
+            ).to.be.revertedWithCustomError(faucet, "FaucetZeroAddress");
+        });
+
+        it("Should reject a config whose amount is zero or above the maximum", async function () {
+            const usdAddress = await usd.getAddress();
+            await expect(faucet.configureToken(usdAddress, 0, USD_COOLDOWN, USD_MAX))
+                .to.be.revertedWithCustomError(faucet, "FaucetInvalidAmount")
+                .withArgs(0, USD_MAX);
+            await expect(faucet.configureToken(usdAddress, USD_MAX + 1n, USD_COOLDOWN, USD_MAX))
+                .to.be.revertedWithCustomError(faucet, "FaucetInvalidAmount")
+                .withArgs(USD_MAX + 1n, USD_MAX);
+        });
+
+        it("Should update a token's rules with configureToken", async function () {
+            const usdAddress = await usd.getAddress();
+            await expect(faucet.configureToken(usdAddress, USD_AMOUNT * 2n, 0, USD_MAX))
+                .to.emit(faucet, "TokenConfigured")
+                .withArgs(usdAddress, USD_AMOUNT * 2n, 0, USD_MAX);
+
+            await faucet.connect(user1).claimToken(usdAddress);
+            await faucet.connect(user1).claimToken(usdAddress);
+            expect(await usd.balanceOf(user1.address)).to.equal(USD_AMOUNT * 4n);
+        });
+
+        it("Should only allow config admins to manage tokens", async function () {
+            const usdAddress = await usd.getAddress();
+            await expect(
+                faucet.connect(user1).addToken(user2.address, USD_AMOUNT, USD_COOLDOWN, USD_MAX, 0, 0)
+            ).to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
+            await expect(
+                faucet.connect(user1).configureToken(usdAddress, USD_AMOUNT, 0, USD_MAX)
+            ).to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
+            await expect(
+                faucet.connect(user1).setTokenEnabled(usdAddress, false)
+            ).to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount");
+        });
+
+        it("Should return every token's status in one call", async function () {
+            await faucet.connect(user1).claimToken(await usd.getAddress());
+
+            const [primary, stable] = await faucet.getUserStatuses(user1.address);
+            expect(primary.token).to.equal(await token.getAddress());
+            expect(primary.balance).to.equal(0);
+            expect(primary.canClaim).to.equal(true);
+            expect(stable.token).to.equal(await usd.getAddress());
+            expect(stable.balance).to.equal(USD_AMOUNT);
+            expect(stable.canClaim).to.equal(false);
+            expect(stable.timeUntilNextClaim).to.equal(USD_COOLDOWN);
+            expect(stable.maxClaimAmount).to.equal(USD_MAX);
+
+            const single = await faucet.getUserTokenStatus(await usd.getAddress(), user1.address);
+            expect(single.totalClaimed).to.equal(USD_AMOUNT);
+        });
+    });
+
+    describe("Signed Claims", function () {
+        async function signClaim(signer, { nonce, deadline, verifyingContract } = {}) {
+            const { chainId } = await ethers.provider.getNetwork();
+            const domain = {
+                name: "TokenFaucet",
+                version: "1",
+                chainId,
+                verifyingContract: verifyingContract ?? (await faucet.getAddress()),
+            };
+            const types = {
+                ClaimRequest: [
+                    { name: "user", type: "address" },
+                    { name: "nonce", type: "uint256" },
+                    { name: "deadline", type: "uint256" },
+                ],
+            };
+            const value = {
+                user: signer.address,
+                nonce: nonce ?? (await faucet.nonces(signer.address)),
+                deadline: deadline ?? (await time.latest()) + 3600,
+            };
+            const signature = await signer.signTypedData(domain, types, value);
+            return { ...value, signature };
+        }
+
+        it("Should mint to the signer when a relayer submits the request", async function () {
+            const req = await signClaim(user1);
+            const relayerBalance = await ethers.provider.getBalance(user2.address);
+
+            await expect(faucet.connect(user2).requestTokensWithSignature(req.user, req.deadline, req.signature, []))
+                .to.emit(faucet, "ClaimRelayed")
+                .withArgs(user1.address, user2.address, 0);
+
+            expect(await token.balanceOf(user1.address)).to.equal(FAUCET_AMOUNT);
+            expect(await token.balanceOf(user2.address)).to.equal(0);
+            expect(await faucet.totalClaimed(user1.address)).to.equal(FAUCET_AMOUNT);
+            expect(await faucet.nonces(user1.address)).to.equal(1);
+            expect(await ethers.provider.getBalance(user2.address)).to.be.lt(relayerBalance);
+        });
+
+        it("Should reject a replayed signature", async function () {
+            await faucet.setCooldownTime(0);
+            const req = await signClaim(user1);
+            await faucet.connect(user2).requestTokensWithSignature(req.user, req.deadline, req.signature, []);
+
+            await expect(
+                faucet.connect(user2).requestTokensWithSignature(req.user, req.deadline, req.signature, [])
+            )
+                .to.be.revertedWithCustomError(faucet, "FaucetInvalidSignature")
+                .withArgs(user1.address);
+        });
+
+        it("Should reject an expired request", async function () {
+            const deadline = (await time.latest()) + 60;
+            const req = await signClaim(user1, { deadline });
+            await time.increaseTo(deadline + 1);
+
+            await expect(
+                faucet.connect(user2).requestTokensWithSignature(req.user, req.deadline, req.signature, [])
+            )
+                .to.be.revertedWithCustomError(faucet, "FaucetSignatureExpired")
+                .withArgs(deadline);
+        });
+
+        it("Should accept a request in the block of its deadline", async function () {
+            const deadline = (await time.latest()) + 60;
+            const req = await signClaim(user1, { deadline });
+            await time.setNextBlockTimestamp(deadline);
+
+            await faucet.connect(user2).requestTokensWithSignature(req.user, req.deadline, req.signature, []);
+            expect(await token.balanceOf(user1.address)).to.equal(FAUCET_AMOUNT);
+        });
+
+        it("Should reject a request signed by someone else", async function () {
+            const req = await signClaim(user2);
+
+            await expect(
+                faucet.connect(user2).requestTokensWithSignature(user1.address, req.deadline, req.signature, [])
+            )
+                .to.be.revertedWithCustomError(faucet, "FaucetInvalidSignature")
+                .withArgs(user1.address);
+        });
+
+        it("Should reject a request signed for another faucet", async function () {
+            const req = await signClaim(user1, { verifyingContract: await token.getAddress() });
+
+            await expect(
+                faucet.connect(user2).requestTokensWithSignature(req.user, req.deadline, req.signature, [])
+            ).to.be.revertedWithCustomError(faucet, "FaucetInvalidSignature");
+        });
+
+        it("Should reject a malformed signature", async function () {
+            const deadline = (await time.latest()) + 3600;
+
+            await expect(
+                faucet.connect(user2).requestTokensWithSignature(user1.address, deadline, "0x1234", [])
+            ).to.be.revertedWithCustomError(faucet, "FaucetInvalidSignature");
+        });
+
+        it("Should apply the signer's cooldown across direct and relayed claims", async function () {
+            await faucet.connect(user1).requestTokens();
+            const req = await signClaim(user1);
+
+            await expect(
+                faucet.connect(user2).requestTokensWithSignature(req.user, req.deadline, req.signature, [])
+            ).to.be.revertedWithCustomError(faucet, "FaucetCooldownActive");
+
+            // The relayer's own cooldown is untouched
+            await expect(faucet.connect(user2).requestTokens()).to.not.be.reverted;
+        });
+
+        it("Should apply the signer's lifetime limit to relayed claims", async function () {
+            await faucet.setCooldownTime(0);
+            for (let i = 0; i < 10; i++) {
+                await faucet.connect(user1).requestTokens();
+            }
+            const req = await signClaim(user1);
+
+            await expect(
+                faucet.connect(user2).requestTokensWithSignature(req.user, req.deadline, req.signature, [])
+            ).to.be.revertedWithCustomError(faucet, "FaucetLifetimeLimitReached");
+        });
+
+        it("Should prove an unverified allowlist entry passed with a relayed claim", async function () {
+            const list = [owner.address, user1.address];
+            const root = getRoot(list);
+            await faucet.setAllowlistRoot(root);
+            const req = await signClaim(user1);
+
+            await expect(
+                faucet.connect(user2).requestTokensWithSignature(req.user, req.deadline, req.signature, [])
+            )
+                .to.be.revertedWithCustomError(faucet, "FaucetNotAllowlisted")
+                .withArgs(user1.address);
+
+            const proof = getProof(list, user1.address);
+            await expect(faucet.connect(user2).requestTokensWithSignature(req.user, req.deadline, req.signature, proof))
+                .to.emit(faucet, "AllowlistVerified")
+                .withArgs(user1.address, root);
+            expect(await faucet.isAllowlisted(user1.address)).to.be.true;
+            expect(await token.balanceOf(user1.address)).to.equal(FAUCET_AMOUNT);
+        });
+
+        it("Should reject relayed claims when paused", async function () {
+            await faucet.setPaused(true);
+            const req = await signClaim(user1);
+
+            await expect(
+                faucet.connect(user2).requestTokensWithSignature(req.user, req.deadline, req.signature, [])
+            ).to.be.revertedWithCustomError(faucet, "FaucetIsPaused");
+        });
+    });
+
+    describe("Claiming For Another Address", function () {
+        it("Should mint to the recipient, not the payer", async function () {
+            await faucet.connect(user1).requestTokensFor(user2.address);
+
+            expect(await token.balanceOf(user2.address)).to.equal(FAUCET_AMOUNT);
+            expect(await token.balanceOf(user1.address)).to.equal(0);
+        });
+
+        it("Should charge the recipient's limits and leave the payer's untouched", async function () {
+            await faucet.connect(user1).requestTokensFor(user2.address);
+
+            expect(await faucet.totalClaimed(user2.address)).to.equal(FAUCET_AMOUNT);
+            expect(await faucet.lastClaimAt(user2.address)).to.be.gt(0);
+            expect(await faucet.totalClaimed(user1.address)).to.equal(0);
+            expect(await faucet.lastClaimAt(user1.address)).to.equal(0);
+            expect(await faucet.canClaim(user1.address)).to.be.true;
+            expect(await faucet.canClaim(user2.address)).to.be.false;
+        });
+
+        it("Should apply the recipient's cooldown whoever pays", async function () {
+            await faucet.connect(user1).requestTokensFor(user2.address);
+
+            await expect(faucet.connect(owner).requestTokensFor(user2.address)).to.be.revertedWithCustomError(
+                faucet,
+                "FaucetCooldownActive"
+            );
+            await expect(faucet.connect(user2).requestTokens()).to.be.revertedWithCustomError(
+                faucet,
+                "FaucetCooldownActive"
+            );
+
+            // The payer can still claim for itself
+            await expect(faucet.connect(user1).requestTokens()).to.not.be.reverted;
+        });
+
+        it("Should count direct and funded claims against one lifetime limit", async function () {
+            await faucet.setCooldownTime(0);
+            for (let i = 0; i < 5; i++) {
+                await faucet.connect(user2).requestTokens();
+                await faucet.connect(user1).requestTokensFor(user2.address);
+            }
+
+            expect(await faucet.totalClaimed(user2.address)).to.equal(MAX_CLAIM_AMOUNT);
+            await expect(faucet.connect(owner).requestTokensFor(user2.address)).to.be.revertedWithCustomError(
+                faucet,
+                "FaucetLifetimeLimitReached"
+            );
+            expect(await faucet.totalClaimed(user1.address)).to.equal(0);
+        });
+
+        it("Should emit the payer and the recipient", async function () {
+            const next = (await time.latest()) + 1;
+            await time.setNextBlockTimestamp(next);
+
+            await expect(faucet.connect(user1).requestTokensFor(user2.address))
+                .to.emit(faucet, "TokensClaimedFor")
+                .withArgs(user1.address, user2.address, FAUCET_AMOUNT, next)
+                .and.to.emit(faucet, "TokensClaimed")
+                .withArgs(user2.address, FAUCET_AMOUNT, next);
+        });
+
+        it("Should reject the zero address as recipient", async function () {
+            await expect(faucet.connect(user1).requestTokensFor(ethers.ZeroAddress)).to.be.revertedWithCustomError(
+                faucet,
+                "FaucetZeroAddress"
+            );
+        });
+
+        it("Should reject claims for others when paused", async function () {
+            await faucet.setPaused(true);
+
+            await expect(faucet.connect(user1).requestTokensFor(user2.address)).to.be.revertedWithCustomError(
+                faucet,
+                "FaucetIsPaused"
+            );
+        });
+    });
+
+    describe("Faucet Budget", function () {
+        const DAY = 24 * 60 * 60;
+
+        it("Should start the primary token with the default budget", async function () {
+            const [dailyCap, totalBudget] = await faucet.tokenBudgets(await token.getAddress());
+            expect(dailyCap).to.equal(await faucet.DEFAULT_DAILY_CAP());
+            expect(totalBudget).to.equal(await faucet.DEFAULT_TOTAL_BUDGET());
+            expect(await faucet.remainingDailyBudget()).to.equal(dailyCap);
+            expect(await faucet.remainingTotalBudget()).to.equal(totalBudget);
+        });
+
+        it("Should count every claim against the daily and total budget", async function () {
+            const daily = await faucet.remainingDailyBudget();
+            const total = await faucet.remainingTotalBudget();
+
+            await faucet.connect(user1).requestTokens();
+            await faucet.connect(owner).requestTokensFor(user2.address);
+
+            expect(await faucet.remainingDailyBudget()).to.equal(daily - 2n * FAUCET_AMOUNT);
+            expect(await faucet.remainingTotalBudget()).to.equal(total - 2n * FAUCET_AMOUNT);
+        });
+
+        it("Should revert with FaucetDailyBudgetExhausted once the day's budget is spent", async function () {
+            // Start just after midnight so every call lands on the same day
+            const dayStart = (Math.floor((await time.latest()) / DAY) + 1) * DAY;
+            await time.increaseTo(dayStart + 60);
+            const resetsAt = dayStart + DAY;
+
+            await faucet.setTokenBudget(await token.getAddress(), 2n * FAUCET_AMOUNT, 0);
+            await faucet.connect(user1).requestTokens();
+            await faucet.connect(user2).requestTokens();
+
+            expect(await faucet.canClaim(owner.address)).to.be.false;
+            await expect(faucet.connect(owner).requestTokens())
+                .to.be.revertedWithCustomError(faucet, "FaucetDailyBudgetExhausted")
+                .withArgs(0, FAUCET_AMOUNT, resetsAt);
+        });
+
+        it("Should open a fresh daily budget at the next UTC day", async function () {
+            await faucet.setTokenBudget(await token.getAddress(), FAUCET_AMOUNT, 0);
+            await faucet.connect(user1).requestTokens();
+            await expect(faucet.connect(user2).requestTokens()).to.be.revertedWithCustomError(
+                faucet,
+                "FaucetDailyBudgetExhausted"
+            );
+
+            const status = await faucet.getBudgetStatus(await token.getAddress());
+            await time.increaseTo(status.resetsAt);
+
+            await expect(faucet.connect(user2).requestTokens()).to.not.be.reverted;
+        });
+
+        it("Should revert with FaucetBudgetExhausted once the total budget is spent", async function () {
+            await faucet.setTokenBudget(await token.getAddress(), 0, 2n * FAUCET_AMOUNT);
+            await faucet.connect(user1).requestTokens();
+            await time.increase(DAY);
+            await faucet.connect(user2).requestTokens();
+            await time.increase(DAY);
+
+            expect(await faucet.remainingTotalBudget()).to.equal(0);
+            await expect(faucet.connect(user1).requestTokens())
+                .to.be.revertedWithCustomError(faucet, "FaucetBudgetExhausted")
+                .withArgs(0, FAUCET_AMOUNT);
+        });
+
+        it("Should treat a zero limit as unlimited", async function () {
+            await faucet.setTokenBudget(await token.getAddress(), 0, 0);
+
+            expect(await faucet.remainingDailyBudget()).to.equal(ethers.MaxUint256);
+            expect(await faucet.remainingTotalBudget()).to.equal(ethers.MaxUint256);
+            await expect(faucet.connect(user1).requestTokens()).to.not.be.reverted;
+        });
+
+        it("Should report the budget state in one call", async function () {
+            const tokenAddress = await token.getAddress();
+            await faucet.setTokenBudget(tokenAddress, 50n * FAUCET_AMOUNT, 500n * FAUCET_AMOUNT);
+            await faucet.connect(user1).requestTokens();
+
+            const status = await faucet.getBudgetStatus(tokenAddress);
+            expect(status.token).to.equal(tokenAddress);
+            expect(status.dailyCap).to.equal(50n * FAUCET_AMOUNT);
+            expect(status.issuedToday).to.equal(FAUCET_AMOUNT);
+            expect(status.remainingToday).to.equal(49n * FAUCET_AMOUNT);
+            expect(status.totalBudget).to.equal(500n * FAUCET_AMOUNT);
+            expect(status.issuedTotal).to.equal(FAUCET_AMOUNT);
+            expect(status.remainingTotal).to.equal(499n * FAUCET_AMOUNT);
+            expect(status.resetsAt % BigInt(DAY)).to.equal(0);
+        });
+
+        it("Should let only config admins set a budget, and only for listed tokens", async function () {
+            const tokenAddress = await token.getAddress();
+            await expect(faucet.setTokenBudget(tokenAddress, 1, 2))
+                .to.emit(faucet, "TokenBudgetUpdated")
+                .withArgs(tokenAddress, 1, 2);
+            await expect(faucet.connect(user1).setTokenBudget(tokenAddress, 0, 0)).to.be.revertedWithCustomError(
+                faucet,
+                "AccessControlUnauthorizedAccount"
+            );
+            await expect(faucet.setTokenBudget(user2.address, 0, 0))
+                .to.be.revertedWithCustomError(faucet, "FaucetTokenNotListed")
+                .withArgs(user2.address);
+        });
+    });
+
+    describe("Tiers and Allowlist", function () {
+        it("Should start everyone in the default tier", async function () {
+            expect(await faucet.tierCount()).to.equal(1);
+            const tier = await faucet.getTier(0);
+            expect(tier.name).to.equal("default");
+            expect(tier.blocked).to.be.false;
+            expect(await faucet.userTier(user1.address)).to.equal(0);
+        });
+
+        it("Should apply a tier's limits to its members only", async function () {
+            const tokenAddress = await token.getAddress();
+            await expect(faucet.addTier("partner", false))
+                .to.emit(faucet, "TierUpdated")
+                .withArgs(1, "partner", false);
+            await faucet.setTierLimits(1, tokenAddress, 3n * FAUCET_AMOUNT, 60, 3n * MAX_CLAIM_AMOUNT);
+            await expect(faucet.assignTier([user1.address], 1))
+                .to.emit(faucet, "TierAssigned")
+                .withArgs(user1.address, 1);
+
+            await faucet.connect(user1).requestTokens();
+            await faucet.connect(user2).requestTokens();
+            expect(await token.balanceOf(user1.address)).to.equal(3n * FAUCET_AMOUNT);
+            expect(await token.balanceOf(user2.address)).to.equal(FAUCET_AMOUNT);
+
+            const status = await faucet.getUserStatus(user1.address);
+            expect(status.tier).to.equal(1);
+            expect(status.cooldownTime).to.equal(60);
+            expect(status.remainingAllowance).to.equal(3n * MAX_CLAIM_AMOUNT - 3n * FAUCET_AMOUNT);
+
+            await time.increase(60);
+            await expect(faucet.connect(user1).requestTokens()).to.not.be.reverted;
+        });
+
+        it("Should fall back to the token's rules once tier limits are cleared", async function () {
+            const tokenAddress = await token.getAddress();
+            await faucet.addTier("partner", false);
+            await faucet.setTierLimits(1, tokenAddress, 3n * FAUCET_AMOUNT, 60, 3n * MAX_CLAIM_AMOUNT);
+            await faucet.assignTier([user1.address], 1);
+            await faucet.clearTierLimits(1, tokenAddress);
+
+            const [amount, cooldown, max] = await faucet.getUserLimits(tokenAddress, user1.address);
+            expect(amount).to.equal(FAUCET_AMOUNT);
+            expect(cooldown).to.equal(COOLDOWN_TIME);
+            expect(max).to.equal(MAX_CLAIM_AMOUNT);
+        });
+
+        it("Should reject clearing the limits of an unknown tier", async function () {
+            await expect(faucet.clearTierLimits(1, await token.getAddress()))
+                .to.be.revertedWithCustomError(faucet, "FaucetUnknownTier")
+                .withArgs(1);
+        });
+
+        it("Should assign many addresses at once and reject members of a blocked tier", async function () {
+            await faucet.addTier("blocked", true);
+            await faucet.assignTier([user1.address, user2.address], 1);
+
+            expect(await faucet.canClaim(user1.address)).to.be.false;
+            await expect(faucet.connect(user1).requestTokens())
+                .to.be.revertedWithCustomError(faucet, "FaucetAddressBlocked")
+                .withArgs(user1.address);
+            await expect(faucet.requestTokensFor(user2.address))
+                .to.be.revertedWithCustomError(faucet, "FaucetAddressBlocked")
+                .withArgs(user2.address);
+
+            await faucet.updateTier(1, "blocked", false);
+            await expect(faucet.connect(user1).requestTokens()).to.not.be.reverted;
+        });
+
+        it("Should require allowlisted addresses to prove their entry", async function () {
+            const list = [owner.address, user1.address];
+            const root = getRoot(list);
+            await expect(faucet.setAllowlistRoot(root)).to.emit(faucet, "AllowlistRootUpdated").withArgs(root);
+
+            expect(await faucet.isAllowlisted(user1.address)).to.be.false;
+            await expect(faucet.connect(user1).requestTokens())
+                .to.be.revertedWithCustomError(faucet, "FaucetNotAllowlisted")
+                .withArgs(user1.address);
+
+            await expect(faucet.connect(user1).requestTokensWithProof(getProof(list, user1.address)))
+                .to.emit(faucet, "AllowlistVerified")
+                .withArgs(user1.address, root);
+            expect(await faucet.isAllowlisted(user1.address)).to.be.true;
+            expect(await token.balanceOf(user1.address)).to.equal(FAUCET_AMOUNT);
+        });
+
+        it("Should reject a proof for an address that isn't on the list", async function () {
+            const list = [owner.address, user1.address];
+            await faucet.setAllowlistRoot(getRoot(list));
+
+            await expect(faucet.verifyAllowlist(user2.address, getProof(list, user1.address)))
+                .to.be.revertedWithCustomError(faucet, "FaucetInvalidProof")
+                .withArgs(user2.address);
+        });
+
+        it("Should require a fresh proof after the root changes", async function () {
+            const first = [owner.address, user1.address, user2.address];
+            await faucet.setAllowlistRoot(getRoot(first));
+            await faucet.verifyAllowlist(user1.address, getProof(first, user1.address));
+            expect(await faucet.isAllowlisted(user1.address)).to.be.true;
+
+            const second = [user1.address, user2.address];
+            await faucet.setAllowlistRoot(getRoot(second));
+            expect(await faucet.isAllowlisted(user1.address)).to.be.false;
+
+            await faucet.setAllowlistRoot(ethers.ZeroHash);
+            expect(await faucet.isAllowlisted(user1.address)).to.be.true;
+        });
+
+        it("Should only allow config admins to manage tiers and the allowlist", async function () {
+            const tokenAddress = await token.getAddress();
+            await expect(faucet.connect(user1).addTier("partner", false)).to.be.revertedWithCustomError(
+                faucet,
+                "AccessControlUnauthorizedAccount"
+            );
+            await expect(faucet.connect(user1).assignTier([user1.address], 0)).to.be.revertedWithCustomError(
+                faucet,
+                "AccessControlUnauthorizedAccount"
+            );
+            await expect(faucet.connect(user1).setAllowlistRoot(ethers.ZeroHash)).to.be.revertedWithCustomError(
+                faucet,
+                "AccessControlUnauthorizedAccount"
+            );
+            await expect(faucet.assignTier([user1.address], 5))
+                .to.be.revertedWithCustomError(faucet, "FaucetUnknownTier")
+                .withArgs(5);
+            await expect(faucet.setTierLimits(0, user2.address, FAUCET_AMOUNT, 0, MAX_CLAIM_AMOUNT))
+                .to.be.revertedWithCustomError(faucet, "FaucetTokenNotListed")
+                .withArgs(user2.address);
+            await expect(faucet.setTierLimits(0, tokenAddress, MAX_CLAIM_AMOUNT, 0, FAUCET_AMOUNT))
+                .to.be.revertedWithCustomError(faucet, "FaucetInvalidAmount")
+                .withArgs(MAX_CLAIM_AMOUNT, FAUCET_AMOUNT);
+        });
+    });
+
+    describe("Roles", function () {
+        let PAUSER_ROLE;
+        let CONFIG_ADMIN_ROLE;
+
+        beforeEach(async function () {
+            PAUSER_ROLE = await faucet.PAUSER_ROLE();
+            CONFIG_ADMIN_ROLE = await faucet.CONFIG_ADMIN_ROLE();
+        });
+
+        it("Should let a pauser pause without being able to configure", async function () {
+            await expect(faucet.grantRole(PAUSER_ROLE, user1.address))
+                .to.emit(faucet, "RoleGranted")
+                .withArgs(PAUSER_ROLE, user1.address, owner.address);
+
+            await faucet.connect(user1).setPaused(true);
+            expect(await faucet.isPaused()).to.be.true;
+            await expect(faucet.connect(user1).setCooldownTime(0))
+                .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, CONFIG_ADMIN_ROLE);
+        });
+
+        it("Should let a config admin configure without being able to pause", async function () {
+            await faucet.grantRole(CONFIG_ADMIN_ROLE, user1.address);
+
+            await faucet.connect(user1).setCooldownTime(0);
+            expect(await faucet.cooldownTime()).to.equal(0);
+            await expect(faucet.connect(user1).setPaused(true))
+                .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, PAUSER_ROLE);
+        });
+
+        it("Should take access away when a role is revoked", async function () {
+            await faucet.grantRole(PAUSER_ROLE, user1.address);
+            await expect(faucet.revokeRole(PAUSER_ROLE, user1.address))
+                .to.emit(faucet, "RoleRevoked")
+                .withArgs(PAUSER_ROLE, user1.address, owner.address);
+
+            expect(await faucet.hasRole(PAUSER_ROLE, user1.address)).to.be.false;
+            await expect(faucet.connect(user1).setPaused(true)).to.be.revertedWithCustomError(
+                faucet,
+                "AccessControlUnauthorizedAccount"
+            );
+        });
+
+        it("Should only let the admin grant roles", async function () {
+            await faucet.grantRole(PAUSER_ROLE, user1.address);
+            await expect(faucet.connect(user1).grantRole(PAUSER_ROLE, user2.address))
+                .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, await faucet.DEFAULT_ADMIN_ROLE());
+        });
+
+        it("Should let an account give up its own role", async function () {
+            await faucet.renounceRole(PAUSER_ROLE, owner.address);
+            expect(await faucet.hasRole(PAUSER_ROLE, owner.address)).to.be.false;
+            await expect(faucet.setPaused(true)).to.be.revertedWithCustomError(
+                faucet,
+                "AccessControlUnauthorizedAccount"
+            );
+        });
+    });
+
+    describe("Upgrades", function () {
+        it("Should keep claim state, roles and tiers across an upgrade", async function () {
+            await faucet.connect(user1).requestTokens();
+            await faucet.addTier("partner", false);
+            await faucet.assignTier([user2.address], 1);
+            await faucet.grantRole(await faucet.PAUSER_ROLE(), user2.address);
+            const lastClaim = await faucet.lastClaimAt(user1.address);
+            const proxy = await faucet.getAddress();
+
+            const TokenFaucetV2 = await ethers.getContractFactory("TokenFaucetV2");
+            const upgraded = await upgrades.upgradeProxy(proxy, TokenFaucetV2, {
+                kind: "uups",
+                call: { fn: "initializeV2", args: ["hello"] },
+            });
+
+            expect(await upgraded.getAddress()).to.equal(proxy);
+            expect(await upgraded.version()).to.equal("2");
+            expect(await upgraded.motd()).to.equal("hello");
+            expect(await upgraded.lastClaimAt(user1.address)).to.equal(lastClaim);
+            expect(await upgraded.totalClaimed(user1.address)).to.equal(FAUCET_AMOUNT);
+            expect(await upgraded.userTier(user2.address)).to.equal(1);
+            expect(await upgraded.hasRole(await upgraded.PAUSER_ROLE(), user2.address)).to.be.true;
+            expect(await upgraded.token()).to.equal(await token.getAddress());
+
+            // Cooldown still applies to the claim made before the upgrade
+            await expect(upgraded.connect(user1).requestTokens()).to.be.revertedWithCustomError(
+                upgraded,
+                "FaucetCooldownActive"
+            );
+        });
+
+        it("Should only let the admin upgrade", async function () {
+            const TokenFaucetV2 = await ethers.getContractFactory("TokenFaucetV2");
+            const implementation = await upgrades.deployImplementation(TokenFaucetV2, { kind: "uups" });
+
+            await expect(faucet.connect(user1).upgradeToAndCall(implementation, "0x"))
+                .to.be.revertedWithCustomError(faucet, "AccessControlUnauthorizedAccount")
+                .withArgs(user1.address, await faucet.DEFAULT_ADMIN_ROLE());
+        });
+
+        it("Should reject an implementation that moves existing storage", async function () {
+            const BadLayout = await ethers.getContractFactory("TokenFaucetBadLayout");
+            await expect(
+                upgrades.validateUpgrade(await faucet.getAddress(), BadLayout, { kind: "uups" })
+            ).to.be.rejectedWith(/storage/i);
+        });
+
+        it("Should not be initializable twice", async function () {
+            await expect(faucet.initialize(await token.getAddress())).to.be.revertedWithCustomError(
+                faucet,
+                "InvalidInitialization"
+            );
+        });
+    });
+
     describe("Reentrancy Protection", function () {
         it("Should update state before minting to prevent reentrancy", async function () {
             await faucet.connect(user1).requestTokens();
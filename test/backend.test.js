@@ -0,0 +1,160 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { FaucetStore } = require("../backend/store");
+const { Indexer } = require("../backend/indexer");
+const { createServer } = require("../backend/server");
+
+describe("Indexer backend", function () {
+    let token;
+    let faucet;
+    let owner;
+    let user1;
+    let user2;
+    let store;
+    let indexer;
+    let server;
+    let baseUrl;
+
+    const FAUCET_AMOUNT = ethers.parseEther("10");
+
+    async function get(path) {
+        const res = await fetch(baseUrl + path);
+        return { status: res.status, body: await res.json() };
+    }
+
+    beforeEach(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        token = await Token.deploy();
+        await token.waitForDeployment();
+
+        const TokenFaucet = await ethers.getContractFactory("TokenFaucet");
+        faucet = await upgrades.deployProxy(TokenFaucet, [await token.getAddress()], { kind: "uups" });
+        await faucet.waitForDeployment();
+
+        await token.grantRole(await token.MINTER_ROLE(), await faucet.getAddress());
+
+        const { chainId } = await ethers.provider.getNetwork();
+        const info = { chainId: Number(chainId), faucet: await faucet.getAddress(), token: await token.getAddress() };
+        store = new FaucetStore();
+        store.bind(info);
+        indexer = new Indexer(store, {
+            provider: ethers.provider,
+            faucet: info.faucet,
+            token: info.token,
+            startBlock: await ethers.provider.getBlockNumber(),
+            pageSize: 5,
+        });
+
+        server = createServer(store, indexer, info);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+        await new Promise((resolve) => server.close(resolve));
+        store.close();
+    });
+
+    it("Should index claims, pauses and transfers into /stats", async function () {
+        await faucet.connect(user1).requestTokens();
+        await faucet.connect(user2).requestTokens();
+        await token.connect(user2).transfer(owner.address, ethers.parseEther("4"));
+        await faucet.setPaused(true);
+        await indexer.sync();
+
+        const { status, body } = await get("/stats");
+
+        expect(status).to.equal(200);
+        expect(body.claims).to.deep.equal({ total: 2, last24h: 2, last7d: 2 });
+        expect(body.uniqueClaimers.total).to.equal(2);
+        expect(body.distributed).to.equal((FAUCET_AMOUNT * 2n).toString());
+        expect(body.token.minted).to.equal((FAUCET_AMOUNT * 2n).toString());
+        expect(body.token.holders).to.equal(3);
+        expect(body.paused).to.be.true;
+        expect(body.claimsPerDay).to.have.lengthOf(1);
+        expect(body.claimsPerDay[0].claimers).to.equal(2);
+    });
+
+    it("Should count only recent claimers in the 24h and 7 day windows", async function () {
+        await faucet.connect(user1).requestTokens();
+        await time.increase(8 * 24 * 60 * 60);
+        await faucet.connect(user2).requestTokens();
+        await indexer.sync();
+
+        const { body } = await get("/stats");
+
+        expect(body.uniqueClaimers).to.deep.equal({ total: 2, last24h: 1, last7d: 1 });
+        expect(body.claimsPerDay).to.have.lengthOf(2);
+    });
+
+    it("Should list claims newest first and filter by address", async function () {
+        await faucet.connect(user1).requestTokens();
+        await faucet.connect(user2).requestTokens();
+        await time.increase(24 * 60 * 60);
+        await faucet.connect(user1).requestTokens();
+        await indexer.sync();
+
+        const all = await get("/claims");
+        expect(all.body.claims.map((c) => c.user)).to.deep.equal([user1.address, user2.address, user1.address]);
+
+        const mine = await get(`/claims?address=${user1.address.toLowerCase()}&limit=1`);
+        expect(mine.body.claims).to.have.lengthOf(1);
+        expect(mine.body.claims[0].user).to.equal(user1.address);
+        expect(mine.body.claims[0].amount).to.equal(FAUCET_AMOUNT.toString());
+
+        const rest = await get("/claims?limit=2&offset=2");
+        expect(rest.body.claims.map((c) => c.user)).to.deep.equal([user1.address]);
+
+        expect((await get("/claims?address=nope")).status).to.equal(400);
+    });
+
+    it("Should rank top claimers by total claimed", async function () {
+        await faucet.connect(user2).requestTokens();
+        await faucet.connect(user1).requestTokens();
+        await time.increase(24 * 60 * 60);
+        await faucet.connect(user1).requestTokens();
+        await indexer.sync();
+
+        const { body } = await get("/claimers/top?limit=5");
+
+        expect(body.claimers.map((c) => [c.user, c.claims])).to.deep.equal([
+            [user1.address, 2],
+            [user2.address, 1],
+        ]);
+        expect(body.claimers[0].total).to.equal((FAUCET_AMOUNT * 2n).toString());
+    });
+
+    it("Should resume from the last indexed block without duplicates", async function () {
+        await faucet.connect(user1).requestTokens();
+        const first = await indexer.sync();
+        await faucet.connect(user2).requestTokens();
+        const second = await indexer.sync();
+        await indexer.sync();
+
+        expect(second).to.be.gt(first);
+        expect(store.getClaims()).to.have.lengthOf(2);
+        expect(store.getStats().distributed).to.equal((FAUCET_AMOUNT * 2n).toString());
+    });
+
+    it("Should report progress on /health and reject unknown routes", async function () {
+        await indexer.sync();
+
+        const { status, body } = await get("/health");
+        expect(status).to.equal(200);
+        expect(body.ok).to.be.true;
+        expect(body.faucet).to.equal(await faucet.getAddress());
+        expect(body.indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+        expect(body.lag).to.equal(0);
+
+        expect((await get("/nope")).status).to.equal(404);
+    });
+
+    it("Should refuse a database that indexes another faucet", async function () {
+        expect(() =>
+            store.bind({ chainId: 31337, faucet: ethers.Wallet.createRandom().address, token: ethers.ZeroAddress })
+        ).to.throw(/Database indexes faucet/);
+    });
+});
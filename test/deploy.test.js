@@ -0,0 +1,148 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploy } = require("../scripts/deploy");
+const { updateEnvFile } = require("../scripts/pipeline");
+
+describe("Deploy pipeline", function () {
+    let dir;
+    let envFile;
+    let file;
+
+    const run = (options = {}) => deploy({ deploymentsDir: dir, envFile, log: () => {}, ...options });
+    const read = () => JSON.parse(fs.readFileSync(file, "utf8"));
+
+    beforeEach(function () {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "faucet-deploy-"));
+        envFile = path.join(dir, ".env");
+        file = path.join(dir, "hardhat.json");
+    });
+
+    afterEach(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should record every step and write the frontend .env", async function () {
+        const state = await run();
+
+        const record = read();
+        expect(Object.keys(record.steps)).to.have.members([
+            "token",
+            "faucet",
+            "token:tUSD",
+            "list:tUSD",
+            "token:tGOV",
+            "list:tGOV",
+            "minter",
+            "tiers",
+        ]);
+        expect(record.faucet).to.equal(state.faucet);
+        expect(record.history).to.deep.equal([]);
+
+        const faucet = await ethers.getContractAt("TokenFaucet", record.faucet);
+        expect(await faucet.token()).to.equal(record.token);
+        expect(await faucet.tierCount()).to.equal(3);
+
+        const env = fs.readFileSync(envFile, "utf8");
+        expect(env).to.include(`VITE_FAUCET_ADDRESS=${record.faucet}`);
+        expect(env).to.include(`VITE_TOKEN_ADDRESS=${record.token}`);
+        expect(env).to.include("VITE_CHAIN_ID=31337");
+    });
+
+    it("Should skip finished steps and reuse the contracts on a re-run", async function () {
+        const first = await run();
+        const steps = read().steps;
+        const block = await ethers.provider.getBlockNumber();
+
+        const second = await run();
+
+        expect(second.token).to.equal(first.token);
+        expect(second.faucet).to.equal(first.faucet);
+        expect(second.tokens).to.deep.equal(first.tokens);
+        expect(read().steps).to.deep.equal(steps);
+        expect(await ethers.provider.getBlockNumber()).to.equal(block);
+    });
+
+    it("Should re-grant a minter role that was revoked after deployment", async function () {
+        const state = await run();
+        const tUSD = await ethers.getContractAt("MintableToken", state.tokens[0].address);
+        const MINTER_ROLE = await tUSD.MINTER_ROLE();
+        await tUSD.revokeRole(MINTER_ROLE, state.faucet);
+
+        await run();
+
+        expect(await tUSD.hasRole(MINTER_ROLE, state.faucet)).to.be.true;
+        expect(read().faucet).to.equal(state.faucet);
+    });
+
+    it("Should list a deployed token again without deploying a new one", async function () {
+        const first = await run();
+        // As if the run had stopped after deploying tUSD but before listing it
+        const record = read();
+        delete record.steps["list:tUSD"];
+        fs.writeFileSync(file, JSON.stringify(record));
+
+        const second = await run();
+
+        expect(second.tokens).to.deep.equal(first.tokens);
+        expect(read().steps["list:tUSD"]).to.exist;
+        const faucet = await ethers.getContractAt("TokenFaucet", first.faucet);
+        expect(await faucet.getTokens()).to.deep.equal([first.token, ...first.tokens.map((t) => t.address)]);
+    });
+
+    it("Should clear tier limits that were dropped from the tier list", async function () {
+        const tiers = [{ name: "partner", blocked: false, limits: { amount: "50", cooldown: 60, max: "1000" } }];
+        const state = await run({ tiers });
+        const faucet = await ethers.getContractAt("TokenFaucet", state.faucet);
+        expect((await faucet.tierLimits(1, state.token)).set).to.be.true;
+
+        await run({ tiers: [{ name: "partner", blocked: false }] });
+
+        expect((await faucet.tierLimits(1, state.token)).set).to.be.false;
+        expect(read().steps.tiers.limits).to.deep.equal([]);
+    });
+
+    it("Should move a record whose contracts are gone to history", async function () {
+        fs.writeFileSync(
+            file,
+            JSON.stringify({
+                network: "hardhat",
+                chainId: 31337,
+                token: ethers.Wallet.createRandom().address,
+                faucet: ethers.Wallet.createRandom().address,
+                steps: { token: { completedAt: "2026-01-01T00:00:00.000Z" } },
+            })
+        );
+
+        const state = await run();
+
+        const record = read();
+        expect(record.history).to.have.lengthOf(1);
+        expect(record.history[0].reason).to.match(/no code at Token, TokenFaucet/);
+        expect(await ethers.provider.getCode(state.faucet)).to.not.equal("0x");
+    });
+
+    it("Should start over when asked for a fresh deployment", async function () {
+        const first = await run();
+
+        const second = await run({ fresh: true });
+
+        expect(second.faucet).to.not.equal(first.faucet);
+        const record = read();
+        expect(record.history).to.have.lengthOf(1);
+        expect(record.history[0].faucet).to.equal(first.faucet);
+        expect(record.history[0].reason).to.equal("fresh deployment requested");
+    });
+
+    it("Should keep unrelated lines when updating an .env file", async function () {
+        fs.writeFileSync(envFile, "# local settings\nVITE_RPC_URL=http://custom\nVITE_FAUCET_ADDRESS=0xold\n");
+
+        updateEnvFile(envFile, { VITE_FAUCET_ADDRESS: "0xnew", VITE_CHAIN_ID: 31337 }, { VITE_RPC_URL: "http://default" });
+
+        expect(fs.readFileSync(envFile, "utf8")).to.equal(
+            "# local settings\nVITE_RPC_URL=http://custom\nVITE_FAUCET_ADDRESS=0xnew\nVITE_CHAIN_ID=31337\n"
+        );
+    });
+});
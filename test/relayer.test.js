@@ -0,0 +1,99 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { relayClaim } = require("../scripts/relayer");
+const { getRoot, getProof } = require("../scripts/merkle");
+
+describe("Relayer", function () {
+    let token;
+    let faucet;
+    let relayer;
+    let user;
+
+    const FAUCET_AMOUNT = ethers.parseEther("10");
+
+    async function signClaim(signer, deadline) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = { name: "TokenFaucet", version: "1", chainId, verifyingContract: await faucet.getAddress() };
+        const types = {
+            ClaimRequest: [
+                { name: "user", type: "address" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" },
+            ],
+        };
+        const value = { user: signer.address, nonce: await faucet.nonces(signer.address), deadline };
+        const signature = await signer.signTypedData(domain, types, value);
+        return { user: signer.address, deadline: deadline.toString(), signature };
+    }
+
+    beforeEach(async function () {
+        [relayer, user] = await ethers.getSigners();
+
+        const Token = await ethers.getContractFactory("Token");
+        token = await Token.deploy();
+        await token.waitForDeployment();
+
+        const TokenFaucet = await ethers.getContractFactory("TokenFaucet");
+        faucet = await upgrades.deployProxy(TokenFaucet, [await token.getAddress()], { kind: "uups" });
+        await faucet.waitForDeployment();
+
+        await token.grantRole(await token.MINTER_ROLE(), await faucet.getAddress());
+    });
+
+    it("Should submit a valid request from the relayer account", async function () {
+        const req = await signClaim(user, (await time.latest()) + 3600);
+
+        const tx = await relayClaim(faucet, req);
+        await tx.wait();
+
+        expect(tx.from).to.equal(relayer.address);
+        expect(await token.balanceOf(user.address)).to.equal(FAUCET_AMOUNT);
+    });
+
+    it("Should claim for an allowlisted user who has not verified their entry", async function () {
+        const list = [relayer.address, user.address];
+        await faucet.setAllowlistRoot(getRoot(list));
+        const req = await signClaim(user, (await time.latest()) + 3600);
+
+        await (await relayClaim(faucet, { ...req, proof: getProof(list, user.address) })).wait();
+
+        expect(await faucet.isAllowlisted(user.address)).to.be.true;
+        expect(await token.balanceOf(user.address)).to.equal(FAUCET_AMOUNT);
+    });
+
+    it("Should refuse a replayed request without sending a transaction", async function () {
+        await faucet.setCooldownTime(0);
+        const req = await signClaim(user, (await time.latest()) + 3600);
+        await (await relayClaim(faucet, req)).wait();
+        const nonceBefore = await ethers.provider.getTransactionCount(relayer.address);
+
+        await expect(relayClaim(faucet, req)).to.be.revertedWithCustomError(faucet, "FaucetInvalidSignature");
+        expect(await ethers.provider.getTransactionCount(relayer.address)).to.equal(nonceBefore);
+    });
+
+    it("Should refuse an expired request without sending a transaction", async function () {
+        const deadline = (await time.latest()) + 60;
+        const req = await signClaim(user, deadline);
+        await time.increaseTo(deadline + 1);
+        const nonceBefore = await ethers.provider.getTransactionCount(relayer.address);
+
+        await expect(relayClaim(faucet, req)).to.be.revertedWithCustomError(faucet, "FaucetSignatureExpired");
+        expect(await ethers.provider.getTransactionCount(relayer.address)).to.equal(nonceBefore);
+    });
+
+    it("Should reject malformed requests", async function () {
+        await expect(relayClaim(faucet, { user: "0x1234", deadline: 1, signature: "0x00" })).to.be.rejectedWith(
+            "Invalid user address"
+        );
+        await expect(relayClaim(faucet, { user: user.address, deadline: 1, signature: "nope" })).to.be.rejectedWith(
+            "Invalid signature"
+        );
+        await expect(relayClaim(faucet, { user: user.address, signature: "0x00" })).to.be.rejectedWith(
+            "Missing deadline"
+        );
+        await expect(
+            relayClaim(faucet, { user: user.address, deadline: 1, signature: "0x00", proof: ["0x1234"] })
+        ).to.be.rejectedWith("Invalid allowlist proof");
+    });
+});
@@ -0,0 +1,86 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { deploy } = require("../scripts/deploy");
+
+const { ethers } = hre;
+
+describe("Faucet tasks", function () {
+    let dir;
+    let deployment;
+    let faucet;
+    let user;
+    const consoleLog = console.log;
+
+    before(async function () {
+        [, user] = await ethers.getSigners();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), "faucet-tasks-"));
+        process.env.DEPLOYMENTS_DIR = dir;
+        deployment = await deploy({ deploymentsDir: dir, envFile: false, log: () => {} });
+        faucet = await ethers.getContractAt("TokenFaucet", deployment.faucet);
+        await faucet.connect(user).requestTokens();
+    });
+
+    after(function () {
+        delete process.env.DEPLOYMENTS_DIR;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // The tasks print for operators; keep the test output readable
+    beforeEach(function () {
+        console.log = () => {};
+    });
+
+    afterEach(function () {
+        console.log = consoleLog;
+    });
+
+    it("Should report supply, limits and the faucet as minter", async function () {
+        const status = await hre.run("faucet:status");
+
+        expect(status.paused).to.be.false;
+        expect(status.tokens.map((t) => t.symbol)).to.deep.equal(["FCT", "tUSD", "tGOV"]);
+        const fct = status.tokens[0];
+        expect(fct.supply).to.equal(ethers.parseEther("10"));
+        expect(fct.maxSupply).to.equal(ethers.parseEther("100000000"));
+        expect(fct.minters).to.deep.equal([deployment.faucet]);
+    });
+
+    it("Should pause and unpause the faucet", async function () {
+        await hre.run("faucet:pause");
+        expect(await faucet.isPaused()).to.be.true;
+
+        await hre.run("faucet:unpause");
+        expect(await faucet.isPaused()).to.be.false;
+    });
+
+    it("Should show a user's claims and cooldown", async function () {
+        const report = await hre.run("faucet:user", { address: user.address });
+
+        expect(report.tier).to.equal("default");
+        const fct = report.tokens[0];
+        expect(fct.totalClaimed).to.equal(ethers.parseEther("10"));
+        expect(fct.remainingAllowance).to.equal(ethers.parseEther("90"));
+        expect(fct.timeUntilNextClaim).to.be.gt(0);
+        expect(fct.canClaim).to.be.false;
+    });
+
+    it("Should export claims as CSV or JSON", async function () {
+        const csv = path.join(dir, "claims.csv");
+        await hre.run("faucet:claims", { out: csv });
+        const lines = fs.readFileSync(csv, "utf8").trim().split("\n");
+        expect(lines[0]).to.equal("blockNumber,transactionHash,logIndex,user,amount,timestamp");
+        expect(lines).to.have.lengthOf(2);
+        expect(lines[1]).to.include(`${user.address},${ethers.parseEther("10")}`);
+
+        const json = path.join(dir, "claims.json");
+        const rows = await hre.run("faucet:claims", { format: "json", out: json });
+        expect(JSON.parse(fs.readFileSync(json, "utf8"))).to.deep.equal(rows);
+        expect(rows[0].user).to.equal(user.address);
+
+        const later = await hre.run("faucet:claims", { fromBlock: rows[0].blockNumber + 1, out: json });
+        expect(later).to.deep.equal([]);
+    });
+});